@@ -0,0 +1,86 @@
+/* agenda.js — "Next 30 days" panel listing upcoming openings of the filtered rows
+   - setupAgendaPanel({ onSelect }) -> { update(rows), toggle() }
+   - onSelect(row) is called when an entry is clicked (script.js flies the map there)
+*/
+import { scheduleFor, occurrences, formatRange } from './hours.js';
+import { t, formatDateTime } from './i18n.js';
+
+const AGENDA_DAYS = 30;
+const MAX_ENTRIES = 400;
+
+export function setupAgendaPanel({ onSelect }) {
+
+  // UI elements
+  const panel = document.getElementById('agenda');
+  const list = document.getElementById('agendaList');
+  const summary = document.getElementById('agendaSummary');
+
+  let currentRows = [];
+
+  function render() {
+    list.innerHTML = '';
+    if (panel.hidden) return;
+
+    const today = new Date();
+    const entries = currentRows
+      .flatMap(row => occurrences(scheduleFor(row), today, AGENDA_DAYS).map(o => ({ ...o, row })))
+      .sort((a, b) => a.date - b.date || (a.range ? a.range.start : -1) - (b.range ? b.range.start : -1));
+
+    if (!entries.length) {
+      summary.textContent = t('agenda.none');
+      return;
+    }
+
+    const shown = entries.slice(0, MAX_ENTRIES);
+    summary.textContent = entries.length > shown.length
+      ? t('agenda.truncated', { shown: shown.length, count: entries.length })
+      : t('agenda.summary', { count: entries.length, days: AGENDA_DAYS });
+
+    let lastDay = '';
+    for (const entry of shown) {
+      const day = formatDateTime(entry.date, { weekday: 'short', month: 'short', day: 'numeric' });
+      if (day !== lastDay) {
+        const heading = document.createElement('li');
+        heading.className = 'agenda-day';
+        heading.textContent = day;
+        list.appendChild(heading);
+        lastDay = day;
+      }
+
+      const item = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'agenda-item';
+
+      const time = document.createElement('span');
+      time.className = 'agenda-time';
+      time.textContent = entry.range ? formatRange(entry.range) : t('agenda.noTime');
+
+      const name = document.createElement('span');
+      name.className = 'agenda-name';
+      name.textContent = entry.row.Name || t('popup.defaultName');
+
+      btn.append(time, name);
+      btn.title = entry.row['Hours of Operation'] || '';
+      btn.addEventListener('click', () => onSelect(entry.row));
+      item.appendChild(btn);
+      list.appendChild(item);
+    }
+  }
+
+  function update(rows) {
+    currentRows = rows;
+    render();
+  }
+
+  function toggle() {
+    panel.hidden = !panel.hidden;
+    render();
+    return !panel.hidden;
+  }
+
+  return {
+    update,
+    toggle,
+  };
+}
@@ -0,0 +1,211 @@
+/* alerts.js — National Weather Service active alerts for Broome County
+   - parseAlerts(geojson, now)          -> [{ id, event, severity, headline, ends, geometry, ... }] (expired ones dropped)
+   - pointInGeometry([lon, lat], geom)  -> true when inside a Polygon / MultiPolygon (holes respected)
+   - alertsAt(row, alerts)              -> warnings whose polygon contains the row
+   - alertsEndpoint(value)              -> value if it may replace ALERTS_URL (localhost or ALERT_HOSTS), else ALERTS_URL
+   - setupWeatherAlerts(map, { getRows, onChange, onSelect, endpoint })
+       -> { refresh, relabel(), alertsFor(row), layer }
+   Polls api.weather.gov every 5 minutes, fills #nws-alert-banner (coloured by severity,
+   with the expiry time) and draws alert polygons as a toggleable overlay. Zone-wide
+   alerts (e.g. Winter Storm Warning) have no polygon, so they only appear in the banner.
+   For testing, point `endpoint` at tools/nws-fixture-server.mjs (see script.js: ?nwsAlerts=).
+*/
+import { t, formatDateTime } from './i18n.js';
+import { escapeHTML } from './escape.js';
+
+// NYZ057 = Broome forecast zone, NYC007 = Broome County
+export const BROOME_ZONES = ['NYZ057', 'NYC007'];
+export const ALERTS_URL = `https://api.weather.gov/alerts/active?zone=${BROOME_ZONES.join(',')}`;
+
+const POLL_MS = 5 * 60 * 1000;
+
+// Hosts a ?nwsAlerts= link may point the banner at, besides this machine (the fixture server)
+export const ALERT_HOSTS = ['api.weather.gov'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// A shared link must not be able to put someone else's "alerts" on the map
+export function alertsEndpoint(value) {
+  if (!value) return ALERTS_URL;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return ALERTS_URL;
+  }
+  const allowed = (url.protocol === 'https:' && ALERT_HOSTS.includes(url.hostname))
+    || (['http:', 'https:'].includes(url.protocol) && LOCAL_HOSTS.includes(url.hostname));
+  if (!allowed) console.warn(`Ignoring nwsAlerts=${value}: only localhost or ${ALERT_HOSTS.join(', ')} are allowed`);
+  return allowed ? url.href : ALERTS_URL;
+}
+
+// NWS CAP severities, most serious first
+export const SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+
+export const SEVERITY_COLORS = {
+  Extreme: '#8b0000',
+  Severe: '#d9480f',
+  Moderate: '#e8a200',
+  Minor: '#2b6777',
+  Unknown: '#666666',
+};
+
+function rank(severity) {
+  const i = SEVERITIES.indexOf(severity);
+  return i < 0 ? SEVERITIES.length : i;
+}
+
+export function parseAlerts(geojson, now = new Date()) {
+  const features = (geojson && geojson.features) || [];
+  return features
+    .map(f => {
+      const p = f.properties || {};
+      const ends = p.ends || p.expires || null;
+      return {
+        id: p.id || f.id,
+        event: p.event || 'Weather alert',
+        severity: SEVERITIES.includes(p.severity) ? p.severity : 'Unknown',
+        urgency: p.urgency || '',
+        headline: p.headline || p.event || '',
+        description: p.description || '',
+        instruction: p.instruction || '',
+        areaDesc: p.areaDesc || '',
+        onset: p.onset ? new Date(p.onset) : null,
+        ends: ends ? new Date(ends) : null,
+        isWarning: /warning$/i.test(p.event || ''),
+        geometry: f.geometry || null,
+      };
+    })
+    .filter(a => !a.ends || a.ends > now)
+    .sort((a, b) => rank(a.severity) - rank(b.severity) || (a.ends || Infinity) - (b.ends || Infinity));
+}
+
+// Helper: ray casting on one ring of [lon, lat] pairs
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function inPolygon(point, rings) {
+  return inRing(point, rings[0]) && !rings.slice(1).some(hole => inRing(point, hole));
+}
+
+export function pointInGeometry(point, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') return inPolygon(point, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.some(rings => inPolygon(point, rings));
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.some(g => pointInGeometry(point, g));
+  return false;
+}
+
+export function alertsAt(row, alerts) {
+  const lat = Number(row.latitude), lon = Number(row.longitude);
+  if (!row.latitude || !row.longitude || Number.isNaN(lat) || Number.isNaN(lon)) return [];
+  return alerts.filter(a => a.isWarning && pointInGeometry([lon, lat], a.geometry));
+}
+
+// Helper: "until 6:00 PM Tue"
+function untilLabel(date) {
+  if (!date) return '';
+  return t('alerts.until', { when: formatDateTime(date, { weekday: 'short', hour: 'numeric', minute: '2-digit' }) });
+}
+
+export function setupWeatherAlerts(map, { getRows, onChange = () => {}, onSelect = () => {}, endpoint = ALERTS_URL }) {
+  const banner = document.getElementById('nws-alert-banner');
+  const layer = L.geoJSON(null, {
+    style: f => ({
+      color: SEVERITY_COLORS[f.properties.severity] || SEVERITY_COLORS.Unknown,
+      weight: 2,
+      fillOpacity: 0.15,
+      dashArray: f.properties.isWarning ? null : '6 4',
+    }),
+    onEachFeature: (f, l) => l.bindPopup(
+      `<div class="marker-title">${escapeHTML(f.properties.event)}</div>
+       <div class="marker-meta">${escapeHTML(f.properties.headline)}</div>
+       ${f.properties.instruction ? `<div class="marker-meta">${escapeHTML(f.properties.instruction)}</div>` : ''}`
+    ),
+  }).addTo(map);
+
+  let alerts = [];
+  let flagged = new Map();   // row -> [alert]
+  let dismissed = '';        // alert ids the user closed; a new alert brings the banner back
+
+  function renderBanner() {
+    const active = alerts.filter(a => !a.ends || a.ends > new Date());
+    const key = active.map(a => a.id).join('|');
+    if (!active.length || key === dismissed) {
+      banner.hidden = true;
+      return;
+    }
+
+    const top = active[0];
+    const shelters = [...flagged.keys()].filter(row => row.Type === 'Shelters');
+    const others = flagged.size - shelters.length;
+
+    banner.dataset.severity = top.severity;
+    banner.innerHTML = `
+      <button type="button" class="nws-dismiss" aria-label="${escapeHTML(t('alerts.dismiss'))}">×</button>
+      <strong>⚠️ ${escapeHTML(top.event)}</strong> ${escapeHTML(untilLabel(top.ends))}
+      ${active.length > 1 ? `<span class="nws-more">${escapeHTML(t('alerts.more', { count: active.length - 1 }))}</span>` : ''}
+      <div class="nws-headline">${escapeHTML(top.headline)}</div>
+      ${shelters.length ? `<div class="nws-flagged">${escapeHTML(t('alerts.shelters'))}
+        ${shelters.map((row, i) => `<button type="button" class="nws-row" data-i="${i}">${escapeHTML(row.Name)}</button>`).join(' ')}</div>` : ''}
+      ${others ? `<div class="nws-flagged">${escapeHTML(t('alerts.others', { count: others }))}</div>` : ''}
+      <a href="https://www.weather.gov/bgm/" target="_blank" rel="noopener">${escapeHTML(t('alerts.details'))}</a>`;
+    banner.hidden = false;
+
+    banner.querySelector('.nws-dismiss').onclick = () => {
+      dismissed = key;
+      banner.hidden = true;
+    };
+    banner.querySelectorAll('.nws-row').forEach(btn => {
+      btn.onclick = () => onSelect(shelters[Number(btn.dataset.i)]);
+    });
+  }
+
+  function apply(list) {
+    alerts = list;
+    layer.clearLayers();
+    alerts.filter(a => a.geometry).forEach(a => layer.addData({
+      type: 'Feature',
+      geometry: a.geometry,
+      properties: a,
+    }));
+
+    const before = [...flagged.keys()];
+    flagged = new Map();
+    getRows().forEach(row => {
+      const hits = alertsAt(row, alerts);
+      if (hits.length) flagged.set(row, hits);
+    });
+
+    renderBanner();
+    // markers only need rebuilding when the set of flagged locations moves
+    if (before.length !== flagged.size || before.some(row => !flagged.has(row))) onChange();
+  }
+
+  async function refresh() {
+    try {
+      const res = await fetch(endpoint, { headers: { Accept: 'application/geo+json' }, cache: 'no-store' });
+      if (!res.ok) throw new Error(`NWS alerts HTTP ${res.status}`);
+      apply(parseAlerts(await res.json()));
+    } catch (err) {
+      // keep showing what we had; expired alerts drop out on the next render
+      console.warn('Weather alerts unavailable:', err);
+      apply(alerts.filter(a => !a.ends || a.ends > new Date()));
+    }
+  }
+
+  refresh();
+  setInterval(refresh, POLL_MS);
+
+  return {
+    refresh,
+    relabel: renderBanner,
+    layer,
+    alertsFor: row => flagged.get(row) || [],
+  };
+}
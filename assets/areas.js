@@ -0,0 +1,108 @@
+/* areas.js — interpret the free-text "Area Served" column
+   - parseAreaServed(text) -> { anyone, county, restricted, zips, raw }
+       (zips includes ZIPs implied by town names, e.g. "Endwell" -> 13762, but only when the
+       text lists no ZIP itself: "Northside of Binghamton, 13901" means 13901, not all of Binghamton)
+   - servesZip(row, zip) -> true | false | null (null = the row doesn't say)
+*/
+
+// Broome County ZIP codes and the place names used for them in the data
+export const BROOME_ZIPS = {
+  '13737': 'Bible School Park',
+  '13744': 'Castle Creek',
+  '13745': 'Chenango Bridge',
+  '13746': 'Chenango Forks',
+  '13748': 'Conklin',
+  '13749': 'Corbettsville',
+  '13754': 'Deposit',
+  '13760': 'Endicott',
+  '13761': 'Endicott',
+  '13762': 'Endwell',
+  '13763': 'Endicott',
+  '13777': 'Glen Aubrey',
+  '13787': 'Harpursville',
+  '13790': 'Johnson City',
+  '13794': 'Killawog',
+  '13795': 'Kirkwood',
+  '13797': 'Lisle',
+  '13802': 'Maine',
+  '13813': 'Nineveh',
+  '13826': 'Ouaquaga',
+  '13833': 'Port Crane',
+  '13850': 'Vestal',
+  '13851': 'Vestal',
+  '13862': 'Whitney Point',
+  '13865': 'Windsor',
+  '13901': 'Binghamton',
+  '13902': 'Binghamton',
+  '13903': 'Binghamton',
+  '13904': 'Binghamton',
+  '13905': 'Binghamton',
+};
+
+// Towns and neighbourhoods that cover several ZIPs (checked before single town names)
+const AREA_ALIASES = {
+  'east side of binghamton': ['13904'],
+  'eastside of binghamton': ['13904'],
+  'town of colesville': ['13787', '13813', '13826'],
+  'colesville': ['13787', '13813', '13826'],
+  'town of union': ['13760', '13762', '13790'],
+  'fenton': ['13833', '13746'],
+  'sanford': ['13754'],
+};
+
+const ANYONE_RE = /\b(anyone|everyone|all welcome|all|any|open to (?:the )?public|no restrictions?|no restriction)\b/;
+const RESTRICTED_RE = /\bclosed\b|\bstudents? only\b|\bjust students\b|\bschool families only\b/;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function parseAreaServed(text) {
+  const raw = String(text || '').trim();
+  const norm = raw
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\(?\b\d{3}\)?[\s.-]?\d{3}-\d{4}\b/g, ' ');
+
+  const restricted = RESTRICTED_RE.test(norm);
+  const zips = new Set(norm.match(/\b13\d{3}\b/g) || []);
+
+  if (!zips.size) {
+    let rest = norm;
+    Object.entries(AREA_ALIASES).forEach(([name, list]) => {
+      const re = new RegExp(`\\b${escapeRegExp(name)}\\b`, 'g');
+      if (re.test(rest)) {
+        list.forEach(z => zips.add(z));
+        rest = rest.replace(re, ' ');
+      }
+    });
+    Object.entries(BROOME_ZIPS).forEach(([zip, town]) => {
+      if (new RegExp(`\\b${escapeRegExp(town.toLowerCase())}\\b`).test(rest)) zips.add(zip);
+    });
+  }
+
+  return {
+    anyone: !restricted && ANYONE_RE.test(norm),
+    county: !restricted && /\bbroome\b/.test(norm),
+    restricted,
+    zips: [...zips].sort(),
+    raw,
+  };
+}
+
+const areaCache = new WeakMap();
+
+export function areaFor(row) {
+  if (!areaCache.has(row)) areaCache.set(row, parseAreaServed(row['Area Served']));
+  return areaCache.get(row);
+}
+
+export function servesZip(row, zip) {
+  const area = areaFor(row);
+  if (area.restricted) return false;
+  if (area.anyone) return true;
+  if (area.county && BROOME_ZIPS[zip]) return true;
+  if (area.zips.includes(zip)) return true;
+  if (area.zips.length || area.county) return false;
+  return null;
+}
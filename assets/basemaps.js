@@ -0,0 +1,227 @@
+/* basemaps.js — the map's background layers: tile providers, API keys and fallbacks
+   - BASEMAPS is the config: one entry per choice in the layer control. Providers that need
+     a key name it in `key`; the keys themselves live in ./assets/settings.json, which is
+     not committed (copy settings.example.json and fill it in). The Pages workflow
+     (.github/workflows/static.yml) writes it from the THUNDERFOREST_KEY / STADIA_KEY
+     repository secrets. Visitors can still read the keys, as with any tile key, so
+     restrict them to the site's domain at the provider
+   - A basemap whose key is required but missing is left out of the control
+   - When a basemap's tiles keep failing (several errors in a row, or many within a
+     minute, e.g. a key that expired or ran out of quota mid-visit), the map switches to
+     its `fallback` (then that one's fallback, ...), ending at the bundled County outline,
+     which needs no tile server at all
+   - The chosen basemap is remembered in localStorage; a #base= link still wins
+   - tileURL(basemap, keys) and availableBasemaps(keys) are DOM-free
+   - setupBasemaps(map, { settings, onChange, onStatus }) -> { current(), layer(), set(name), control }
+       control is the Leaflet layer control, for adding overlays
+*/
+import { t } from './i18n.js';
+import { loadCounty, loadZipAreas } from './zips.js';
+
+export const SETTINGS_URL = './assets/settings.json';
+export const OUTLINE_NAME = 'County outline';
+
+const STORAGE_KEY = 'basemap';
+
+// A basemap counts as down after this many tile errors in a row...
+const MAX_TILE_ERRORS = 4;
+// ...or this many within ERROR_WINDOW_MS, even with loads in between (cached tiles still load)
+const MAX_RECENT_ERRORS = 12;
+const ERROR_WINDOW_MS = 60 * 1000;
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const STADIA_ATTRIBUTION = `&copy; <a href="https://www.stadiamaps.com/" target="_blank">Stadia Maps</a> &copy; <a href="https://openmaptiles.org/" target="_blank">OpenMapTiles</a> ${OSM_ATTRIBUTION}`;
+
+// key: name in settings.json "keys"; keyParam: query parameter it is sent as;
+// keyRequired: false when the provider also serves keyless requests (Stadia does on localhost)
+export const BASEMAPS = [
+  {
+    name: 'Colored',
+    url: 'https://{s}.tile.thunderforest.com/neighbourhood/{z}/{x}/{y}{r}.png',
+    key: 'thunderforest', keyParam: 'apikey', keyRequired: true,
+    options: { maxZoom: 22, attribution: `&copy; <a href="https://www.thunderforest.com/" target="_blank">Thunderforest</a> ${OSM_ATTRIBUTION}` },
+    fallback: 'Blank',
+  },
+  {
+    name: 'Blank',
+    url: 'https://tiles.stadiamaps.com/tiles/alidade_smooth/{z}/{x}/{y}{r}.png',
+    key: 'stadia', keyParam: 'api_key', keyRequired: false,
+    options: { maxZoom: 20, attribution: STADIA_ATTRIBUTION },
+    fallback: 'Street',
+  },
+  {
+    name: 'Blank Dark',
+    url: 'https://tiles.stadiamaps.com/tiles/alidade_smooth_dark/{z}/{x}/{y}{r}.png',
+    key: 'stadia', keyParam: 'api_key', keyRequired: false,
+    options: { maxZoom: 20, attribution: STADIA_ATTRIBUTION },
+    fallback: 'Street',
+  },
+  {
+    name: 'Street',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    options: { maxZoom: 19, attribution: OSM_ATTRIBUTION },
+    fallback: OUTLINE_NAME,
+  },
+  {
+    name: 'Topography',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    options: { maxZoom: 17, attribution: `Map data ${OSM_ATTRIBUTION} &copy; <a href="https://opentopomap.org" target="_blank">OpenTopoMap</a>` },
+    fallback: 'Street',
+  },
+  {
+    name: 'Satellite',
+    url: 'https://tiles.stadiamaps.com/tiles/alidade_satellite/{z}/{x}/{y}{r}.jpg',
+    key: 'stadia', keyParam: 'api_key', keyRequired: false,
+    options: {
+      maxZoom: 20,
+      attribution: `&copy; CNES, Distribution Airbus DS, © Airbus DS, © PlanetObserver (Contains Copernicus Data) | ${STADIA_ATTRIBUTION}`,
+    },
+    fallback: 'Street',
+  },
+];
+
+// Outline style: the county on a plain background, with the ZIP areas (zips.js) when built
+const OUTLINE_STYLE = { color: '#2b6777', weight: 1.5, fillColor: '#f4f1e8', fillOpacity: 1 };
+const OUTLINE_ZIP_STYLE = { color: '#2b6777', weight: 1, fill: false };
+
+// Tile URL with the provider's key, or null when the key is required and missing
+export function tileURL(basemap, keys = {}) {
+  const key = basemap.key ? String(keys[basemap.key] ?? '').trim() : '';
+  if (!key) return basemap.key && basemap.keyRequired ? null : basemap.url;
+  return `${basemap.url}?${basemap.keyParam}=${encodeURIComponent(key)}`;
+}
+
+// [{ ...basemap, tileUrl }] for the basemaps that can be shown with these keys
+export function availableBasemaps(keys = {}) {
+  return BASEMAPS
+    .map(basemap => ({ ...basemap, tileUrl: tileURL(basemap, keys) }))
+    .filter(basemap => basemap.tileUrl);
+}
+
+// settings.json: { "keys": { "thunderforest": "...", "stadia": "..." }, "default": "Colored" }
+export async function loadSettings(url = SETTINGS_URL) {
+  try {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) return {};
+    return await res.json();
+  } catch (err) {
+    return {};
+  }
+}
+
+// Helper: the bundled outline, loaded the first time it is shown
+function outlineLayer() {
+  const group = L.layerGroup();
+  let loaded = false;
+  group.on('add', async () => {
+    if (loaded) return;
+    loaded = true;
+    try {
+      L.geoJSON(await loadCounty(), { style: OUTLINE_STYLE, interactive: false }).addTo(group);
+      const zipAreas = await loadZipAreas();
+      if (!zipAreas) return;
+      L.geoJSON(zipAreas, {
+        style: OUTLINE_ZIP_STYLE,
+        interactive: false,
+        onEachFeature: (feature, lyr) => {
+          lyr.bindTooltip(feature.properties.name || feature.properties.zip, { permanent: true, direction: 'center', className: 'outline-label' });
+        },
+      }).addTo(group);
+    } catch (err) {
+      loaded = false;
+      console.error('Outline load error:', err);
+    }
+  });
+  return group;
+}
+
+export function setupBasemaps(map, { settings = {}, onChange = () => {}, onStatus = () => {} } = {}) {
+
+  // Internal state
+  const layers = {};
+  const failed = new Set();
+  let currentName = '';
+
+  availableBasemaps(settings.keys).forEach(basemap => {
+    const layer = L.tileLayer(basemap.tileUrl, basemap.options);
+    let streak = 0;     // errors since the last tile that loaded
+    let recent = [];    // times of errors within ERROR_WINDOW_MS
+    layer.on('add', () => { streak = 0; recent = []; });
+    layer.on('tileload', () => { streak = 0; });
+    layer.on('tileerror', () => {
+      const now = Date.now();
+      streak++;
+      recent = recent.filter(time => now - time < ERROR_WINDOW_MS);
+      recent.push(now);
+      if (currentName !== basemap.name) return;
+      if (streak >= MAX_TILE_ERRORS || recent.length >= MAX_RECENT_ERRORS) fallBack(basemap.name);
+    });
+    layers[basemap.name] = layer;
+  });
+  layers[OUTLINE_NAME] = outlineLayer();
+
+  const fallbackOf = name => BASEMAPS.find(b => b.name === name)?.fallback;
+
+  // Helper: first working basemap along the fallback chain
+  function nextWorking(name) {
+    const seen = new Set([name]);
+    let next = fallbackOf(name);
+    while (next && !seen.has(next)) {
+      if (layers[next] && !failed.has(next)) return next;
+      seen.add(next);
+      next = fallbackOf(next);
+    }
+    return OUTLINE_NAME;
+  }
+
+  function fallBack(name) {
+    failed.add(name);
+    const next = nextWorking(name);
+    onStatus(t('basemap.fallback', { name, next }));
+    set(next, { remember: false });
+  }
+
+  function show(name) {
+    if (currentName && layers[currentName]) map.removeLayer(layers[currentName]);
+    currentName = name;
+    map.getContainer().classList.toggle('outline-basemap', name === OUTLINE_NAME);
+    layers[name].addTo(map);
+  }
+
+  function set(name, { remember = true } = {}) {
+    if (!layers[name] || name === currentName) return false;
+    show(name);
+    if (remember) {
+      try { localStorage.setItem(STORAGE_KEY, name); } catch (err) { /* storage blocked */ }
+    }
+    onChange(name);
+    return true;
+  }
+
+  const control = L.control.layers(layers, null, {
+    position: 'bottomright',
+    collapsed: false
+  }).addTo(map);
+
+  // Picks from the layer control; the control has already swapped the layers
+  map.on('baselayerchange', e => {
+    if (e.layer !== layers[e.name] || e.name === currentName) return;
+    currentName = e.name;
+    failed.delete(e.name);
+    map.getContainer().classList.toggle('outline-basemap', e.name === OUTLINE_NAME);
+    try { localStorage.setItem(STORAGE_KEY, e.name); } catch (err) { /* storage blocked */ }
+    onChange(e.name);
+  });
+
+  let saved = null;
+  try { saved = localStorage.getItem(STORAGE_KEY); } catch (err) { /* storage blocked */ }
+  const first = [saved, settings.default, ...Object.keys(layers)].find(name => name && layers[name]);
+  show(first);
+
+  return {
+    current: () => currentName,
+    layer: () => layers[currentName],
+    set,
+    control,
+  };
+}
@@ -0,0 +1,36 @@
+/* clipboard.js — copy text for the Copy Info, Share View and referral buttons
+   - writeClipboard(text) -> Promise<boolean>
+   - Uses the async Clipboard API where it is allowed (https / localhost, page focused)
+     and falls back to a hidden textarea + execCommand('copy') elsewhere (file://, older browsers)
+*/
+
+// Helper: the old way, still the only one on insecure origins
+function copyWithTextarea(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand('copy');
+  } catch (err) {
+    console.error('Unable to copy text: ', err);
+    return false;
+  } finally {
+    document.body.removeChild(textarea);
+  }
+}
+
+export async function writeClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (err) {
+      // permission denied or document not focused: try the fallback
+    }
+  }
+  return copyWithTextarea(text);
+}
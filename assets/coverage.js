@@ -0,0 +1,318 @@
+/* coverage.js — coverage-gap analysis for grant reports
+   - A grid of square cells (0.5 / 1 / 2 mi) over Broome County, clipped to the county
+     outline; each cell is measured from its centre
+   - Per cell: miles to the nearest filtered location, and the days open per month offered
+     within the gap distance (each location weighted by its open days in the next 30 days;
+     24/7 counts as 30, unknown / by-appointment hours as UNKNOWN_DAYS)
+   - A gap is a cell with fewer than minDays days of service within `miles`; gaps export as
+     GeoJSON, recording where the cells' ZIPs came from (zipSource)
+   - Gaps are counted per ZIP only with the Census ZCTA areas (zips.js, built with
+     tools/build-zip-areas.mjs). Without them the report shows no per-ZIP counts and says
+     why, rather than grouping by made-up areas
+   - daysPerMonth(row), buildGrid(county, zipFeatures, cellMiles), analyzeCoverage(cells, rows, { miles }),
+     findGaps(results, { minDays }), gapsByZip(gaps, results), gapsToGeoJSON(gaps, options)
+   - setupCoverage(map, { download, onStatus }) -> { update(filteredRows) }
+*/
+import { haversineMiles } from './nearby.js';
+import { pointInGeometry } from './alerts.js';
+import { scheduleFor, occurrences } from './hours.js';
+import { loadCounty, loadZipAreas } from './zips.js';
+import { t } from './i18n.js';
+import { escapeHTML } from './escape.js';
+
+const MILES_PER_DEG_LAT = 69.05;
+
+// Recorded in exports whose cells carry a ZIP
+const ZIP_SOURCE = 'US Census Bureau ZCTAs';
+
+// Hours we can't place on a calendar count as roughly weekly
+export const UNKNOWN_DAYS = 4;
+
+// labelKey: locale keys of the legend (i18n.js)
+export const COVERAGE_METRICS = {
+  distance: {
+    labelKey: 'coverage.metric.distance',
+    value: cell => cell.nearestMiles,
+    classes: [
+      { max: 1, color: '#1a9850', labelKey: 'coverage.class.under1mi' },
+      { max: 2, color: '#91cf60', labelKey: 'coverage.class.1to2mi' },
+      { max: 4, color: '#fee08b', labelKey: 'coverage.class.2to4mi' },
+      { max: 8, color: '#fc8d59', labelKey: 'coverage.class.4to8mi' },
+      { max: Infinity, color: '#d73027', labelKey: 'coverage.class.8miPlus' },
+    ],
+  },
+  access: {
+    labelKey: 'coverage.legend.access',
+    value: cell => cell.days,
+    classes: [
+      { max: 1, color: '#d73027', labelKey: 'coverage.class.noDays' },
+      { max: 5, color: '#fc8d59', labelKey: 'coverage.class.1to4days' },
+      { max: 13, color: '#fee08b', labelKey: 'coverage.class.5to12days' },
+      { max: 30, color: '#91cf60', labelKey: 'coverage.class.13to29days' },
+      { max: Infinity, color: '#1a9850', labelKey: 'coverage.class.30daysPlus' },
+    ],
+  },
+};
+
+export function daysPerMonth(row, from = new Date()) {
+  const schedule = scheduleFor(row);
+  if (schedule.kind === 'always') return 30;
+  if (schedule.kind !== 'recurring') return UNKNOWN_DAYS;
+  return new Set(occurrences(schedule, from, 30).map(o => o.date.toDateString())).size;
+}
+
+// Cells whose centre falls inside the county; zip / name come from the ZIP area there, if any
+export function buildGrid(county, zipFeatures = [], cellMiles = 1) {
+  const coords = county.geometry.type === 'Polygon'
+    ? county.geometry.coordinates.flat()
+    : county.geometry.coordinates.flat(2);
+  if (!coords.length) return [];
+  const west = Math.min(...coords.map(c => c[0])), east = Math.max(...coords.map(c => c[0]));
+  const south = Math.min(...coords.map(c => c[1])), north = Math.max(...coords.map(c => c[1]));
+
+  const dLat = cellMiles / MILES_PER_DEG_LAT;
+  const dLon = cellMiles / (MILES_PER_DEG_LAT * Math.cos(((south + north) / 2) * Math.PI / 180));
+  const cells = [];
+  for (let lat = south; lat < north; lat += dLat) {
+    for (let lon = west; lon < east; lon += dLon) {
+      const center = { lat: lat + dLat / 2, lon: lon + dLon / 2 };
+      if (!pointInGeometry([center.lon, center.lat], county.geometry)) continue;
+      const area = zipFeatures.find(f => pointInGeometry([center.lon, center.lat], f.geometry));
+      cells.push({
+        id: `${center.lat.toFixed(4)},${center.lon.toFixed(4)}`,
+        ...center,
+        bounds: [[lat, lon], [lat + dLat, lon + dLon]],
+        zip: area ? area.properties.zip : null,
+        name: area ? area.properties.name || '' : '',
+      });
+    }
+  }
+  return cells;
+}
+
+export function analyzeCoverage(cells, rows, { miles = 3, from = new Date() } = {}) {
+  const places = rows
+    .map(row => ({ row, lat: Number(row.latitude), lon: Number(row.longitude) }))
+    .filter(p => p.row.latitude && p.row.longitude && !Number.isNaN(p.lat) && !Number.isNaN(p.lon))
+    .map(p => ({ ...p, days: daysPerMonth(p.row, from) }));
+
+  return cells.map(cell => {
+    let nearest = null;
+    let nearestMiles = Infinity;
+    let days = 0;
+    let count = 0;
+    places.forEach(p => {
+      const d = haversineMiles(cell, p);
+      if (d < nearestMiles) { nearestMiles = d; nearest = p.row; }
+      if (d <= miles) { days += p.days; count += 1; }
+    });
+    return { ...cell, nearestMiles, nearest, days, count };
+  });
+}
+
+export function findGaps(results, { minDays = 1 } = {}) {
+  return results.filter(cell => cell.days < minDays);
+}
+
+// [{ zip, name, gaps, cells, share }] worst share first; cells outside every ZIP area are left out
+export function gapsByZip(gaps, results) {
+  const totals = new Map();
+  results.forEach(cell => totals.set(cell.zip, (totals.get(cell.zip) || 0) + 1));
+  const byZip = new Map();
+  gaps.filter(cell => cell.zip).forEach(cell => {
+    if (!byZip.has(cell.zip)) byZip.set(cell.zip, { zip: cell.zip, name: cell.name, gaps: [] });
+    byZip.get(cell.zip).gaps.push(cell);
+  });
+  return [...byZip.values()]
+    .map(z => ({ ...z, cells: totals.get(z.zip), share: z.gaps.length / totals.get(z.zip) }))
+    .sort((a, b) => b.share - a.share || b.gaps.length - a.gaps.length);
+}
+
+// zipSource: where the cells' zip came from (null: no ZIP areas, every zip is null)
+export function gapsToGeoJSON(gaps, { miles, minDays, cellMiles, zipSource = null, generated = new Date() } = {}) {
+  return {
+    type: 'FeatureCollection',
+    properties: { miles, minDays, cellMiles, zipSource, generated: generated.toISOString() },
+    features: gaps.map(cell => {
+      const [[s, w], [n, e]] = cell.bounds.map(corner => corner.map(v => Number(v.toFixed(5))));
+      return {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] },
+        properties: {
+          zip: cell.zip,
+          area: cell.name,
+          nearest: cell.nearest ? cell.nearest.Name : null,
+          nearestMiles: Number.isFinite(cell.nearestMiles) ? Number(cell.nearestMiles.toFixed(2)) : null,
+          daysPerMonthWithinMiles: cell.days,
+          locationsWithinMiles: cell.count,
+        },
+      };
+    }),
+  };
+}
+
+export function classFor(metric, value) {
+  return COVERAGE_METRICS[metric].classes.find(c => value < c.max) || COVERAGE_METRICS[metric].classes.at(-1);
+}
+
+export function setupCoverage(map, { download, onStatus = () => {} }) {
+
+  // UI elements
+  const btnToggle = document.getElementById('coverageBtn');
+  const metricSelect = document.getElementById('coverageMetric');
+  const milesInput = document.getElementById('coverageMiles');
+  const minDaysInput = document.getElementById('coverageMinDays');
+  const cellSelect = document.getElementById('coverageCell');
+  const summary = document.getElementById('coverageSummary');
+  const gapList = document.getElementById('coverageGaps');
+  const btnExport = document.getElementById('coverageExportBtn');
+
+  // Internal state
+  let active = false;
+  let county = null;
+  let zipFeatures = [];
+  let cells = [];
+  let cellMiles = 0;
+  let currentRows = [];
+  let gaps = [];
+  const renderer = L.canvas({ padding: 0.2 });
+  const layer = L.layerGroup();
+  const gapOutline = L.layerGroup();
+
+  const legend = L.control({ position: 'bottomleft' });
+  legend.onAdd = () => L.DomUtil.create('div', 'coverage-legend');
+
+  const settings = () => ({
+    metric: metricSelect.value,
+    miles: Math.max(Number(milesInput.value) || 3, 0.1),
+    minDays: Math.max(Number(minDaysInput.value) || 1, 1),
+    cellMiles: Number(cellSelect.value) || 1,
+  });
+
+  async function ensureGrid() {
+    if (!county) {
+      county = await loadCounty();
+      zipFeatures = await loadZipAreas() || [];
+    }
+    const { cellMiles: wanted } = settings();
+    if (wanted !== cellMiles) {
+      cells = buildGrid(county, zipFeatures, wanted);
+      cellMiles = wanted;
+    }
+  }
+
+  function renderLegend({ metric, miles, minDays }) {
+    const { labelKey, classes } = COVERAGE_METRICS[metric];
+    legend.getContainer().innerHTML = `
+      <div class="coverage-legend-title">${escapeHTML(t(labelKey))}${metric === 'access' ? ` (${miles} ${escapeHTML(t('unit.mi'))})` : ''}</div>
+      ${classes.map(c => `<div><i style="background:${c.color}"></i>${escapeHTML(t(c.labelKey))}</div>`).join('')}
+      <div><i class="coverage-gap-swatch"></i>${escapeHTML(t('coverage.legend.gap', { count: minDays, miles }))}</div>`;
+  }
+
+  function renderGapList(byZip) {
+    gapList.innerHTML = '';
+    byZip.forEach(z => {
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'coverage-zip';
+      btn.textContent = t('coverage.zipGaps', {
+        area: `${z.zip}${z.name ? ` ${z.name}` : ''}`, gaps: z.gaps.length, count: z.cells, percent: Math.round(z.share * 100),
+      });
+      btn.addEventListener('click', () => {
+        map.fitBounds(L.latLngBounds(z.gaps.flatMap(cell => cell.bounds)).pad(0.2));
+      });
+      li.appendChild(btn);
+      gapList.appendChild(li);
+    });
+  }
+
+  function cellPopup(cell, { miles }) {
+    const nearest = cell.nearest
+      ? t('coverage.nearestRow', { name: cell.nearest.Name, miles: cell.nearestMiles.toFixed(1) })
+      : t('coverage.nearestNone');
+    const within = `${t('coverage.cellLocations', { count: cell.count })}, ${t('coverage.cellDays', { count: cell.days })}`;
+    return `
+      <div class="marker-title">${escapeHTML(cell.zip ? t('coverage.cellZip', { zip: cell.zip }) : t('coverage.cellCounty'))}${cell.name ? ` · ${escapeHTML(cell.name)}` : ''}</div>
+      <div class="marker-meta"><b>${escapeHTML(t('coverage.nearest'))}</b> ${escapeHTML(nearest)}</div>
+      <div class="marker-meta"><b>${escapeHTML(t('coverage.within', { miles }))}</b> ${escapeHTML(within)}</div>`;
+  }
+
+  async function render() {
+    if (!active) return;
+    try {
+      await ensureGrid();
+    } catch (err) {
+      console.error('Coverage grid error:', err);
+      summary.textContent = t('coverage.loadFailed');
+      return;
+    }
+    const opts = settings();
+    const results = analyzeCoverage(cells, currentRows, opts);
+    gaps = findGaps(results, opts);
+
+    layer.clearLayers();
+    gapOutline.clearLayers();
+    results.forEach(cell => {
+      const { color } = classFor(opts.metric, COVERAGE_METRICS[opts.metric].value(cell));
+      L.rectangle(cell.bounds, {
+        renderer, stroke: false, fillColor: color, fillOpacity: 0.45,
+      }).bindPopup(() => cellPopup(cell, opts)).addTo(layer);
+    });
+    gaps.forEach(cell => {
+      L.rectangle(cell.bounds, {
+        renderer, color: '#7a0019', weight: 1, fill: false, interactive: false,
+      }).addTo(gapOutline);
+    });
+
+    renderLegend(opts);
+    const byZip = gapsByZip(gaps, results);
+    renderGapList(byZip);
+    const areaSq = (gaps.length * opts.cellMiles * opts.cellMiles).toFixed(0);
+    summary.textContent = currentRows.length
+      ? t('coverage.summary', {
+        gaps: gaps.length, cells: results.length, area: areaSq,
+        service: t('coverage.serviceDays', { count: opts.minDays }), miles: opts.miles, count: currentRows.length,
+      })
+      : t('coverage.noRows');
+    if (!zipFeatures.length) summary.textContent += ` ${t('coverage.noZipAreas')}`;
+    btnExport.disabled = !gaps.length;
+  }
+
+  function setActive(on) {
+    active = on;
+    btnToggle.classList.toggle('active-route', on);
+    if (on) {
+      layer.addTo(map);
+      gapOutline.addTo(map);
+      legend.addTo(map);
+      render();
+    } else {
+      map.removeLayer(layer);
+      map.removeLayer(gapOutline);
+      legend.remove();
+      summary.textContent = '';
+      gapList.innerHTML = '';
+    }
+  }
+
+  btnToggle.addEventListener('click', () => setActive(!active));
+  [metricSelect, cellSelect].forEach(el => el.addEventListener('change', render));
+  [milesInput, minDaysInput].forEach(el => el.addEventListener('input', render));
+
+  btnExport.addEventListener('click', () => {
+    const { miles, minDays } = settings();
+    const zipSource = zipFeatures.length ? ZIP_SOURCE : null;
+    const geojson = gapsToGeoJSON(gaps, { miles, minDays, cellMiles, zipSource });
+    download('broome_coverage_gaps.geojson', JSON.stringify(geojson, null, 2), 'application/geo+json');
+    onStatus(t('coverage.exported', { count: gaps.length }));
+  });
+
+  return {
+    // Called whenever the filters change
+    update(filteredRows) {
+      currentRows = filteredRows;
+      render();
+    },
+  };
+}
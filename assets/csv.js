@@ -0,0 +1,69 @@
+/* csv.js — small RFC 4180 CSV reader/writer (quoted fields, "" escapes, embedded newlines)
+   - toCSV() prefixes text cells that start with = + - @ (or a tab / CR) with ' so
+     spreadsheets show them instead of running them as formulas; numbers such as
+     -75.91 are left alone. parseCSV() drops that prefix again, so files round-trip
+*/
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// Helper: "=HYPERLINK(...)" -> "'=HYPERLINK(...)"
+function guardFormula(str) {
+  return FORMULA_START.test(str) && !NUMBER.test(str) ? `'${str}` : str;
+}
+
+function unguardFormula(str) {
+  return str[0] === "'" && FORMULA_START.test(str.slice(1)) && !NUMBER.test(str.slice(1)) ? str.slice(1) : str;
+}
+
+export function parseCSV(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(unguardFormula(field)); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(unguardFormula(field)); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+  if (field !== '' || row.length) { row.push(unguardFormula(field)); rows.push(row); }
+
+  // drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// First row is the header; returns objects keyed by header text
+export function tableToObjects(table) {
+  const [header = [], ...body] = table;
+  const keys = header.map(h => String(h).trim());
+  return body.map(cells => {
+    const obj = {};
+    keys.forEach((key, i) => { if (key) obj[key] = cells[i] === undefined ? '' : cells[i]; });
+    return obj;
+  });
+}
+
+function quote(value) {
+  const str = guardFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCSV(rows, columns) {
+  return [columns.map(quote).join(','), ...rows.map(r => columns.map(c => quote(r[c])).join(','))].join('\r\n') + '\r\n';
+}
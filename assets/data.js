@@ -0,0 +1,20 @@
+/* data.js — loading the location rows
+   - loadRows(url) fetches data.geocoded.json and checks it is a list of rows
+   - hasCoords(row) is the one test for "can this row go on the map"
+   DOM-free; the fetch function can be passed in for Node.
+*/
+export const DATA_URL = './assets/data.geocoded.json';
+
+export function hasCoords(row) {
+  return row.latitude !== null && row.longitude !== null && row.latitude !== '' && row.longitude !== ''
+    && row.latitude !== undefined && row.longitude !== undefined
+    && Number.isFinite(Number(row.latitude)) && Number.isFinite(Number(row.longitude));
+}
+
+export async function loadRows(url = DATA_URL, { fetch: fetchFn = fetch } = {}) {
+  const res = await fetchFn(url);
+  if (!res.ok) throw new Error(`Failed to fetch ${url}`);
+  const rows = await res.json();
+  if (!Array.isArray(rows)) throw new Error(`${url} is not a list of locations`);
+  return rows;
+}
@@ -0,0 +1,489 @@
+/* editor.js — edit mode for data.geocoded.json, right on the map
+   - Unlocked with a passphrase checked against ./assets/editor.json
+     (tools/editor-passphrase.mjs): the passphrase is stretched with PBKDF2 (salt and
+     iterations from that file) and the SHA-256 of the derived key must match its `hash`.
+     The derived key, not the published hash, is what sessionStorage keeps for the tab.
+     That only keeps casual visitors out: nothing is written to the server, changes
+     leave the browser as downloads for review
+   - In edit mode markers drag to fix a geocode, popups are forms for every field the
+     normal popup shows, "Add location" drops a new row at the next map click, and rows
+     with no coordinates can be placed the same way
+   - Every change goes into a change set (kept in localStorage until discarded), which
+     downloads as the updated data.geocoded.json plus a Markdown diff with validation notes
+   - diffChangeSet(changes), changeSetMarkdown(changes) are DOM-free
+   - setupEditor(map, { rows, onChange, onAdd, download, onStatus }) ->
+       { isActive(), popupFor(row), move(row, latlng), relabel() }
+*/
+import { FIELDS, validateRow } from './validate.js';
+import { TYPE_NAMES } from './types.js';
+import { haversineMiles } from './nearby.js';
+import { hasCoords } from './data.js';
+import { t, typeLabel } from './i18n.js';
+import { escapeHTML } from './escape.js';
+
+const CONFIG_URL = './assets/editor.json';
+const STORAGE_KEY = 'editorChanges';
+const SESSION_KEY = 'editorUnlocked';
+
+// Longer free-text columns get a textarea in the form
+const LONG_FIELDS = ['Hours of Operation', 'Area Served', 'Additional Services Offered'];
+
+// Helper: a plain copy of the known columns, in file order
+export function snapshot(row) {
+  return Object.fromEntries(FIELDS.map(f => [f, row[f] ?? (f === 'latitude' || f === 'longitude' ? null : '')]));
+}
+
+function sameRow(a, b) {
+  return FIELDS.every(f => String(a[f] ?? '') === String(b[f] ?? ''));
+}
+
+// changes: { edited: [{ before, after }], added: [row], removed: [row] }
+export function diffChangeSet(changes) {
+  const edited = changes.edited.map(({ before, after }) => {
+    const fields = FIELDS.filter(f => f !== 'latitude' && f !== 'longitude' && String(before[f] ?? '') !== String(after[f] ?? ''));
+    const moved = String(before.latitude) !== String(after.latitude) || String(before.longitude) !== String(after.longitude);
+    const miles = moved && hasCoords(before) && hasCoords(after)
+      ? haversineMiles({ lat: Number(before.latitude), lon: Number(before.longitude) }, { lat: Number(after.latitude), lon: Number(after.longitude) })
+      : null;
+    return { before, after, fields, moved, miles };
+  }).filter(e => e.fields.length || e.moved);
+  return { edited, added: changes.added, removed: changes.removed };
+}
+
+function cell(value) {
+  const text = String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  return text === '' ? '_(blank)_' : text;
+}
+
+function coords(row) {
+  return hasCoords(row) ? `${Number(row.latitude).toFixed(6)}, ${Number(row.longitude).toFixed(6)}` : '(none)';
+}
+
+function issuesMarkdown(row) {
+  return validateRow(row)
+    .filter(i => i.severity !== 'info')
+    .map(i => `- ${i.severity === 'error' ? '❌' : '⚠️'} ${i.field}: ${i.message}`);
+}
+
+export function changeSetMarkdown(changes, { generated = new Date(), before = 0, after = 0 } = {}) {
+  const diff = diffChangeSet(changes);
+  const title = row => `### ${row.Name || '(no name)'} (${row.Type || 'no type'})`;
+  const lines = [
+    '# Location data changes',
+    '',
+    `Generated ${generated.toISOString()} — ${diff.edited.length} edited, ${diff.added.length} added, ${diff.removed.length} removed (${before} → ${after} rows).`,
+    '',
+  ];
+
+  if (diff.edited.length) {
+    lines.push('## Edited', '');
+    diff.edited.forEach(({ before: old, after: row, fields, moved, miles }) => {
+      lines.push(title(old), '', '| Field | Before | After |', '| --- | --- | --- |');
+      fields.forEach(f => lines.push(`| ${f} | ${cell(old[f])} | ${cell(row[f])} |`));
+      if (moved) lines.push(`| Location | ${coords(old)} | ${coords(row)}${miles !== null ? ` (moved ${miles.toFixed(2)} mi)` : ''} |`);
+      const issues = issuesMarkdown(row);
+      lines.push('', ...(issues.length ? issues : ['- ✅ no validation issues']), '');
+    });
+  }
+  if (diff.added.length) {
+    lines.push('## Added', '');
+    diff.added.forEach(row => {
+      lines.push(title(row), '');
+      FIELDS.filter(f => f !== 'latitude' && f !== 'longitude' && String(row[f] ?? '') !== '')
+        .forEach(f => lines.push(`- ${f}: ${cell(row[f])}`));
+      lines.push(`- Location: ${coords(row)}`);
+      const issues = issuesMarkdown(row);
+      lines.push('', ...(issues.length ? issues : ['- ✅ no validation issues']), '');
+    });
+  }
+  if (diff.removed.length) {
+    lines.push('## Removed', '');
+    diff.removed.forEach(row => lines.push(`- ${row.Name || '(no name)'} (${row.Type || 'no type'}) — ${[row.Street, row.City].filter(Boolean).join(', ')}`));
+    lines.push('');
+  }
+  if (!diff.edited.length && !diff.added.length && !diff.removed.length) lines.push('No changes.', '');
+  return lines.join('\n');
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// PBKDF2-SHA256 of the passphrase -> 32-byte key as hex (same as tools/editor-passphrase.mjs)
+async function deriveKeyHex(passphrase, { salt, iterations }) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const saltBytes = new Uint8Array(salt.match(/../g).map(h => parseInt(h, 16)));
+  return toHex(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, material, 256));
+}
+
+export function setupEditor(map, { rows, onChange, onAdd, download, onStatus = () => {} }) {
+
+  // UI elements
+  const btnEdit = document.getElementById('editBtn');
+  const toolbar = document.getElementById('editToolbar');
+  const unlockForm = document.getElementById('editUnlockForm');
+  const passphraseInput = document.getElementById('editPassphrase');
+  const btnCancel = document.getElementById('editCancelBtn');
+  const tools = document.getElementById('editTools');
+  const btnAdd = document.getElementById('editAddBtn');
+  const missingSelect = document.getElementById('editMissingSelect');
+  const summary = document.getElementById('editSummary');
+  const btnJson = document.getElementById('editJsonBtn');
+  const btnDiff = document.getElementById('editDiffBtn');
+  const btnDiscard = document.getElementById('editDiscardBtn');
+  const btnDone = document.getElementById('editDoneBtn');
+
+  // Internal state
+  let active = false;
+  let placing = null;              // row waiting for a map click (new, or missing coordinates)
+  const edited = new Map();        // row -> snapshot from before the first edit
+  const added = new Set();         // rows created here
+  const removed = new Map();       // row -> { before, index } (index in rows when removed)
+  const ids = new WeakMap();       // row -> form id
+  const byId = new Map();
+  let nextId = 1;
+
+  function idFor(row) {
+    if (!ids.has(row)) {
+      ids.set(row, nextId);
+      byId.set(nextId, row);
+      nextId += 1;
+    }
+    return ids.get(row);
+  }
+
+  function changeSet() {
+    return {
+      edited: [...edited.entries()].map(([row, before]) => ({ before, after: snapshot(row) })),
+      added: [...added].map(snapshot),
+      removed: [...removed.values()].map(r => r.before),
+    };
+  }
+
+  function pendingCount() {
+    const diff = diffChangeSet(changeSet());
+    return diff.edited.length + diff.added.length + diff.removed.length;
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(changeSet()));
+    } catch (err) {
+      console.error('Could not save the change set:', err);
+    }
+    renderToolbar();
+  }
+
+  function renderToolbar() {
+    const n = pendingCount();
+    summary.textContent = n ? t('edit.pending', { count: n }) : t('edit.noChanges');
+    btnJson.disabled = btnDiff.disabled = btnDiscard.disabled = !n;
+    renderMissing();
+  }
+
+  // Re-apply a change set saved by an earlier visit; edits whose row changed upstream are dropped
+  function restore() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    } catch (err) {
+      console.error('Saved change set is unreadable:', err);
+    }
+    if (!saved) return;
+    let dropped = 0;
+    const find = before => rows.find(row => !edited.has(row) && !removed.has(row) && sameRow(row, before));
+    (saved.edited || []).forEach(({ before, after }) => {
+      const row = find(before);
+      if (!row) { dropped += 1; return; }
+      edited.set(row, snapshot(row));
+      Object.assign(row, after);
+    });
+    (saved.removed || []).forEach(before => {
+      const row = find(before);
+      if (!row) { dropped += 1; return; }
+      removed.set(row, { before: snapshot(row), index: rows.indexOf(row) });
+    });
+    [...removed.keys()].forEach(row => rows.splice(rows.indexOf(row), 1));
+    (saved.added || []).forEach(data => {
+      const row = snapshot(data);
+      rows.push(row);
+      added.add(row);
+    });
+    if (dropped) onStatus(t('edit.dropped', { count: dropped }));
+  }
+
+  function edit(row, fields) {
+    if (!added.has(row) && !edited.has(row)) edited.set(row, snapshot(row));
+    Object.assign(row, fields);
+    if (edited.has(row) && sameRow(row, edited.get(row))) edited.delete(row);
+    persist();
+  }
+
+  function revert(row) {
+    if (!edited.has(row)) return;
+    Object.assign(row, edited.get(row));
+    edited.delete(row);
+    persist();
+  }
+
+  function remove(row) {
+    const index = rows.indexOf(row);
+    if (index < 0) return;
+    rows.splice(index, 1);
+    if (added.has(row)) {
+      added.delete(row);
+    } else {
+      removed.set(row, { before: edited.get(row) || snapshot(row), index });
+      if (edited.has(row)) Object.assign(row, edited.get(row));
+      edited.delete(row);
+    }
+    persist();
+  }
+
+  function discard() {
+    edited.forEach((before, row) => Object.assign(row, before));
+    edited.clear();
+    added.forEach(row => rows.splice(rows.indexOf(row), 1));
+    added.clear();
+    [...removed.entries()]
+      .sort((a, b) => a[1].index - b[1].index)
+      .forEach(([row, { index }]) => rows.splice(index, 0, row));
+    removed.clear();
+    persist();
+  }
+
+  // Rows that are in the data but not on the map
+  function renderMissing() {
+    const missing = rows.filter(row => !hasCoords(row));
+    missingSelect.innerHTML = `<option value="">${escapeHTML(t('edit.missing.option', { count: missing.length }))}</option>` +
+      missing.map(row => `<option value="${idFor(row)}">${escapeHTML(row.Name || t('edit.noName'))} — ${escapeHTML([row.Street, row.City].filter(Boolean).join(', '))}</option>`).join('');
+    missingSelect.disabled = !missing.length;
+  }
+
+  function startPlacing(row) {
+    placing = row;
+    map.getContainer().classList.add('edit-placing');
+    onStatus(t('edit.placeHint', { name: row.Name }));
+  }
+
+  function stopPlacing() {
+    // a new row that never got placed is not a change
+    if (placing && added.has(placing) && !rows.includes(placing)) added.delete(placing);
+    placing = null;
+    map.getContainer().classList.remove('edit-placing');
+  }
+
+  map.on('click', e => {
+    if (!active || !placing) return;
+    const row = placing;
+    placing = null;
+    map.getContainer().classList.remove('edit-placing');
+    const position = { latitude: Number(e.latlng.lat.toFixed(7)), longitude: Number(e.latlng.lng.toFixed(7)) };
+    if (added.has(row) && !rows.includes(row)) {
+      Object.assign(row, position);
+      rows.push(row);
+      persist();
+    } else {
+      edit(row, position);
+    }
+    onAdd(row);
+  });
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && placing) {
+      stopPlacing();
+      onStatus(t('edit.placeCancelled'));
+    }
+  });
+
+  // ---- Popup form -------------------------------------------------------
+
+  function input(row, field) {
+    const value = row[field] ?? '';
+    const name = `name="${escapeHTML(field)}"`;
+    if (field === 'Type') {
+      const types = TYPE_NAMES.includes(row.Type) || !row.Type ? TYPE_NAMES : [row.Type, ...TYPE_NAMES];
+      return `<select ${name}>${types.map(type => `<option value="${escapeHTML(type)}"${type === row.Type ? ' selected' : ''}>${escapeHTML(typeLabel(type))}</option>`).join('')}</select>`;
+    }
+    if (LONG_FIELDS.includes(field)) return `<textarea ${name} rows="2">${escapeHTML(value)}</textarea>`;
+    if (field === 'latitude' || field === 'longitude') {
+      return `<input ${name} type="number" step="any" value="${escapeHTML(value)}" />`;
+    }
+    if (field === 'lastVerified') return `<input ${name} type="date" value="${escapeHTML(value)}" />`;
+    return `<input ${name} type="text" value="${escapeHTML(value)}" />`;
+  }
+
+  function popupFor(row) {
+    const issues = validateRow(row).filter(i => i.severity !== 'info');
+    const state = added.has(row) ? t('edit.state.new') : edited.has(row) ? t('edit.state.edited') : '';
+    return `
+      <form class="editor-form" data-edit-id="${idFor(row)}">
+        <div class="marker-title">${escapeHTML(row.Name || t('edit.noName'))}${state ? ` <span class="edit-state">${escapeHTML(state)}</span>` : ''}</div>
+        ${issues.length ? `<ul class="edit-issues">${issues.map(i => `<li class="${i.severity}">${escapeHTML(i.field)}: ${escapeHTML(i.message)}</li>`).join('')}</ul>` : ''}
+        ${FIELDS.map(f => `<label><span>${escapeHTML(f)}</span>${input(row, f)}</label>`).join('')}
+        <div class="edit-actions">
+          <button type="submit">${escapeHTML(t('edit.save'))}</button>
+          ${edited.has(row) ? `<button type="button" data-edit-action="revert">${escapeHTML(t('edit.revert'))}</button>` : ''}
+          <button type="button" data-edit-action="delete" class="edit-delete">${escapeHTML(t('edit.delete'))}</button>
+        </div>
+      </form>`;
+  }
+
+  map.getContainer().addEventListener('submit', e => {
+    const form = e.target.closest('.editor-form');
+    if (!form) return;
+    e.preventDefault();
+    const row = byId.get(Number(form.dataset.editId));
+    if (!row) return;
+    const fields = {};
+    FIELDS.forEach(f => {
+      const el = form.elements.namedItem(f);
+      if (!el) return;
+      if (f === 'latitude' || f === 'longitude') fields[f] = el.value === '' ? null : Number(el.value);
+      else fields[f] = el.value.trim();
+    });
+    edit(row, fields);
+    onChange(row);
+    onStatus(t('edit.saved', { name: row.Name }));
+  });
+
+  map.getContainer().addEventListener('click', e => {
+    const btn = e.target.closest('[data-edit-action]');
+    const form = btn && btn.closest('.editor-form');
+    if (!form) return;
+    const row = byId.get(Number(form.dataset.editId));
+    if (!row) return;
+    if (btn.dataset.editAction === 'revert') {
+      revert(row);
+      onChange(row);
+      onStatus(t('edit.reverted', { name: row.Name }));
+    } else if (btn.dataset.editAction === 'delete') {
+      if (!window.confirm(t('edit.confirmRemove', { name: row.Name }))) return;
+      remove(row);
+      map.closePopup();
+      onChange(null);
+      onStatus(t('edit.removed', { name: row.Name }));
+    }
+  });
+
+  // ---- Toolbar ----------------------------------------------------------
+
+  function setActive(on) {
+    active = on;
+    document.body.classList.toggle('edit-mode', on);
+    btnEdit.classList.toggle('active', on);
+    unlockForm.hidden = true;
+    tools.hidden = !on;
+    toolbar.hidden = !on;
+    if (!on) stopPlacing();
+    persist();
+    map.closePopup();
+    onChange(null);
+  }
+
+  function showUnlock() {
+    toolbar.hidden = false;
+    tools.hidden = true;
+    unlockForm.hidden = false;
+    passphraseInput.value = '';
+    passphraseInput.focus();
+  }
+
+  async function loadConfig() {
+    const res = await fetch(CONFIG_URL, { cache: 'no-store' });
+    if (!res.ok) throw new Error(t('edit.notSetUp'));
+    const config = await res.json();
+    // an editor.json from before salted passphrases has only passphraseSha256
+    if (!/^([0-9a-f]{2})+$/.test(config.salt || '') || !(config.iterations > 0) || !config.hash) {
+      throw new Error(t('edit.notSetUp'));
+    }
+    return config;
+  }
+
+  btnEdit.addEventListener('click', async () => {
+    if (active) return setActive(false);
+    let config;
+    try {
+      config = await loadConfig();
+    } catch (err) {
+      onStatus(err.message);
+      return;
+    }
+    const key = sessionStorage.getItem(SESSION_KEY);
+    if (key && await sha256Hex(key) === config.hash) return setActive(true);
+    showUnlock();
+  });
+
+  unlockForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      const config = await loadConfig();
+      const key = await deriveKeyHex(passphraseInput.value, config);
+      if (await sha256Hex(key) !== config.hash) {
+        passphraseInput.select();
+        onStatus(t('edit.wrongPassphrase'));
+        return;
+      }
+      sessionStorage.setItem(SESSION_KEY, key);
+      setActive(true);
+      onStatus(t('edit.active'));
+    } catch (err) {
+      onStatus(err.message);
+    }
+  });
+
+  btnCancel.addEventListener('click', () => { toolbar.hidden = true; });
+  btnDone.addEventListener('click', () => setActive(false));
+
+  btnAdd.addEventListener('click', () => {
+    stopPlacing();
+    // the placeholder name goes into the data, which is kept in English
+    const row = snapshot({ Type: TYPE_NAMES[0], Name: 'New location', State: 'NY', latitude: null, longitude: null });
+    added.add(row);
+    startPlacing(row);
+  });
+
+  missingSelect.addEventListener('change', () => {
+    const row = byId.get(Number(missingSelect.value));
+    missingSelect.value = '';
+    stopPlacing();
+    if (row) startPlacing(row);
+  });
+
+  btnJson.addEventListener('click', () => {
+    download('data.geocoded.json', JSON.stringify(rows.map(snapshot), null, 2) + '\n', 'application/json');
+  });
+
+  btnDiff.addEventListener('click', () => {
+    const before = rows.length - added.size + removed.size;
+    download('data.geocoded.changes.md', changeSetMarkdown(changeSet(), { before, after: rows.length }), 'text/markdown');
+  });
+
+  btnDiscard.addEventListener('click', () => {
+    if (!window.confirm(t('edit.confirmDiscard', { count: pendingCount() }))) return;
+    discard();
+    map.closePopup();
+    onChange(null);
+    onStatus(t('edit.discarded'));
+  });
+
+  restore();
+  persist();
+
+  return {
+    isActive: () => active,
+    popupFor,
+    // Marker dragged to a new spot
+    move(row, latlng) {
+      edit(row, { latitude: Number(latlng.lat.toFixed(7)), longitude: Number(latlng.lng.toFixed(7)) });
+      onChange(null);
+      onStatus(t('edit.moved', { name: row.Name }));
+    },
+    // after a language change
+    relabel: renderToolbar,
+  };
+}
@@ -0,0 +1,15 @@
+/* escape.js — escaping text for HTML and XML, shared by every module that builds markup
+   - escapeHTML(value) for innerHTML, popups and attribute values
+   - escapeXML(value) for KML / GPX / SVG and printed sheets (&apos; is valid XML, &#39; isn't needed)
+   - null / undefined become ''; DOM-free so it runs in Node and the browser
+*/
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ENTITIES[ch]);
+}
+
+export function escapeXML(value) {
+  return escapeHTML(value).replace(/&#39;/g, '&apos;');
+}
@@ -0,0 +1,215 @@
+/* export.js — turn the filtered rows into files partners can use
+   - toGeoJSON(rows)                       FeatureCollection (rows without coordinates are skipped)
+   - toCSVText(rows)                       every column, in data.geocoded.json order
+   - toKML(rows)                           Google Earth / My Maps, one folder per Type
+   - toGPX(rows)                           waypoints for drivers' GPS units
+   - toGPXRoute(stops, { path })           ordered route (rtept per stop), plus a track when a road path is known
+   - buildDirectoryHTML(rows, { title })   print-ready directory grouped by Type, in the interface language
+   - EXPORT_FORMATS                        what the export menu offers
+   Kept DOM-free (strings in, strings out) so the same code runs in tools/.
+*/
+import { toCSV } from './csv.js';
+import { FIELDS } from './validate.js';
+import { compareTypes } from './types.js';
+import { hasCoords } from './data.js';
+import { escapeHTML, escapeXML } from './escape.js';
+import { t, typeLabel, formatDateTime, getLanguage, getDirection } from './i18n.js';
+
+// labelKey: locale key of the menu label (i18n.js)
+export const EXPORT_FORMATS = {
+  csv: { labelKey: 'export.csv', ext: 'csv', mime: 'text/csv' },
+  kml: { labelKey: 'export.kml', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  gpx: { labelKey: 'export.gpx', ext: 'gpx', mime: 'application/gpx+xml' },
+  geojson: { labelKey: 'export.geojson', ext: 'geojson', mime: 'application/geo+json' },
+  directory: { labelKey: 'export.directory', ext: 'html', mime: 'text/html' },
+};
+
+export function fullAddress(row) {
+  return [row.Street, row.City, [row.State, row.Zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+// Helper: known types first (in registry order), then anything else alphabetically
+export function groupByType(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const type = row.Type || 'Other';
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(row);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => compareTypes(a, b))
+    .map(([type, list]) => [type, list.slice().sort((a, b) => String(a.Name).localeCompare(String(b.Name)))]);
+}
+
+// The lines people actually need, reused by KML/GPX descriptions and the directory:
+// [label, value, labelKey]. KML / GPX keep the English label, since ExtendedData names
+// are read by other tools; the directory shows labelKey in the interface language
+function details(row) {
+  return [
+    ['Address', fullAddress(row), 'popup.address'],
+    ['Hours', row['Hours of Operation'], 'popup.hours'],
+    ['Phone', row.Phone, 'popup.phone'],
+    ['Email', row.Email, 'popup.email'],
+    ['Area served', row['Area Served'], 'popup.area'],
+    ['Deliveries', row['Deliveries?'], 'popup.deliveries'],
+    ['Drive thru', row['Drive Thru?'], 'popup.driveThru'],
+    ['Services', row['Additional Services Offered'], 'popup.services'],
+    ['Contact', row.Contact, 'popup.contact'],
+  ].filter(([, v]) => v !== null && v !== undefined && String(v).trim() !== '');
+}
+
+const DIRECTORY_DETAILS = ['Address', 'Hours', 'Phone', 'Email', 'Area served'];
+
+export function toGeoJSON(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.filter(hasCoords).map(row => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [Number(row.longitude), Number(row.latitude)] },
+      properties: { ...row },
+    })),
+  };
+}
+
+export function toCSVText(rows) {
+  const extra = [...new Set(rows.flatMap(Object.keys))].filter(k => !FIELDS.includes(k));
+  return toCSV(rows, [...FIELDS, ...extra]);
+}
+
+export function toKML(rows, { name = 'Broome County Community Services' } = {}) {
+  const folders = groupByType(rows.filter(hasCoords)).map(([type, list]) => {
+    const placemarks = list.map(row => {
+      const data = details(row)
+        .map(([k, v]) => `          <Data name="${escapeXML(k)}"><value>${escapeXML(v)}</value></Data>`)
+        .join('\n');
+      return [
+        '      <Placemark>',
+        `        <name>${escapeXML(row.Name)}</name>`,
+        `        <description>${escapeXML(details(row).map(([k, v]) => `${k}: ${v}`).join('\n'))}</description>`,
+        '        <ExtendedData>',
+        data,
+        '        </ExtendedData>',
+        `        <Point><coordinates>${Number(row.longitude)},${Number(row.latitude)},0</coordinates></Point>`,
+        '      </Placemark>',
+      ].join('\n');
+    }).join('\n');
+    return `    <Folder>\n      <name>${escapeXML(type)}</name>\n${placemarks}\n    </Folder>`;
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    folders,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+export function toGPX(rows, { name = 'Broome County Community Services', time = new Date() } = {}) {
+  const waypoints = rows.filter(hasCoords).map(row => [
+    `  <wpt lat="${Number(row.latitude)}" lon="${Number(row.longitude)}">`,
+    `    <name>${escapeXML(row.Name)}</name>`,
+    `    <desc>${escapeXML(details(row).map(([k, v]) => `${k}: ${v}`).join('\n'))}</desc>`,
+    `    <type>${escapeXML(row.Type)}</type>`,
+    '  </wpt>',
+  ].join('\n')).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Broome County Community Services Map" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXML(name)}</name>`,
+    `    <time>${time.toISOString()}</time>`,
+    '  </metadata>',
+    waypoints,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+export function toGPXRoute(stops, { name = 'Delivery Run', path = null, time = new Date() } = {}) {
+  const points = stops.filter(hasCoords);
+  const point = (tag, row, indent) => [
+    `${indent}<${tag} lat="${Number(row.latitude)}" lon="${Number(row.longitude)}">`,
+    `${indent}  <name>${escapeXML(row.Name)}</name>`,
+    `${indent}  <desc>${escapeXML([fullAddress(row), row.Phone].filter(Boolean).join(' · '))}</desc>`,
+    `${indent}</${tag}>`,
+  ].join('\n');
+
+  // Waypoints once each (a round trip repeats the first stop at the end)
+  const waypoints = [...new Set(points)].map(row => point('wpt', row, '  ')).join('\n');
+  const track = path && path.length > 1 ? [
+    '  <trk>',
+    `    <name>${escapeXML(name)} (road)</name>`,
+    '    <trkseg>',
+    path.map(([lat, lon]) => `      <trkpt lat="${lat}" lon="${lon}"></trkpt>`).join('\n'),
+    '    </trkseg>',
+    '  </trk>',
+  ].join('\n') : '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Broome County Community Services Map" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXML(name)}</name>`,
+    `    <time>${time.toISOString()}</time>`,
+    '  </metadata>',
+    waypoints,
+    '  <rte>',
+    `    <name>${escapeXML(name)}</name>`,
+    points.map(row => point('rtept', row, '    ')).join('\n'),
+    '  </rte>',
+    track,
+    '</gpx>',
+    '',
+  ].filter(line => line !== '').join('\n') + '\n';
+}
+
+// Stand-alone HTML page; opened in a new tab it prints itself (Save as PDF)
+export function buildDirectoryHTML(rows, { title = t('export.directory.title'), subtitle = '', generated = new Date(), autoPrint = true } = {}) {
+  const sections = groupByType(rows).map(([type, list]) => {
+    const entries = list.map(row => {
+      const lines = details(row)
+        .filter(([label]) => DIRECTORY_DETAILS.includes(label))
+        .map(([, value, labelKey]) => `<div><b>${escapeHTML(t(labelKey))}:</b> ${escapeHTML(value)}</div>`)
+        .join('');
+      return `<article><h3>${escapeHTML(row.Name || t('popup.defaultName'))}</h3>${lines}</article>`;
+    }).join('\n');
+    return `<section><h2>${escapeHTML(typeLabel(type))} <small>(${list.length})</small></h2>\n${entries}\n</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}" dir="${getDirection()}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font: 11pt/1.35 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #111; margin: 1.5rem; }
+  header { border-bottom: 2px solid #2b6777; margin-bottom: 1rem; }
+  h1 { font-size: 18pt; margin: 0 0 .25rem; color: #2b6777; }
+  header p { margin: 0 0 .5rem; color: #555; }
+  h2 { font-size: 13pt; border-bottom: 1px solid #ccc; margin: 1.25rem 0 .5rem; break-after: avoid; }
+  h2 small { font-weight: normal; color: #666; }
+  h3 { font-size: 11pt; margin: 0 0 .15rem; }
+  section { columns: 2; column-gap: 1.5rem; }
+  section h2 { column-span: all; }
+  article { break-inside: avoid; margin-bottom: .6rem; }
+  article div { font-size: 9.5pt; }
+  @page { margin: 1.5cm; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHTML(title)}</h1>
+  <p>${subtitle ? `${escapeHTML(subtitle)} · ` : ''}${escapeHTML(t('export.directory.count', { count: rows.length }))} · ${escapeHTML(t('export.directory.generated', { date: formatDateTime(generated, { dateStyle: 'medium' }) }))}</p>
+</header>
+${sections || `<p>${escapeHTML(t('export.directory.empty'))}</p>`}
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>
+`;
+}
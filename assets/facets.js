@@ -0,0 +1,144 @@
+/* facets.js — attribute facets for the free-text yes/no columns
+   - Deliveries? and Drive Thru? normalize to yes / no / unknown
+     ("Yes - Limited" -> yes, "No, but will bring food out" -> no, "Call for request" -> unknown)
+   - Additional Services Offered is split into service keywords (hygiene, diapers, clothing, ...);
+     a bare "Yes" counts as "other services", "No" as "none"
+   - Values within a facet are OR'ed, facets are AND'ed with each other (and with type/search)
+   - Counts shown next to each value are for the current filters, ignoring that facet's own
+     selection, so ticking "Yes" doesn't zero out "No"
+   - facetValues(row, id), matchesFacets(row, selection), countFacets(rows, selection),
+     selectedFacets(container) read from the checkboxes, so filterRows() stays a plain function
+   - setupFacetPanel({ onChange }) -> { update(baseRows), set(list), clear() }; labels carry
+     data-i18n keys (facet.<id>, facet.<value>) so they follow the interface language
+*/
+import { t } from './i18n.js';
+
+const YES_NO_VALUES = [
+  { value: 'yes', label: 'Yes' },
+  { value: 'no', label: 'No' },
+  { value: 'unknown', label: 'Unknown' },
+];
+
+// Order is the display order; a row can match several keywords
+export const SERVICE_KEYWORDS = [
+  { value: 'hygiene', label: 'Hygiene / personal care', pattern: /hygiene|personal (care|items)|shower/ },
+  { value: 'diapers', label: 'Diapers', pattern: /diaper/ },
+  { value: 'clothing', label: 'Clothing', pattern: /clothing|socks|hats|gloves/ },
+  { value: 'household', label: 'Household / cleaning', pattern: /household|cleaning/ },
+  { value: 'pet-food', label: 'Pet food', pattern: /pet food/ },
+  { value: 'enrollment', label: 'Benefits enrollment help', pattern: /snap|heap|medicaid|medicare|section 8|enrollment/ },
+  { value: 'unhoused', label: 'Supplies for the unhoused', pattern: /unhoused|sleeping bag|backpack/ },
+];
+
+export const FACETS = [
+  { id: 'deliveries', label: 'Deliveries', field: 'Deliveries?', values: YES_NO_VALUES },
+  { id: 'drivethru', label: 'Drive Thru', field: 'Drive Thru?', values: YES_NO_VALUES },
+  {
+    id: 'services',
+    label: 'Additional Services',
+    field: 'Additional Services Offered',
+    values: [
+      ...SERVICE_KEYWORDS,
+      { value: 'other', label: 'Other services' },
+      { value: 'none', label: 'None' },
+      { value: 'unknown', label: 'Unknown' },
+    ],
+  },
+];
+
+// Helper: "Yes, please call" -> 'yes'; "NO" / "Not yet" -> 'no'; blank or anything else -> 'unknown'
+export function yesNoValue(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+  if (/^yes\b/.test(value)) return 'yes';
+  if (/^(no|not)\b/.test(value)) return 'no';
+  return 'unknown';
+}
+
+export function serviceValues(text) {
+  const value = String(text ?? '').toLowerCase().replace(/\s+/g, ' ');
+  const found = SERVICE_KEYWORDS.filter(k => k.pattern.test(value)).map(k => k.value);
+  if (found.length) return found;
+  const answer = yesNoValue(value);
+  if (answer === 'yes') return ['other'];
+  if (answer === 'no' || value === '0') return ['none'];
+  return ['unknown'];
+}
+
+export function facetValues(row, id) {
+  const facet = FACETS.find(f => f.id === id);
+  if (!facet) return [];
+  return id === 'services' ? serviceValues(row[facet.field]) : [yesNoValue(row[facet.field])];
+}
+
+// selection: { deliveries: ['yes'], services: ['diapers', 'hygiene'] }
+export function matchesFacets(row, selection, skip = null) {
+  return Object.entries(selection).every(([id, wanted]) =>
+    id === skip || !wanted.length || facetValues(row, id).some(v => wanted.includes(v)));
+}
+
+// { facetId: { value: count } } for rows that pass the other facets' selections
+export function countFacets(rows, selection) {
+  const counts = {};
+  FACETS.forEach(facet => {
+    counts[facet.id] = Object.fromEntries(facet.values.map(v => [v.value, 0]));
+    rows.forEach(row => {
+      if (!matchesFacets(row, selection, facet.id)) return;
+      facetValues(row, facet.id).forEach(v => { counts[facet.id][v] += 1; });
+    });
+  });
+  return counts;
+}
+
+export function selectedFacets(container) {
+  const selection = {};
+  container.querySelectorAll('input[type=checkbox][data-facet]').forEach(cb => {
+    if (!selection[cb.dataset.facet]) selection[cb.dataset.facet] = [];
+    if (cb.checked) selection[cb.dataset.facet].push(cb.dataset.value);
+  });
+  return selection;
+}
+
+// URL form: ['deliveries:yes', 'services:diapers']
+export function selectionToList(selection) {
+  return Object.entries(selection).flatMap(([id, values]) => values.map(v => `${id}:${v}`));
+}
+
+export function setupFacetPanel({ onChange }) {
+
+  // UI elements
+  const container = document.getElementById('facetFilters');
+
+  container.innerHTML = FACETS.map(facet => `
+    <fieldset class="facet" data-facet="${facet.id}">
+      <legend data-i18n="facet.${facet.id}">${t(`facet.${facet.id}`)}</legend>
+      ${facet.values.map(v => `
+        <label class="facet-option">
+          <input type="checkbox" data-facet="${facet.id}" data-value="${v.value}" />
+          <span data-i18n="facet.${v.value}">${t(`facet.${v.value}`)}</span>
+          <span class="facet-count" data-count="${facet.id}:${v.value}"></span>
+        </label>`).join('')}
+    </fieldset>`).join('');
+
+  container.addEventListener('change', onChange);
+
+  // baseRows: everything the other filters let through, before facets are applied
+  function update(baseRows) {
+    const counts = countFacets(baseRows, selectedFacets(container));
+    container.querySelectorAll('[data-count]').forEach(el => {
+      const [id, value] = el.dataset.count.split(':');
+      const n = counts[id][value];
+      el.textContent = `(${n})`;
+      const cb = el.parentElement.querySelector('input');
+      // keep checked values usable even at zero so they can be unticked
+      el.parentElement.classList.toggle('facet-empty', n === 0 && !cb.checked);
+    });
+  }
+
+  function set(list) {
+    container.querySelectorAll('input[data-facet]').forEach(cb => {
+      cb.checked = list.includes(`${cb.dataset.facet}:${cb.dataset.value}`);
+    });
+  }
+
+  return { update, set, clear: () => set([]) };
+}
@@ -0,0 +1,65 @@
+/* filters.js — every map filter as one plain object, applied to the rows
+   - filters: { types, query, openAt, zips, servesZip, includeUnlisted, nearRoute, nearMiles, facets,
+                stale, staleMonths }
+     (DEFAULT_FILTERS shows the shape); script.js reads it off the form controls
+   - filterRows(rows, filters, { facets, isNearRoute }) -> matching rows with coordinates,
+     best search match first; facets: false gives the rows the facet counts are based on
+   - isNearRoute(row, id, miles) comes from the caller (routes.js in the browser), so this
+     module never loads route geometry or Leaflet; without it nearRoute is ignored
+   DOM-free so the same filtering runs in Node.
+*/
+import { openStatus, scheduleFor } from './hours.js';
+import { servesZip } from './areas.js';
+import { parseQuery, searchRows } from './search.js';
+import { matchesFacets } from './facets.js';
+import { hasCoords } from './data.js';
+import { freshness } from './freshness.js';
+
+export const DEFAULT_FILTERS = {
+  types: [],              // Type names to show; none ticked shows nothing
+  query: '',              // search box text (see search.js for the syntax)
+  openAt: null,           // Date: only rows open at that moment
+  zips: [],               // row.Zip must be one of these
+  servesZip: '',          // 5-digit ZIP the row's Area Served must cover
+  includeUnlisted: true,  // with servesZip: keep rows whose Area Served is blank / unclear
+  nearRoute: '',          // route id from routes.geojson
+  nearMiles: 1,
+  facets: {},             // { facetId: [values] }, see facets.js
+  stale: 'all',           // 'hide' drops rows not verified within staleMonths ('highlight' is styling only)
+  staleMonths: 6,
+};
+
+export function filterRows(rows, filters = {}, { facets = true, isNearRoute = null } = {}) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const activeTypes = new Set(f.types);
+  const myZip = String(f.servesZip || '').trim();
+
+  // Search first: it decides the order (best match first) as well as what's left
+  const query = typeof f.query === 'string' ? parseQuery(f.query) : f.query;
+  const ranked = searchRows(rows, query).map(r => r.row);
+
+  return ranked.filter(row => {
+    if (!activeTypes.has(row.Type)) return false;
+    if (f.openAt && openStatus(scheduleFor(row), f.openAt).state !== 'open') return false;
+
+    // 🔹 ZIP filter
+    if (f.zips.length && (!row.Zip || !f.zips.includes(String(row.Zip).trim()))) return false;
+
+    // 🔹 "Serves my ZIP" — unlisted / unclear Area Served only passes when asked to
+    if (/^\d{5}$/.test(myZip)) {
+      const serves = servesZip(row, myZip);
+      if (serves === false || (serves === null && !f.includeUnlisted)) return false;
+    }
+
+    // 🔹 Within X miles of a route
+    if (f.nearRoute && isNearRoute && !isNearRoute(row, f.nearRoute, Number(f.nearMiles) || 1)) return false;
+
+    // 🔹 Deliveries / Drive Thru / services facets
+    if (facets && !matchesFacets(row, f.facets)) return false;
+
+    // 🔹 Not verified lately (never-verified rows count as stale)
+    if (f.stale === 'hide' && freshness(row, { months: f.staleMonths }).state !== 'fresh') return false;
+
+    return hasCoords(row);
+  });
+}
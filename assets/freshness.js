@@ -0,0 +1,132 @@
+/* freshness.js — how recently each location was confirmed, and what to follow up on
+   - Rows carry lastVerified (YYYY-MM-DD) and source (who / what confirmed it); blank
+     lastVerified means "never verified"
+   - freshness(row, { months, now }) -> { state: 'fresh' | 'stale' | 'unverified', date, ageMonths }
+     A row is stale once lastVerified is `months` whole months old or more (default STALE_MONTHS):
+     with months = 6, a row verified on 14 March is fresh until 13 September and stale from 14 September
+   - incompleteReasons(row): missing / placeholder hours, no phone or e-mail, no coordinates
+   - staleEntries(rows, opts): stale, unverified or incomplete rows, the longest-unconfirmed first
+   - staleReportCSV(entries) / staleReportHTML(entries, opts): the volunteers' call list
+   DOM-free so tools/stale-report.mjs builds the same report in Node; its text comes from
+   the locale files (i18n.js), CSV column names stay English
+*/
+import { toCSV } from './csv.js';
+import { validateRow } from './validate.js';
+import { escapeXML } from './escape.js';
+import { t, formatDateTime, getLanguage, getDirection } from './i18n.js';
+
+export const STALE_MONTHS = 6;
+
+// validate.js codes that mean "someone needs to call and ask" -> locale key of the reason
+const INCOMPLETE_CODES = {
+  'hours-missing': 'freshness.reason.noHours',
+  'hours-unverified': 'freshness.reason.placeholderHours',
+  'not-geocoded': 'freshness.reason.notGeocoded',
+};
+
+// Helper: "2026-03-14" -> local midnight that day, or null
+export function parseVerified(value) {
+  const m = String(value ?? '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function monthsBetween(from, to) {
+  const months = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+  return to.getDate() < from.getDate() ? months - 1 : months;
+}
+
+export function freshness(row, { months = STALE_MONTHS, now = new Date() } = {}) {
+  const date = parseVerified(row.lastVerified);
+  if (!date) return { state: 'unverified', date: null, ageMonths: null };
+  const ageMonths = Math.max(0, monthsBetween(date, now));
+  return { state: ageMonths >= months ? 'stale' : 'fresh', date, ageMonths };
+}
+
+export function incompleteReasons(row) {
+  const reasons = validateRow(row)
+    .filter(issue => INCOMPLETE_CODES[issue.code])
+    .map(issue => t(INCOMPLETE_CODES[issue.code]));
+  if (!String(row.Phone ?? '').trim() && !String(row.Email ?? '').trim()) reasons.push(t('freshness.reason.noContact'));
+  return reasons;
+}
+
+// [{ row, freshness, reasons }] for rows that are not fresh or are missing something
+export function staleEntries(rows, { months = STALE_MONTHS, now = new Date(), includeIncomplete = true } = {}) {
+  return rows
+    .map(row => ({ row, freshness: freshness(row, { months, now }), reasons: includeIncomplete ? incompleteReasons(row) : [] }))
+    .filter(e => e.freshness.state !== 'fresh' || e.reasons.length)
+    .sort((a, b) =>
+      (a.freshness.date ? a.freshness.date.getTime() : -Infinity) - (b.freshness.date ? b.freshness.date.getTime() : -Infinity)
+      || b.reasons.length - a.reasons.length
+      || String(a.row.Name).localeCompare(String(b.row.Name)));
+}
+
+// Helper: one-line status for the report
+export function statusText(entry) {
+  const { state, ageMonths } = entry.freshness;
+  if (state === 'unverified') return t('freshness.status.never');
+  if (state === 'stale') return t('freshness.status.monthsAgo', { count: ageMonths });
+  return t('freshness.status.recent');
+}
+
+const CSV_COLUMNS = ['Name', 'Type', 'Contact', 'Phone', 'Email', 'City', 'Last verified', 'Source', 'Status', 'Follow up'];
+
+export function staleReportCSV(entries) {
+  return toCSV(entries.map(entry => ({
+    'Name': entry.row.Name,
+    'Type': entry.row.Type,
+    'Contact': entry.row.Contact,
+    'Phone': entry.row.Phone,
+    'Email': entry.row.Email,
+    'City': entry.row.City,
+    'Last verified': entry.row.lastVerified,
+    'Source': entry.row.source,
+    'Status': statusText(entry),
+    'Follow up': entry.reasons.join('; '),
+  })), CSV_COLUMNS);
+}
+
+export function staleReportHTML(entries, { months = STALE_MONTHS, generated = new Date(), autoPrint = false } = {}) {
+  const esc = escapeXML;
+  const body = entries.map(entry => `
+    <tr>
+      <td><b>${esc(entry.row.Name || t('popup.defaultName'))}</b><br><small>${esc(entry.row.Type)} · ${esc(entry.row.City)}</small></td>
+      <td>${esc(entry.row.Contact)}<br>${esc(entry.row.Phone)}<br>${esc(entry.row.Email)}</td>
+      <td>${esc(statusText(entry))}${entry.row.source ? `<br><small>${esc(entry.row.source)}</small>` : ''}</td>
+      <td>${entry.reasons.map(esc).join('<br>')}</td>
+      <td class="check"></td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}" dir="${getDirection()}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(t('freshness.sheet.title'))}</title>
+<style>
+  body { font: 10.5pt/1.35 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #111; margin: 1.5rem; }
+  h1 { font-size: 16pt; margin: 0 0 .25rem; color: #2b6777; }
+  p { margin: 0 0 1rem; color: #555; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eef4f5; }
+  tr { break-inside: avoid; }
+  td.check { width: 4rem; }
+  @page { margin: 1.5cm; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${esc(t('freshness.sheet.title'))}</h1>
+<p>${esc(t('freshness.sheet.summary', { count: entries.length, months }))} · ${esc(t('freshness.sheet.generated', { date: formatDateTime(generated) }))}</p>
+${entries.length ? `<table>
+  <thead><tr><th>${esc(t('freshness.sheet.location'))}</th><th>${esc(t('popup.contact'))}</th><th>${esc(t('freshness.sheet.status'))}</th><th>${esc(t('freshness.sheet.followUp'))}</th><th>${esc(t('freshness.sheet.done'))}</th></tr></thead>
+  <tbody>${body}
+  </tbody>
+</table>` : `<p>${esc(t('freshness.sheet.allFresh'))} 🎉</p>`}
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>
+`;
+}
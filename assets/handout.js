@@ -0,0 +1,367 @@
+/* handout.js — printable map + directory handout (replaces the html2canvas screenshot)
+   - setupHandout(map, { getRows, markers, iconFor, typeColors, getBaseLayer, download, onStatus })
+       -> { open, close, isOpen }
+   - Handout mode sizes the map to the printable area of the chosen paper, swaps the
+     clustered markers for numbered ones, and shows a title, date, type legend and a
+     numbered index (name, address, hours, phone) of the locations in view
+   - Print goes through print CSS (@page Letter or A4)
+   - "Save PNG" redraws the sheet on a canvas at 1x/2x/3x; basemap tiles are fetched
+     again at a matching zoom so higher resolutions stay sharp
+*/
+import { t, typeLabel, formatDateTime } from './i18n.js';
+import { escapeHTML } from './escape.js';
+
+// Printable width at 96 CSS px per inch (Letter: 8.5in − 2 × 0.5in, A4: 210mm − 2 × 12mm)
+const PAPERS = {
+  letter: { label: 'Letter', page: 'letter portrait', margin: '0.5in', width: 720, mapHeight: 540 },
+  a4: { label: 'A4', page: 'A4 portrait', margin: '12mm', width: 703, mapHeight: 560 },
+};
+
+const FONT = "'Inter', 'Segoe UI', Roboto, sans-serif";
+
+function address(row) {
+  return [row.Street, row.City, [row.State, row.Zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+// Helper: resolves to null instead of rejecting so one missing tile doesn't sink the export
+function loadImage(src) {
+  return new Promise(resolve => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// Helper: greedy word wrap for canvas text
+function wrapText(ctx, text, width) {
+  const lines = [];
+  let line = '';
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    const test = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(test).width > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = test;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+}
+
+// Leaflet only builds tile URLs for the zoom on screen, so fill the layer's template ourselves
+function tileUrl(layer, x, y, z) {
+  const subdomains = layer.options.subdomains || [];
+  const s = subdomains.length ? subdomains[Math.abs(x + y) % subdomains.length] : '';
+  return L.Util.template(layer._url, L.extend({}, layer.options, { s, x, y, z, r: '' }));
+}
+
+export function setupHandout(map, { getRows, markers, iconFor, typeColors = {}, getBaseLayer, download, onStatus = () => {} }) {
+  const toolbar = document.getElementById('handoutToolbar');
+  const titleInput = document.getElementById('handoutTitle');
+  const paperSelect = document.getElementById('handoutPaper');
+  const scaleSelect = document.getElementById('handoutScale');
+  const printBtn = document.getElementById('handoutPrintBtn');
+  const pngBtn = document.getElementById('handoutPngBtn');
+  const closeBtn = document.getElementById('handoutCloseBtn');
+  const head = document.getElementById('handoutHead');
+  const heading = document.getElementById('handoutHeading');
+  const dateLine = document.getElementById('handoutDate');
+  const body = document.getElementById('handoutBody');
+  const legend = document.getElementById('handoutLegend');
+  const index = document.getElementById('handoutIndex');
+
+  const pageStyle = document.createElement('style');
+  document.head.appendChild(pageStyle);
+
+  const numbered = L.layerGroup();
+  let entries = [];   // [{ n, row }] in the order they are numbered
+  let open = false;
+  let saved = null;   // view kept across the resize into handout mode
+
+  const iconUrl = row => iconFor(row).options.iconUrl;
+
+  function setPaper(key) {
+    const paper = PAPERS[key] || PAPERS.letter;
+    document.body.dataset.paper = key;
+    document.body.style.setProperty('--sheet-width', `${paper.width}px`);
+    document.body.style.setProperty('--sheet-map-height', `${paper.mapHeight}px`);
+    pageStyle.textContent = `@page { size: ${paper.page}; margin: ${paper.margin}; }`;
+  }
+
+  function renderHead() {
+    heading.textContent = titleInput.value.trim() || titleInput.placeholder;
+    dateLine.textContent = formatDateTime(new Date(), { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  // Number what's in view top-to-bottom, left-to-right, so the index reads like the map
+  function renumber() {
+    const bounds = map.getBounds();
+    const visible = getRows()
+      .filter(row => row.latitude && row.longitude && bounds.contains([Number(row.latitude), Number(row.longitude)]))
+      .sort((a, b) => (Number(b.latitude) - Number(a.latitude)) || (Number(a.longitude) - Number(b.longitude)));
+    entries = visible.map((row, i) => ({ n: i + 1, row }));
+
+    numbered.clearLayers();
+    entries.forEach(({ n, row }) => {
+      const { iconSize: [w, h] = [25, 25], iconAnchor = [w / 2, h] } = iconFor(row).options;
+      numbered.addLayer(L.marker([Number(row.latitude), Number(row.longitude)], {
+        icon: L.divIcon({
+          className: 'handout-marker',
+          html: `<img src="${escapeHTML(iconUrl(row))}" alt="" width="${w}" height="${h}"><span style="background:${escapeHTML(typeColors[row.Type] || '#2b6777')}">${n}</span>`,
+          iconSize: [w, h],
+          iconAnchor,
+        }),
+        keyboard: false,
+      }).bindTooltip(`${n}. ${escapeHTML(row.Name)}`, { direction: 'top' }));
+    });
+
+    const types = [...new Set(entries.map(e => e.row.Type))].sort();
+    legend.innerHTML = types.map(type => {
+      const sample = entries.find(e => e.row.Type === type).row;
+      const count = entries.filter(e => e.row.Type === type).length;
+      return `<li><img src="${escapeHTML(iconUrl(sample))}" alt="">${escapeHTML(typeLabel(type))} <span>(${count})</span></li>`;
+    }).join('');
+
+    index.querySelector('tbody').innerHTML = entries.length
+      ? entries.map(({ n, row }) => `
+        <tr>
+          <td>${n}</td>
+          <td>${escapeHTML(row.Name)}</td>
+          <td>${escapeHTML(address(row))}</td>
+          <td>${escapeHTML(row['Hours of Operation'])}</td>
+          <td>${escapeHTML(row.Phone)}</td>
+        </tr>`).join('')
+      : `<tr><td colspan="5">${escapeHTML(t('handout.empty'))}</td></tr>`;
+
+    onStatus(t('handout.inView', { count: entries.length }));
+  }
+
+  function openHandout() {
+    if (open) return;
+    open = true;
+    saved = { center: map.getCenter(), zoom: map.getZoom() };
+    setPaper(paperSelect.value);
+    renderHead();
+    document.body.classList.add('handout-mode');
+    [toolbar, head, body].forEach(el => { el.hidden = false; });
+    map.removeLayer(markers);
+    numbered.addTo(map);
+    map.invalidateSize({ pan: false });
+    map.setView(saved.center, saved.zoom, { animate: false });
+    renumber();
+    map.on('moveend', renumber);
+  }
+
+  function closeHandout() {
+    if (!open) return;
+    open = false;
+    map.off('moveend', renumber);
+    document.body.classList.remove('handout-mode');
+    [toolbar, head, body].forEach(el => { el.hidden = true; });
+    map.removeLayer(numbered);
+    markers.addTo(map);
+    map.invalidateSize({ pan: false });
+    onStatus('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // PNG export: title, map (tiles + numbered markers), legend and index on one canvas
+  // ---------------------------------------------------------------------------
+
+  async function drawTiles(ctx, width, height, scale) {
+    const layer = getBaseLayer();
+    if (!layer || !layer._url) return false;
+    const zoom = Math.round(map.getZoom());
+    const maxZoom = layer.options.maxZoom ?? 18;
+    const z = Math.min(zoom + Math.ceil(Math.log2(scale)), maxZoom);
+    const factor = 2 ** (z - zoom);
+    const tileSize = layer.getTileSize().x;
+    const origin = map.project(map.containerPointToLatLng([0, 0]), z);
+    const drawn = tileSize / factor;
+    const max = 2 ** z;
+
+    const jobs = [];
+    for (let ty = Math.floor(origin.y / tileSize); ty * tileSize < origin.y + height * factor; ty++) {
+      if (ty < 0 || ty >= max) continue;
+      for (let tx = Math.floor(origin.x / tileSize); tx * tileSize < origin.x + width * factor; tx++) {
+        const x = (tx * tileSize - origin.x) / factor;
+        const y = (ty * tileSize - origin.y) / factor;
+        jobs.push(loadImage(tileUrl(layer, ((tx % max) + max) % max, ty, z)).then(img => ({ img, x, y })));
+      }
+    }
+    const tiles = await Promise.all(jobs);
+    tiles.forEach(({ img, x, y }) => { if (img) ctx.drawImage(img, x, y, drawn + 0.5, drawn + 0.5); });
+    return tiles.every(t => t.img);
+  }
+
+  async function renderCanvas(scale) {
+    const size = map.getSize();
+    const W = size.x;
+    const pad = 12;
+    const measure = document.createElement('canvas').getContext('2d');
+
+    // Layout pass: work out every row's height before sizing the canvas
+    const cols = [
+      { key: 'n', label: '#', width: 28 },
+      { key: 'name', label: t('popup.name'), width: Math.round((W - 28) * 0.27) },
+      { key: 'address', label: t('popup.address'), width: Math.round((W - 28) * 0.28) },
+      { key: 'hours', label: t('popup.hours'), width: Math.round((W - 28) * 0.28) },
+    ];
+    cols.push({ key: 'phone', label: t('popup.phone'), width: W - cols.reduce((sum, c) => sum + c.width, 0) });
+    measure.font = `11px ${FONT}`;
+    const lineH = 14;
+    const tableRows = entries.map(({ n, row }) => {
+      const cells = {
+        n: [String(n)],
+        name: wrapText(measure, row.Name, cols[1].width - 8),
+        address: wrapText(measure, address(row), cols[2].width - 8),
+        hours: wrapText(measure, row['Hours of Operation'], cols[3].width - 8),
+        phone: wrapText(measure, row.Phone, cols[4].width - 8),
+      };
+      return { n, row, cells, height: Math.max(...Object.values(cells).map(l => l.length)) * lineH + 6 };
+    });
+
+    const types = [...new Set(entries.map(e => e.row.Type))].sort();
+    const legendH = Math.ceil(types.length / 3) * 24 + pad;
+    const headH = 58;
+    const tableTop = headH + size.y + legendH;
+    const H = tableTop + 22 + tableRows.reduce((sum, r) => sum + r.height, 0) + pad;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(W * scale);
+    canvas.height = Math.round(H * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, W, H);
+
+    // Title + date
+    ctx.fillStyle = '#2b6777';
+    ctx.font = `600 20px ${FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(heading.textContent, 0, 6);
+    ctx.fillStyle = '#555';
+    ctx.font = `12px ${FONT}`;
+    ctx.fillText(dateLine.textContent, 0, 34);
+
+    // Map
+    ctx.save();
+    ctx.translate(0, headH);
+    ctx.beginPath();
+    ctx.rect(0, 0, W, size.y);
+    ctx.clip();
+    ctx.fillStyle = '#e8e8e8';
+    ctx.fillRect(0, 0, W, size.y);
+    const complete = await drawTiles(ctx, W, size.y, scale);
+
+    const icons = new Map();
+    await Promise.all([...new Set(entries.map(e => iconUrl(e.row)))].map(async url => icons.set(url, await loadImage(url))));
+    entries.forEach(({ n, row }) => {
+      const p = map.latLngToContainerPoint([Number(row.latitude), Number(row.longitude)]);
+      const { iconSize: [w, h] = [25, 25], iconAnchor: [ax, ay] = [w / 2, h] } = iconFor(row).options;
+      const left = p.x - ax, top = p.y - ay;
+      const img = icons.get(iconUrl(row));
+      if (img) ctx.drawImage(img, left, top, w, h);
+      // badge sits on the icon's top-right corner, like .handout-marker span
+      ctx.fillStyle = typeColors[row.Type] || '#2b6777';
+      ctx.beginPath();
+      ctx.arc(left + w - 2, top + 2, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#fff';
+      ctx.font = `bold 10px ${FONT}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(n), left + w - 2, top + 2.5);
+      ctx.textAlign = 'left';
+    });
+
+    const attribution = (getBaseLayer()?.options.attribution || '').replace(/<[^>]*>/g, '').replace(/&copy;/g, '©');
+    ctx.font = `9px ${FONT}`;
+    ctx.textBaseline = 'bottom';
+    const attrW = Math.min(ctx.measureText(attribution).width + 8, W);
+    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    ctx.fillRect(W - attrW, size.y - 14, attrW, 14);
+    ctx.fillStyle = '#333';
+    ctx.fillText(attribution, W - attrW + 4, size.y - 2, W - 8);
+    ctx.restore();
+    ctx.strokeStyle = '#999';
+    ctx.strokeRect(0.5, headH + 0.5, W - 1, size.y - 1);
+
+    // Legend, three per line
+    ctx.font = `12px ${FONT}`;
+    ctx.textBaseline = 'middle';
+    types.forEach((type, i) => {
+      const x = (i % 3) * (W / 3);
+      const y = headH + size.y + pad + Math.floor(i / 3) * 24 + 10;
+      const sample = entries.find(e => e.row.Type === type).row;
+      const img = icons.get(iconUrl(sample));
+      if (img) ctx.drawImage(img, x, y - 9, 18, 18);
+      ctx.fillStyle = '#333';
+      ctx.fillText(typeLabel(type), x + 24, y, W / 3 - 28);
+    });
+
+    // Index table
+    let x = 0;
+    ctx.fillStyle = '#2b6777';
+    ctx.fillRect(0, tableTop, W, 20);
+    ctx.fillStyle = '#fff';
+    ctx.font = `bold 11px ${FONT}`;
+    cols.forEach(col => { ctx.fillText(col.label, x + 4, tableTop + 10); x += col.width; });
+
+    ctx.font = `11px ${FONT}`;
+    ctx.textBaseline = 'top';
+    let y = tableTop + 22;
+    tableRows.forEach(({ cells, height }, i) => {
+      if (i % 2) {
+        ctx.fillStyle = '#f2f6f5';
+        ctx.fillRect(0, y - 2, W, height);
+      }
+      ctx.fillStyle = '#222';
+      x = 0;
+      cols.forEach(col => {
+        cells[col.key].forEach((line, j) => ctx.fillText(line, x + 4, y + 1 + j * lineH, col.width - 8));
+        x += col.width;
+      });
+      y += height;
+    });
+
+    return { canvas, complete };
+  }
+
+  async function savePNG() {
+    const scale = Number(scaleSelect.value) || 2;
+    pngBtn.disabled = true;
+    onStatus(t('handout.drawing'));
+    try {
+      const { canvas, complete } = await renderCanvas(scale);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      download(`community_map_handout_${scale}x.png`, blob, 'image/png');
+      onStatus(complete
+        ? t('handout.saved', { size: `${canvas.width}×${canvas.height}` })
+        : t('handout.savedMissingTiles', { size: `${canvas.width}×${canvas.height}` }));
+    } catch (err) {
+      console.error(err);
+      onStatus(t('handout.pngFailed'));
+    } finally {
+      pngBtn.disabled = false;
+    }
+  }
+
+  titleInput.addEventListener('input', renderHead);
+  paperSelect.addEventListener('change', () => {
+    setPaper(paperSelect.value);
+    map.invalidateSize({ pan: false });
+    renumber();
+  });
+  printBtn.addEventListener('click', () => {
+    renderHead();
+    window.print();
+  });
+  pngBtn.addEventListener('click', savePNG);
+  closeBtn.addEventListener('click', closeHandout);
+
+  return { open: openHandout, close: closeHandout, isOpen: () => open };
+}
@@ -0,0 +1,320 @@
+/* hours.js — parse free-text "Hours of Operation" into recurring schedules
+   - parseHours(text) -> { kind, rules, note, raw }
+       kind: 'always' | 'appointment' | 'recurring' | 'unknown'
+       rules: [{ days: [0..6], nth: [1..5, -1 = last] | null, ranges: [{ start, end }], call }]
+       (start/end are minutes after midnight; end > 1440 runs past midnight into the next day;
+       empty ranges = day listed, times not; call: true when that day says "call for hours")
+   - openStatus(schedule, date) -> { state, label }
+       state: 'open' | 'closed' | 'maybe' | 'appointment' | 'unknown'; label is translated (i18n.js)
+   - occurrences(schedule, from, days) -> dated openings for calendars
+   - scheduleFor(row) caches the parsed schedule per data row
+*/
+import { t } from './i18n.js';
+
+const DAY_WORDS = {
+  sunday: 0, sundays: 0, sun: 0,
+  monday: 1, mondays: 1, mon: 1, m: 1,
+  tuesday: 2, tuesdays: 2, tues: 2, tue: 2,
+  wednesday: 3, wednesdays: 3, wed: 3,
+  thursday: 4, thursdays: 4, thurs: 4, thur: 4, thu: 4, th: 4,
+  friday: 5, fridays: 5, fri: 5, f: 5,
+  saturday: 6, saturdays: 6, sat: 6,
+};
+
+const ORDINAL_WORDS = {
+  '1st': 1, first: 1,
+  '2nd': 2, second: 2,
+  '3rd': 3, third: 3,
+  '4th': 4, fourth: 4,
+  '5th': 5, fifth: 5,
+  last: -1,
+};
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest alternatives first so "thursday" wins over "thu" / "th"
+const DAY_PATTERN = Object.keys(DAY_WORDS).sort((a, b) => b.length - a.length).join('|');
+const ORDINAL_PATTERN = Object.keys(ORDINAL_WORDS).join('|');
+const TIME_PATTERN = '(?:noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?)';
+
+const TOKEN_RE = new RegExp([
+  `(?<always>24\\s*/\\s*7|24 hours|all day)`,
+  // "closes Friday at 7:00am": the end of the opening time given before it
+  `(?<close>\\bclos(?:es|ing|e)\\b(?:\\s+(?:on\\s+)?(?:${DAY_PATTERN})\\b\\.?)?(?:\\s+at)?\\s*${TIME_PATTERN})`,
+  `(?<call>\\bcall(?: or text)? (?:for|to|ahead)\\b)`,
+  `(?<range>${TIME_PATTERN}\\s*(?:-|–|to|until)\\s*${TIME_PATTERN}|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)\\s+\\d{1,2}(?::\\d{2})?\\s*(?:am|pm))`,
+  `(?<dayRange>\\b(?:${DAY_PATTERN})\\b\\.?\\s*(?:-|–|to|through|thru)\\s*\\b(?:${DAY_PATTERN})\\b)`,
+  `(?<weekday>\\bweekdays?\\b)`,
+  `(?<daily>\\b(?:daily|every ?day)\\b)`,
+  `(?<day>\\b(?:${DAY_PATTERN})\\b)`,
+  `(?<ordinal>\\b(?:${ORDINAL_PATTERN})\\b)`,
+  `(?<every>\\bevery\\b)`,
+  `(?<time>\\b(?:noon|midnight|\\d{1,2}:\\d{2}\\s*(?:am|pm)?|\\d{1,2}\\s*(?:am|pm))(?![\\w/]))`,
+].join('|'), 'g');
+
+const DAY_MINUTES = 24 * 60;
+
+const APPOINTMENT_RE = /\b(by appt|appointment|call (?:or text )?(?:for|to)|confidential request|call ahead)\b/;
+
+// Helper: lower-case and strip things that look like times but are not
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\(?\b\d{3}\)?[\s.-]?\d{3}-\d{4}\b/g, ' ')
+    .replace(/\b([ap])\.\s?m\.?/g, '$1m')
+    .replace(/\bsummer hours\b[\s\S]*$/, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper: "5:30pm" -> { h: 17, m: 30, meridiem: 'pm' } (hour still 12h when meridiem is unknown)
+function parseClock(str) {
+  const s = str.trim();
+  if (s === 'noon') return { h: 12, m: 0, meridiem: 'pm' };
+  if (s === 'midnight') return { h: 0, m: 0, meridiem: 'am' };
+  const match = s.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  const h = Number(match[1]), m = Number(match[2] || 0);
+  if (h > 24 || m > 59) return null;
+  return { h, m, meridiem: match[3] || null };
+}
+
+function toMinutes({ h, m }, meridiem) {
+  let hour = h % 12;
+  if (meridiem === 'pm') hour += 12;
+  if (h > 12) hour = h; // already 24h
+  return hour * 60 + m;
+}
+
+// Guess am/pm for bare hours: 7-11 are mornings, 12-6 afternoons
+function guessMeridiem(h) {
+  return h >= 7 && h <= 11 ? 'am' : 'pm';
+}
+
+function parseRange(str) {
+  const parts = str.split(/\s*(?:-|–|\bto\b|\buntil\b)\s*|\s+(?=\d)/).filter(Boolean);
+  if (parts.length !== 2) return null;
+  const a = parseClock(parts[0]), b = parseClock(parts[1]);
+  if (!a || !b) return null;
+
+  const endMeridiem = b.meridiem || guessMeridiem(b.h);
+  const end = toMinutes(b, endMeridiem);
+  let start;
+  if (a.meridiem) {
+    start = toMinutes(a, a.meridiem);
+  } else {
+    start = toMinutes(a, endMeridiem);
+    if (start > end) start = toMinutes(a, 'am');
+  }
+  if (end > start) return { start, end };
+  // "9pm-7am": an explicit evening start and morning end run overnight
+  if (b.meridiem === 'am' && (a.meridiem === 'pm' || start >= 12 * 60)) return { start, end: end + DAY_MINUTES };
+  return null;
+}
+
+function parseSingleTime(str) {
+  const c = parseClock(str);
+  if (!c) return null;
+  const start = toMinutes(c, c.meridiem || guessMeridiem(c.h));
+  // A lone start time ("Last Monday 5:00 pm") is treated as a one-hour window
+  return { start, end: Math.min(start + 60, DAY_MINUTES), approximate: true };
+}
+
+function dayRange(from, to) {
+  const days = [];
+  for (let d = from; ; d = (d + 1) % 7) {
+    days.push(d);
+    if (d === to || days.length > 7) break;
+  }
+  return days;
+}
+
+export function parseHours(text) {
+  const raw = String(text || '').trim();
+  const norm = normalize(raw);
+  if (!norm) return { kind: 'unknown', rules: [], note: '', raw };
+
+  const rules = [];
+  let always = false;
+  let current = null;        // rule whose days are being collected
+  let pendingNth = [];       // "2nd & 4th" waiting for a weekday
+  let pendingRanges = [];    // times listed before their days ("11-12 Tuesday-Thursday")
+  let timesFirst = false;
+  let contiguous = false;    // only separators between this token and the previous one
+  let lastRange = null;      // for a later "closes at"
+
+  function addDays(days) {
+    if (!current || current.ranges.length && !(timesFirst && contiguous)) {
+      current = { days: [], nth: null, ranges: [] };
+      rules.push(current);
+    }
+    // Ordinals only apply to the weekday right after them
+    if (pendingNth.length) {
+      if (current.days.length && !current.nth) {
+        current = { days: [], nth: null, ranges: [] };
+        rules.push(current);
+      }
+      current.nth = [...new Set([...(current.nth || []), ...pendingNth])];
+      pendingNth = [];
+    }
+    days.forEach(d => { if (!current.days.includes(d)) current.days.push(d); });
+    if (timesFirst && pendingRanges.length) {
+      current.ranges.push(...pendingRanges);
+      pendingRanges = [];
+    }
+  }
+
+  function addRange(range) {
+    if (!range) return;
+    lastRange = range;
+    pendingNth = [];
+    if (!current) {
+      timesFirst = true;
+      pendingRanges.push(range);
+    } else if (timesFirst) {
+      // a new time after days were already matched starts the next group
+      if (current.ranges.length && current.days.length) current = null;
+      pendingRanges.push(range);
+    } else {
+      current.ranges.push(range);
+    }
+  }
+
+  let lastEnd = 0;
+  for (const m of norm.matchAll(TOKEN_RE)) {
+    const g = m.groups;
+    contiguous = /^(?:[\s,&/.:;-]|and)*$/.test(norm.slice(lastEnd, m.index));
+    lastEnd = m.index + m[0].length;
+    if (g.always) {
+      always = true;
+    } else if (g.close) {
+      // only completes a lone opening time; "closes Friday" names the morning the night ends
+      const clock = parseClock(g.close.match(new RegExp(`${TIME_PATTERN}$`))[0]);
+      if (clock && lastRange && lastRange.approximate) {
+        let end = toMinutes(clock, clock.meridiem || guessMeridiem(clock.h));
+        if (end <= lastRange.start) end += DAY_MINUTES;
+        lastRange.end = end;
+        delete lastRange.approximate;
+      }
+    } else if (g.call) {
+      // "Thursday call for hours, Saturday 1-4pm": Thursday has no times of its own
+      if (current && current.days.length && !current.ranges.length && !pendingNth.length) {
+        current.call = true;
+        current = null;
+      }
+    } else if (g.range) {
+      addRange(parseRange(g.range));
+    } else if (g.dayRange) {
+      const [a, b] = g.dayRange.split(/\.?\s*(?:-|–|\bto\b|\bthrough\b|\bthru\b)\s*/);
+      addDays(dayRange(DAY_WORDS[a], DAY_WORDS[b]));
+    } else if (g.weekday) {
+      addDays([1, 2, 3, 4, 5]);
+    } else if (g.daily) {
+      addDays([0, 1, 2, 3, 4, 5, 6]);
+    } else if (g.day) {
+      addDays([DAY_WORDS[g.day]]);
+    } else if (g.ordinal) {
+      pendingNth.push(ORDINAL_WORDS[g.ordinal]);
+    } else if (g.every) {
+      pendingNth = [];
+    } else if (g.time) {
+      addRange(parseSingleTime(g.time));
+    }
+  }
+
+  const usable = rules.filter(r => r.days.length);
+  usable.forEach(r => {
+    r.days.sort((a, b) => a - b);
+    if (r.nth) r.nth.sort((a, b) => (a === -1) - (b === -1) || a - b);
+  });
+  const appointment = APPOINTMENT_RE.test(norm);
+
+  if (always) return { kind: 'always', rules: [], note: raw, raw };
+  if (usable.length) return { kind: 'recurring', rules: usable, note: raw, raw };
+  if (appointment) return { kind: 'appointment', rules: [], note: raw, raw };
+  return { kind: 'unknown', rules: [], note: raw, raw };
+}
+
+// Helper: which occurrence of its weekday this date is (1..5), and whether it is the last one
+export function weekdayOccurrence(date) {
+  const nth = Math.ceil(date.getDate() / 7);
+  const nextWeek = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7);
+  return { nth, last: nextWeek.getMonth() !== date.getMonth() };
+}
+
+// Does this rule apply on the calendar day of `date`?
+export function ruleMatchesDay(rule, date) {
+  if (!rule.days.includes(date.getDay())) return false;
+  if (!rule.nth) return true;
+  const { nth, last } = weekdayOccurrence(date);
+  return rule.nth.includes(nth) || (last && rule.nth.includes(-1));
+}
+
+function formatMinutes(mins) {
+  const h = Math.floor(mins / 60) % 24, m = mins % 60;
+  const suffix = h >= 12 ? 'pm' : 'am';
+  const h12 = h % 12 || 12;
+  return m ? `${h12}:${String(m).padStart(2, '0')}${suffix}` : `${h12}${suffix}`;
+}
+
+export function formatRange(range) {
+  return `${formatMinutes(range.start)}–${formatMinutes(range.end)}`;
+}
+
+export function openStatus(schedule, date = new Date()) {
+  switch (schedule.kind) {
+    case 'always':
+      return { state: 'open', label: t('hours.always') };
+    case 'appointment':
+      return { state: 'appointment', label: t('hours.appointment') };
+    case 'unknown':
+      return { state: 'unknown', label: t('hours.unknown') };
+  }
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const today = schedule.rules.filter(r => ruleMatchesDay(r, date));
+  const ranges = today.flatMap(r => r.ranges);
+
+  // an overnight opening that started yesterday
+  const yesterday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  const carried = schedule.rules
+    .filter(r => ruleMatchesDay(r, yesterday))
+    .flatMap(r => r.ranges)
+    .find(r => r.end > DAY_MINUTES && minutes < r.end - DAY_MINUTES);
+  if (carried) return { state: 'open', label: t('hours.openUntil', { time: formatMinutes(carried.end) }) };
+
+  const current = ranges.find(r => minutes >= r.start && minutes < r.end);
+  if (current) return { state: 'open', label: t('hours.openUntil', { time: formatMinutes(current.end) }) };
+
+  const unlisted = today.filter(r => !r.ranges.length);
+  if (unlisted.some(r => r.call)) return { state: 'maybe', label: t('hours.callToday') };
+  if (unlisted.length) return { state: 'maybe', label: t('hours.openToday') };
+
+  const later = ranges.filter(r => r.start > minutes).sort((a, b) => a.start - b.start)[0];
+  if (later) return { state: 'closed', label: t('hours.closedOpens', { time: formatMinutes(later.start) }) };
+  return { state: 'closed', label: t('hours.closed') };
+}
+
+// List concrete openings in [from, from + days), earliest first.
+// Each item: { date, rule, range } with range = null when the times are not listed.
+export function occurrences(schedule, from = new Date(), days = 30) {
+  if (schedule.kind !== 'recurring') return [];
+  const out = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+    for (const rule of schedule.rules) {
+      if (!ruleMatchesDay(rule, date)) continue;
+      if (!rule.ranges.length) out.push({ date, rule, range: null });
+      rule.ranges.forEach(range => out.push({ date, rule, range }));
+    }
+  }
+  return out.sort((a, b) => a.date - b.date || (a.range ? a.range.start : -1) - (b.range ? b.range.start : -1));
+}
+
+const scheduleCache = new WeakMap();
+
+export function scheduleFor(row) {
+  if (!scheduleCache.has(row)) scheduleCache.set(row, parseHours(row['Hours of Operation']));
+  return scheduleCache.get(row);
+}
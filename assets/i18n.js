@@ -0,0 +1,144 @@
+/* i18n.js — interface translations
+   - Strings live in ./assets/locales/<code>.json (flat keys, "{name}" placeholders);
+     English is always loaded too and fills any key a locale is missing
+   - Plural strings are objects keyed by Intl.PluralRules category (one, few, many, other, ...)
+     and are picked with the {count} parameter
+   - Static markup opts in with data-i18n="key" (text), data-i18n-html, and
+     data-i18n-title / -placeholder / -aria-label for attributes
+   - Type names are translated for display only (typeLabel); row.Type stays the key
+     used for filtering and icon lookup
+   - setLanguage() sets <html lang dir> (Arabic is right-to-left) and remembers the choice
+   - useStrings(code, table) switches language from tables already in hand (Node tests)
+*/
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'uk', name: 'Українська', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+];
+
+const STORAGE_KEY = 'language';
+const ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+// Internal state
+let current = 'en';
+let strings = {};
+let fallback = {};
+const cache = new Map();
+
+async function fetchLocale(code) {
+  if (!cache.has(code)) {
+    cache.set(code, fetch(`./assets/locales/${code}.json`).then(res => {
+      if (!res.ok) throw new Error(`Failed to fetch locale ${code}`);
+      return res.json();
+    }));
+  }
+  return cache.get(code);
+}
+
+export function getLanguage() {
+  return current;
+}
+
+export function getDirection(code = current) {
+  return (LANGUAGES.find(l => l.code === code) || LANGUAGES[0]).dir;
+}
+
+// Saved choice, then the browser's languages, then English
+export function preferredLanguage() {
+  let saved = null;
+  try { saved = localStorage.getItem(STORAGE_KEY); } catch (err) { /* storage blocked */ }
+  const wanted = [saved, ...(navigator.languages || [navigator.language])].filter(Boolean);
+  for (const tag of wanted) {
+    const base = tag.toLowerCase().split('-')[0];
+    if (LANGUAGES.some(l => l.code === base)) return base;
+  }
+  return 'en';
+}
+
+// Helper: pick the plural form, then fill in {placeholders}
+function format(entry, params) {
+  let text = entry;
+  if (entry && typeof entry === 'object') {
+    const count = Number(params.count);
+    const category = new Intl.PluralRules(current).select(count);
+    text = entry[category] ?? entry.other ?? Object.values(entry)[0];
+  }
+  return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? new Intl.NumberFormat(current).format(value) : String(value);
+  });
+}
+
+export function t(key, params = {}) {
+  const entry = strings[key] ?? fallback[key];
+  return entry === undefined ? key : format(entry, params);
+}
+
+export function typeLabel(type) {
+  const key = `type.${type}`;
+  return strings[key] ?? fallback[key] ?? type;
+}
+
+// Locale-aware date/time; options as for Intl.DateTimeFormat
+export function formatDateTime(date, options = {}) {
+  return new Intl.DateTimeFormat(current, options).format(date);
+}
+
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  // only for strings from our own locale files (they contain <code> markup)
+  root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  ATTRIBUTES.forEach(attr => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+// Node (tests, tools): use already-loaded locale tables without fetching or touching the page
+export function useStrings(code, table, english = table) {
+  current = code;
+  strings = table;
+  fallback = english;
+}
+
+export async function setLanguage(code) {
+  const lang = LANGUAGES.some(l => l.code === code) ? code : 'en';
+  fallback = await fetchLocale('en');
+  try {
+    strings = lang === 'en' ? fallback : await fetchLocale(lang);
+  } catch (err) {
+    console.error(err);
+    cache.delete(lang);
+    strings = fallback;
+    return setLanguage('en');
+  }
+  current = lang;
+  document.documentElement.lang = lang;
+  document.documentElement.dir = getDirection(lang);
+  try { localStorage.setItem(STORAGE_KEY, lang); } catch (err) { /* storage blocked */ }
+  applyTranslations();
+  return lang;
+}
+
+export function setupLanguagePicker({ onChange }) {
+
+  // UI elements
+  const select = document.getElementById('languageSelect');
+
+  select.innerHTML = LANGUAGES
+    .map(l => `<option value="${l.code}" lang="${l.code}" dir="${l.dir}">${l.name}</option>`)
+    .join('');
+  select.value = current;
+
+  select.addEventListener('change', async () => {
+    await setLanguage(select.value);
+    select.value = current;
+    onChange(current);
+  });
+
+  return { sync: () => { select.value = current; } };
+}
@@ -0,0 +1,145 @@
+/* ics.js — iCalendar (RFC 5545) export of parsed opening schedules
+   - One VEVENT per schedule rule / time range, repeating with an RRULE
+   - Weekly rules -> FREQ=WEEKLY;BYDAY=TU,TH
+   - "2nd & last Thursday" -> FREQ=MONTHLY;BYDAY=2TH,-1TH
+   - Rules without listed times become all-day events
+   - UID = locationId(row) + the first occurrence's start + the rule's days, so re-exporting
+     a filtered or reordered list updates the same calendar events instead of duplicating them
+*/
+import { scheduleFor, occurrences } from './hours.js';
+import { locationId } from './urlstate.js';
+
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const TZID = 'America/New_York';
+
+// Clients that don't know the IANA name still get Eastern time from this block
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// Helper: escape TEXT values (backslash, comma, semicolon, newline)
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper: fold lines longer than 75 octets
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let chunk = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (new TextEncoder().encode(chunk + ch).length > limit) {
+      parts.push(chunk);
+      chunk = '';
+    }
+    chunk += ch;
+  }
+  parts.push(chunk);
+  return parts.join('\r\n ');
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+function formatDate(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+// minutes past 24:00 (overnight openings) roll over to the next day
+function formatLocal(date, minutes) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + Math.floor(minutes / 1440));
+  const rest = minutes % 1440;
+  return `${formatDate(day)}T${pad(Math.floor(rest / 60))}${pad(rest % 60)}00`;
+}
+
+function formatUTC(date) {
+  return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+function bydayFor(rule) {
+  if (!rule.nth) return rule.days.map(d => BYDAY[d]).join(',');
+  return rule.nth.flatMap(n => rule.days.map(d => `${n}${BYDAY[d]}`)).join(',');
+}
+
+function rruleFor(rule) {
+  return `RRULE:FREQ=${rule.nth ? 'MONTHLY' : 'WEEKLY'};BYDAY=${bydayFor(rule)}`;
+}
+
+// Build the VEVENT lines for one data row; rows without a recurring schedule yield none
+function eventsForRow(row, from, stamp) {
+  const schedule = scheduleFor(row);
+  const address = [row.Street, row.City, row.State, row.Zip].filter(Boolean).join(', ');
+  const description = [
+    row.Type,
+    `Hours: ${row['Hours of Operation']}`,
+    row.Phone && `Phone: ${row.Phone}`,
+    row['Area Served'] && `Area served: ${row['Area Served']}`,
+  ].filter(Boolean).join('\n');
+
+  const lines = [];
+  schedule.rules.forEach(rule => {
+    // Anchor DTSTART on the first real occurrence so the RRULE lines up
+    const first = occurrences({ kind: 'recurring', rules: [rule] }, from, 62)[0];
+    if (!first) return;
+
+    const ranges = rule.ranges.length ? rule.ranges : [null];
+    ranges.forEach(range => {
+      const start = range ? formatLocal(first.date, range.start) : formatDate(first.date);
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${locationId(row)}-${start}-${bydayFor(rule).replace(/,/g, '-').toLowerCase()}@broome-services-map`);
+      lines.push(`DTSTAMP:${stamp}`);
+      if (range) {
+        lines.push(`DTSTART;TZID=${TZID}:${start}`);
+        lines.push(`DTEND;TZID=${TZID}:${formatLocal(first.date, range.end)}`);
+      } else {
+        const next = new Date(first.date.getFullYear(), first.date.getMonth(), first.date.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${start}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(next)}`);
+      }
+      lines.push(rruleFor(rule));
+      lines.push(`SUMMARY:${escapeText(row.Name)}`);
+      if (address) lines.push(`LOCATION:${escapeText(address)}`);
+      if (row.latitude && row.longitude) lines.push(`GEO:${Number(row.latitude)};${Number(row.longitude)}`);
+      lines.push(`DESCRIPTION:${escapeText(description)}`);
+      lines.push('END:VEVENT');
+    });
+  });
+  return lines;
+}
+
+export function buildICS(rows, from = new Date()) {
+  const stamp = formatUTC(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Broome County Community Services Map//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Broome County Food & Shelter Services',
+    `X-WR-TIMEZONE:${TZID}`,
+    ...VTIMEZONE,
+  ];
+  rows.forEach(row => lines.push(...eventsForRow(row, from, stamp)));
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
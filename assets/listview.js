@@ -0,0 +1,227 @@
+/* listview.js — accessible results list, kept in sync with the map
+   - Renders the same filtered rows as the markers, sortable by best match (search order),
+     name, type, city or distance (from the "Find near me" point when set, otherwise
+     from the map centre)
+   - Keyboard: the list is one tab stop (ARIA listbox); ↑/↓/Home/End/PageUp/PageDown move,
+     Enter/Space opens the location's popup and moves focus into it, Escape in the
+     popup returns focus to the list
+   - Hovering an item rings its marker; hovering a marker highlights its item, and
+     the open popup's item stays selected
+   - R (or the + on an item) adds / removes the location from the referral (referral.js)
+   - setupListView(map, { onSelect, getOrigin, onRefer, isReferred }) -> { update(rows, { ranked }),
+       toggle(), refresh(), hover(row, on), select(row) }
+*/
+import { haversineMiles } from './nearby.js';
+import { openStatus, scheduleFor } from './hours.js';
+import { t, typeLabel } from './i18n.js';
+
+const PAGE = 10;
+
+const SORTS = {
+  // rows arrive best-first while a search is active; otherwise fall back to name
+  relevance: (a, b, ranked) => (ranked ? a.index - b.index : SORTS.name(a, b)),
+  name: (a, b) => String(a.row.Name).localeCompare(String(b.row.Name)),
+  type: (a, b) => String(a.row.Type).localeCompare(String(b.row.Type)) || SORTS.name(a, b),
+  city: (a, b) => String(a.row.City).localeCompare(String(b.row.City)) || SORTS.name(a, b),
+  distance: (a, b) => a.miles - b.miles || SORTS.name(a, b),
+};
+
+export function setupListView(map, { onSelect, getOrigin = () => null, onRefer = null, isReferred = () => false }) {
+
+  // UI elements
+  const panel = document.getElementById('results');
+  const list = document.getElementById('resultsList');
+  const summary = document.getElementById('resultsSummary');
+  const sortSelect = document.getElementById('resultsSort');
+
+  // Internal state
+  let currentRows = [];
+  let ranked = false;       // currentRows are in search-relevance order
+  let items = [];           // [{ row, miles, el }] in display order
+  let active = -1;          // keyboard cursor
+  let selectedRow = null;   // row whose popup is open
+  let returnFocus = false;  // focus went from the list into a popup
+  const ring = L.layerGroup().addTo(map);
+
+  function origin() {
+    const o = getOrigin();
+    if (o) return { ...o, label: o.label || t('list.searchPoint') };
+    const c = map.getCenter();
+    return { lat: c.lat, lon: c.lng, label: t('list.mapCentre') };
+  }
+
+  function render() {
+    if (panel.hidden) return;
+    const from = origin();
+    const sort = SORTS[sortSelect.value] || SORTS.name;
+    items = currentRows.map((row, index) => ({
+      row,
+      index,
+      miles: haversineMiles(from, { lat: Number(row.latitude), lon: Number(row.longitude) }),
+    })).sort((a, b) => sort(a, b, ranked));
+
+    list.innerHTML = '';
+    items.forEach((item, i) => {
+      const { row, miles } = item;
+      const status = openStatus(scheduleFor(row));
+      const li = document.createElement('li');
+      li.id = `result-${i}`;
+      li.className = 'result-item';
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', row === selectedRow ? 'true' : 'false');
+      li.innerHTML = `
+        <span class="result-name"></span>
+        <span class="result-meta"></span>
+        <span class="hours-badge hours-${status.state}"></span>`;
+      const referred = isReferred(row);
+      li.classList.toggle('referred', referred);
+      if (onRefer) {
+        // mouse shortcut only: options can't hold focusable controls, keyboard users press R
+        const refer = document.createElement('span');
+        refer.className = 'result-refer';
+        refer.setAttribute('aria-hidden', 'true');
+        refer.textContent = referred ? '✓' : '+';
+        refer.title = t(referred ? 'list.removeReferral' : 'list.addReferral');
+        refer.addEventListener('click', e => {
+          e.stopPropagation();
+          setActive(i);
+          onRefer(row);
+        });
+        li.appendChild(refer);
+      }
+      const name = row.Name || t('popup.defaultName');
+      const type = row.Type ? typeLabel(row.Type) : '';
+      li.querySelector('.result-name').textContent = name;
+      li.querySelector('.result-meta').textContent =
+        `${type} · ${[row.Street, row.City].filter(Boolean).join(', ')} · ${miles.toFixed(1)} ${t('unit.mi')}`;
+      li.querySelector('.hours-badge').textContent = status.label;
+      li.setAttribute('aria-label', t(referred ? 'list.itemLabelReferred' : 'list.itemLabel', {
+        name, type, city: row.City || '', status: status.label, miles: miles.toFixed(1), from: from.label,
+      }));
+
+      li.addEventListener('click', () => choose(i));
+      li.addEventListener('mouseenter', () => ringRow(row, true));
+      li.addEventListener('mouseleave', () => ringRow(row, false));
+      item.el = li;
+      list.appendChild(li);
+    });
+
+    const sortName = sortSelect.selectedOptions[0].textContent.toLowerCase();
+    summary.textContent = items.length
+      ? sortSelect.value === 'distance'
+        ? t('list.summaryFrom', { count: items.length, sort: sortName, from: from.label })
+        : t('list.summary', { count: items.length, sort: sortName })
+      : t('list.none');
+
+    const keep = items.findIndex(item => item.row === selectedRow);
+    setActive(keep >= 0 ? keep : Math.min(active, items.length - 1), false);
+  }
+
+  function setActive(i, scroll = true) {
+    items.forEach(item => item.el.classList.remove('active'));
+    active = i;
+    const item = items[i];
+    if (!item) {
+      list.removeAttribute('aria-activedescendant');
+      return;
+    }
+    item.el.classList.add('active');
+    list.setAttribute('aria-activedescendant', item.el.id);
+    if (scroll) item.el.scrollIntoView({ block: 'nearest' });
+  }
+
+  function ringRow(row, on) {
+    ring.clearLayers();
+    if (!on) return;
+    L.circleMarker([Number(row.latitude), Number(row.longitude)], {
+      radius: 20, color: '#d46e26', weight: 3, fill: false, interactive: false,
+    }).addTo(ring);
+  }
+
+  function choose(i) {
+    const item = items[i];
+    if (!item) return;
+    setActive(i);
+    returnFocus = true;
+    onSelect(item.row);
+  }
+
+  list.addEventListener('keydown', e => {
+    const last = items.length - 1;
+    const moves = {
+      ArrowDown: Math.min(active + 1, last),
+      ArrowUp: Math.max(active - 1, 0),
+      Home: 0,
+      End: last,
+      PageDown: Math.min(active + PAGE, last),
+      PageUp: Math.max(active - PAGE, 0),
+    };
+    if (e.key in moves) {
+      e.preventDefault();
+      setActive(moves[e.key]);
+      ringRow(items[active].row, true);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      choose(active);
+    } else if ((e.key === 'r' || e.key === 'R') && onRefer && items[active]) {
+      e.preventDefault();
+      onRefer(items[active].row);
+    }
+  });
+
+  list.addEventListener('focus', () => {
+    if (active < 0 && items.length) setActive(0);
+  });
+  list.addEventListener('blur', () => ring.clearLayers());
+
+  sortSelect.addEventListener('change', render);
+
+  // Sorting by distance from the map centre follows the map
+  map.on('moveend', () => {
+    if (sortSelect.value === 'distance' && !getOrigin()) render();
+  });
+
+  // Move focus into the popup that the list opened; give it back on close
+  map.on('popupopen', e => {
+    if (!returnFocus) return;
+    const content = e.popup.getElement().querySelector('.leaflet-popup-content');
+    content.setAttribute('tabindex', '-1');
+    content.focus();
+  });
+  map.on('popupclose', () => {
+    const inPopup = !document.activeElement || document.activeElement === document.body ||
+      map.getContainer().contains(document.activeElement);
+    if (returnFocus && inPopup && !panel.hidden) list.focus();
+    returnFocus = false;
+  });
+
+  return {
+    // Called whenever the filters change
+    update(filteredRows, options = {}) {
+      currentRows = filteredRows;
+      ranked = Boolean(options.ranked);
+      render();
+    },
+    refresh: render,
+    toggle() {
+      panel.hidden = !panel.hidden;
+      render();
+      return !panel.hidden;
+    },
+    // Marker hover -> highlight the matching item
+    hover(row, on) {
+      const item = items.find(it => it.row === row);
+      if (!item) return;
+      item.el.classList.toggle('hover', on);
+      if (on) item.el.scrollIntoView({ block: 'nearest' });
+    },
+    // Marker popup open (row) / closed (null) -> selected item
+    select(row) {
+      selectedRow = row;
+      items.forEach((item, i) => {
+        item.el.setAttribute('aria-selected', item.row === row ? 'true' : 'false');
+        if (item.row === row) setActive(i);
+      });
+    },
+  };
+}
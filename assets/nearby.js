@@ -0,0 +1,189 @@
+/* nearby.js — "Find near me": rank the filtered rows by great-circle distance
+   - Origin from a map click, browser geolocation, typed "lat, lon",
+     or a typed ZIP / town found in the data (centroid of its rows)
+   - Shows the top N within a radius, draws the radius circle and rings the matches
+   - setupNearbyFinder(map, { rows, onSelect, onOriginChange }) -> { update(filteredRows), clear(), getOrigin() }
+*/
+import { t } from './i18n.js';
+
+const EARTH_RADIUS_MI = 3958.8;
+const METERS_PER_MILE = 1609.344;
+
+export function haversineMiles(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MI * Math.asin(Math.sqrt(h));
+}
+
+// Rows sorted nearest-first, each as { row, miles }
+export function rankByDistance(rows, origin, { limit = Infinity, maxMiles = Infinity } = {}) {
+  return rows
+    .map(row => ({ row, miles: haversineMiles(origin, { lat: Number(row.latitude), lon: Number(row.longitude) }) }))
+    .filter(r => !Number.isNaN(r.miles) && r.miles <= maxMiles)
+    .sort((a, b) => a.miles - b.miles)
+    .slice(0, limit);
+}
+
+// Helper: "42.1, -75.9" -> { lat, lon }, or a ZIP / city centroid from the data
+export function parseOrigin(text, rows) {
+  const value = String(text || '').trim();
+  const coords = value.match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (coords) {
+    const lat = Number(coords[1]), lon = Number(coords[2]);
+    if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) return { lat, lon, label: `${lat}, ${lon}` };
+    return null;
+  }
+
+  const needle = value.toLowerCase();
+  if (!needle) return null;
+  const matches = rows.filter(r =>
+    String(r.Zip || '').trim() === needle || String(r.City || '').trim().toLowerCase() === needle);
+  if (!matches.length) return null;
+
+  const lat = matches.reduce((sum, r) => sum + Number(r.latitude), 0) / matches.length;
+  const lon = matches.reduce((sum, r) => sum + Number(r.longitude), 0) / matches.length;
+  return { lat, lon, label: value };
+}
+
+export function setupNearbyFinder(map, { rows, onSelect, onOriginChange = () => {} }) {
+
+  // UI elements
+  const pickBtn = document.getElementById('nearbyPickBtn');
+  const locateBtn = document.getElementById('nearbyLocateBtn');
+  const clearBtn = document.getElementById('nearbyClearBtn');
+  const originInput = document.getElementById('nearbyOrigin');
+  const countInput = document.getElementById('nearbyCount');
+  const radiusInput = document.getElementById('nearbyRadius');
+  const results = document.getElementById('nearbyResults');
+
+  // Internal state
+  let origin = null;
+  let currentRows = [];
+  let picking = false;
+  const layer = L.layerGroup().addTo(map);
+
+  function setPicking(on) {
+    picking = on;
+    pickBtn.classList.toggle('active', on);
+    map.getContainer().style.cursor = on ? 'crosshair' : '';
+  }
+
+  function render() {
+    layer.clearLayers();
+    results.innerHTML = '';
+    if (!origin) return;
+
+    const limit = Math.max(1, Number(countInput.value) || 5);
+    const maxMiles = Number(radiusInput.value) || Infinity;
+    const ranked = rankByDistance(currentRows, origin, { limit, maxMiles });
+
+    L.circleMarker([origin.lat, origin.lon], {
+      radius: 7, color: '#fff', weight: 2, fillColor: '#2b6777', fillOpacity: 1,
+    }).bindTooltip(origin.label || t('nearby.origin')).addTo(layer);
+
+    // Radius circle: the typed radius, or just enough to cover the results
+    const circleMiles = Number.isFinite(maxMiles) ? maxMiles : (ranked.length ? ranked[ranked.length - 1].miles : 0);
+    if (circleMiles) {
+      L.circle([origin.lat, origin.lon], {
+        radius: circleMiles * METERS_PER_MILE,
+        color: '#2b6777', weight: 2, dashArray: '6 4', fillOpacity: 0.05,
+        interactive: false,
+      }).addTo(layer);
+    }
+
+    if (!ranked.length) {
+      const li = document.createElement('li');
+      li.className = 'hint';
+      li.textContent = t('nearby.none');
+      results.appendChild(li);
+      return;
+    }
+
+    ranked.forEach(({ row, miles }, i) => {
+      L.circleMarker([Number(row.latitude), Number(row.longitude)], {
+        radius: 22, color: '#f5a623', weight: 3, fill: false, interactive: false,
+      }).addTo(layer);
+
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'nearby-item';
+      btn.textContent = t('nearby.item', { n: i + 1, name: row.Name || t('popup.defaultName'), miles: miles.toFixed(1) });
+      btn.title = row.Type || '';
+      btn.addEventListener('click', () => onSelect(row));
+      li.appendChild(btn);
+      results.appendChild(li);
+    });
+  }
+
+  function setOrigin(next) {
+    origin = next;
+    if (origin) originInput.value = origin.label || `${origin.lat.toFixed(5)}, ${origin.lon.toFixed(5)}`;
+    render();
+    onOriginChange(origin);
+  }
+
+  pickBtn.addEventListener('click', () => setPicking(!picking));
+
+  map.on('click', e => {
+    if (!picking) return;
+    setPicking(false);
+    const lat = Number(e.latlng.lat.toFixed(5)), lon = Number(e.latlng.lng.toFixed(5));
+    setOrigin({ lat, lon, label: `${lat}, ${lon}` });
+  });
+
+  locateBtn.addEventListener('click', () => {
+    if (!navigator.geolocation) {
+      originInput.value = '';
+      originInput.placeholder = t('nearby.unavailable');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      pos => {
+        const lat = Number(pos.coords.latitude.toFixed(5)), lon = Number(pos.coords.longitude.toFixed(5));
+        setOrigin({ lat, lon, label: t('nearby.locate') });
+        map.setView([lat, lon], Math.max(map.getZoom(), 13));
+      },
+      err => {
+        console.error('Geolocation error:', err);
+        originInput.placeholder = t('nearby.locateFailed');
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  });
+
+  originInput.addEventListener('change', () => {
+    const parsed = parseOrigin(originInput.value, rows);
+    originInput.classList.toggle('invalid', !parsed && !!originInput.value.trim());
+    if (parsed) setOrigin(parsed);
+  });
+
+  countInput.addEventListener('change', render);
+  radiusInput.addEventListener('change', render);
+
+  function clear() {
+    setPicking(false);
+    origin = null;
+    originInput.value = '';
+    originInput.classList.remove('invalid');
+    render();
+    onOriginChange(null);
+  }
+
+  clearBtn.addEventListener('click', clear);
+
+  // Called whenever the filters change so ranking respects them
+  function update(filteredRows) {
+    currentRows = filteredRows;
+    render();
+  }
+
+  return {
+    update,
+    clear,
+    getOrigin: () => origin,
+  };
+}
@@ -0,0 +1,152 @@
+/* popup.js — the marker popup and its "Copy Info" text
+   - buildPopup(row, { query, warnings, inTrip, at }) -> HTML string
+       query: parsed search (parseQuery) whose words are wrapped in <mark>
+       warnings: NWS alerts covering the row (alerts.js), inTrip: row is a trip stop,
+       inReferral: row is in the referral basket (referral.js)
+       at: time the hours badge is computed for (default now)
+       staleMonths: age at which the "last verified" badge turns stale (freshness.js)
+   - Every value from the data or the NWS feed is escaped; the only markup added is
+     <mark>, and <a> for links we build ourselves
+   - linkSegments(text, { phones }) splits text into plain runs and links: http(s) / www.
+     URLs, e-mail addresses (mailto:) and, for Phone / Contact, US phone numbers (tel:)
+   - directionsURL(row) -> Google Maps directions to the row's coordinates or address
+   - copyText(row) -> plain-text summary used by the Copy Info button
+   DOM-free; labels come from i18n.js in the current interface language.
+*/
+import { openStatus, scheduleFor } from './hours.js';
+import { highlightHTML } from './search.js';
+import { locationId } from './urlstate.js';
+import { hasCoords } from './data.js';
+import { freshness, STALE_MONTHS } from './freshness.js';
+import { t, typeLabel, formatDateTime } from './i18n.js';
+import { escapeHTML } from './escape.js';
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /\(?\b\d{3}\)?[\s.-]*\d{3}[\s.-]*\d{4}\b/g;
+
+// Fields whose numbers get tel: links (elsewhere a 10-digit run is more likely an ID)
+const PHONE_FIELDS = ['Phone', 'Contact'];
+
+// Helper: only http(s) survives; anything URL() rejects is left as plain text
+function webHref(text) {
+  try {
+    const url = new URL(/^www\./i.test(text) ? `https://${text}` : text);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// [{ text, href }] with href null for plain runs; joining the texts gives back the input
+export function linkSegments(text, { phones = false } = {}) {
+  const value = String(text ?? '');
+  const found = [];
+  for (const m of value.matchAll(URL_PATTERN)) {
+    // "see https://example.org/form." — the full stop is not part of the link
+    const raw = m[0].replace(/[.,;:!?)\]]+$/, '');
+    const href = webHref(raw);
+    if (href) found.push({ start: m.index, end: m.index + raw.length, href });
+  }
+  for (const m of value.matchAll(EMAIL_PATTERN)) {
+    found.push({ start: m.index, end: m.index + m[0].length, href: `mailto:${m[0]}` });
+  }
+  if (phones) {
+    for (const m of value.matchAll(PHONE_PATTERN)) {
+      found.push({ start: m.index, end: m.index + m[0].length, href: `tel:+1${m[0].replace(/\D/g, '')}` });
+    }
+  }
+
+  // earlier match wins; URLs were collected first so they win ties
+  found.sort((a, b) => a.start - b.start);
+  const segments = [];
+  let last = 0;
+  found.forEach(link => {
+    if (link.start < last) return;
+    if (link.start > last) segments.push({ text: value.slice(last, link.start), href: null });
+    segments.push({ text: value.slice(link.start, link.end), href: link.href });
+    last = link.end;
+  });
+  if (last < value.length) segments.push({ text: value.slice(last), href: null });
+  return segments;
+}
+
+// Helper: linked, escaped HTML; render() turns each run of text into escaped HTML
+function linkedHTML(text, render, options) {
+  return linkSegments(text, options).map(({ text: part, href }) => {
+    if (!href) return render(part);
+    const external = href.startsWith('http') ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeHTML(href)}"${external}>${render(part)}</a>`;
+  }).join('');
+}
+
+export function directionsURL(row) {
+  const destination = hasCoords(row)
+    ? `${Number(row.latitude)},${Number(row.longitude)}`
+    : [row.Street, row.City, row.State, row.Zip].filter(Boolean).join(', ');
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}`;
+}
+
+export function copyText(row) {
+  const na = t('popup.na');
+  return `
+${row.Name || t('popup.defaultName')}
+${t('popup.type')}: ${row.Type ? typeLabel(row.Type) : na}
+${t('popup.address')}: ${[row.Street, row.City, row.State, row.Zip].filter(Boolean).join(', ') || na}
+${t('popup.hours')}: ${row['Hours of Operation'] || na}
+${t('popup.contact')}: ${row['Phone'] || row['Email'] || na}
+`.trim();
+}
+
+// Helper: "Verified Mar 14, 2026" / "Last verified ... — may be out of date" / "Not verified yet"
+function freshnessBadge(row, months, at) {
+  const { state, date } = freshness(row, { months, now: at });
+  const when = date ? formatDateTime(date, { dateStyle: 'medium' }) : '';
+  return `<div class="freshness-badge freshness-${state}">${escapeHTML(t(`freshness.${state}`, { date: when }))}</div>`;
+}
+
+export function buildPopup(row, { query = '', warnings = [], inTrip = false, inReferral = false, at = new Date(), staleMonths = STALE_MONTHS } = {}) {
+  const status = openStatus(scheduleFor(row), at);
+  const hl = field => highlightHTML(row[field], query, field);
+  const linked = field => linkedHTML(row[field], part => highlightHTML(part, query, field), { phones: PHONE_FIELDS.includes(field) });
+  const info = [
+    [t('popup.type'), row.Type && highlightHTML(typeLabel(row.Type), query, 'Type')],
+    [t('popup.address'), ['Street', 'City', 'State', 'Zip'].filter(f => row[f]).map(hl).join(', ')],
+    [t('popup.hours'), linked('Hours of Operation')],
+    [t('popup.area'), linked('Area Served')],
+    [t('popup.deliveries'), linked('Deliveries?')],
+    [t('popup.services'), linked('Additional Services Offered')],
+    [t('popup.driveThru'), linked('Drive Thru?')],
+    [t('popup.contact'), linked('Contact')],
+    [t('popup.phone'), linked('Phone')],
+    [t('popup.email'), linked('Email')],
+    [t('popup.source'), linked('source')]
+  ];
+
+  const infoHtml = info
+    .filter(([_, v]) => v)
+    .map(([k, v]) => `<div class="marker-meta"><b>${escapeHTML(k)}:</b> ${v}</div>`)
+    .join('');
+
+  const safeCopyData = encodeURIComponent(copyText(row));
+
+  return `
+    <div class="marker-title">${hl('Name')}</div>
+    <div class="hours-badge hours-${escapeHTML(status.state)}">${escapeHTML(status.label)}</div>
+    ${freshnessBadge(row, staleMonths, at)}
+    ${warnings.map(a => `<div class="alert-badge">⚠️ ${escapeHTML(t('popup.insideAlert', { event: a.event }))}</div>`).join('')}
+    ${infoHtml}
+    <div class="marker-meta"><a class="directions-link" href="${escapeHTML(directionsURL(row))}" target="_blank" rel="noopener noreferrer">${escapeHTML(t('popup.directions'))}</a></div>
+    <hr style="margin: 5px 0; border-top: 1px solid #ddd;">
+    <button class="copy-btn" data-copy-text="${safeCopyData}" style="
+        padding: 5px 10px;
+        background-color: #4CAF50;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+    ">${escapeHTML(t('popup.copy'))}</button>
+    <button class="trip-btn${inTrip ? ' in-trip' : ''}" data-loc="${encodeURIComponent(locationId(row))}">${escapeHTML(t(inTrip ? 'popup.removeTrip' : 'popup.addTrip'))}</button>
+    <button class="referral-btn${inReferral ? ' in-referral' : ''}" data-loc="${encodeURIComponent(locationId(row))}">${escapeHTML(t(inReferral ? 'popup.removeReferral' : 'popup.addReferral'))}</button>
+  `;
+}
@@ -0,0 +1,256 @@
+/* referral.js — referral basket: pick locations for a client, then hand them over
+   - Locations are added from marker popups ("Add to referral") or the list view (R key /
+     the + button), each with an optional note, plus notes for the whole sheet
+   - Hand-over: a one-page printable sheet (name, address, next opening, phone, note and a
+     QR code that opens the location on this map), plain text for SMS, or the clipboard
+   - The basket lives in sessionStorage only: it is about one client and should not
+     outlast the browser tab
+   - QR codes come from qrcode-generator (index.html loads it from unpkg like Leaflet);
+     without it the sheet prints the link instead
+   - nextOpening(row, now), locationURL(row, base), referralText(items, opts) and
+     buildReferralSheetHTML(items, opts) are DOM-free
+   - setupReferral({ rows, onSelect, onChange, onStatus }) -> { toggle(row), has(row), clear(), relabel() }
+*/
+import { openStatus, occurrences, scheduleFor, formatRange } from './hours.js';
+import { encodeState, locationId, findLocation } from './urlstate.js';
+import { fullAddress } from './export.js';
+import { escapeXML } from './escape.js';
+import { writeClipboard } from './clipboard.js';
+import { t, formatDateTime, getLanguage, getDirection } from './i18n.js';
+
+const STORAGE_KEY = 'referralBasket';
+
+function sameDay(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+}
+
+// "Open until 5pm", "Thu, Oct 22 · 10am–12pm", or the hours status when there is no schedule
+export function nextOpening(row, now = new Date()) {
+  const schedule = scheduleFor(row);
+  const status = openStatus(schedule, now);
+  if (schedule.kind !== 'recurring' || status.state === 'open' || status.state === 'maybe') return status.label;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const next = occurrences(schedule, now, 62)
+    .find(o => !sameDay(o.date, now) || (o.range && o.range.start > minutes));
+  if (!next) return t('referral.noOpenings');
+  const day = formatDateTime(next.date, { weekday: 'short', month: 'short', day: 'numeric' });
+  return next.range ? `${day} · ${formatRange(next.range)}` : t('referral.dayNoTimes', { day });
+}
+
+// Link that opens the map on this location (its type switched on so the marker shows)
+export function locationURL(row, base) {
+  return `${base}${encodeState({ types: [row.Type].filter(Boolean), loc: locationId(row) })}`;
+}
+
+// items: [{ row, note }]
+export function referralText(items, { notes = '', base = '', now = new Date() } = {}) {
+  const lines = items.map(({ row, note }, i) => [
+    `${i + 1}. ${row.Name || t('popup.defaultName')}`,
+    fullAddress(row) && `   ${fullAddress(row)}`,
+    `   ${t('referral.nextOpen')} ${nextOpening(row, now)}`,
+    row.Phone && `   ${t('referral.phone')} ${row.Phone}`,
+    note && `   ${t('referral.note')} ${note}`,
+    base && `   ${t('referral.map')} ${locationURL(row, base)}`,
+  ].filter(Boolean).join('\n'));
+  return [notes.trim(), ...lines].filter(Boolean).join('\n\n');
+}
+
+// qrFor(url) -> image src (data URL) or null when no QR encoder is available
+export function buildReferralSheetHTML(items, { notes = '', base = '', qrFor = () => null, title = t('referral.heading'), generated = new Date() } = {}) {
+  const esc = escapeXML;
+  const entries = items.map(({ row, note }, i) => {
+    const url = base ? locationURL(row, base) : '';
+    const qr = url && qrFor(url);
+    return `
+  <article>
+    <div>
+      <h2>${i + 1}. ${esc(row.Name || t('popup.defaultName'))}</h2>
+      ${fullAddress(row) ? `<div>${esc(fullAddress(row))}</div>` : ''}
+      <div><b>${esc(t('referral.nextOpen'))}</b> ${esc(nextOpening(row, generated))}</div>
+      ${row.Phone ? `<div><b>${esc(t('referral.phone'))}</b> ${esc(row.Phone)}</div>` : ''}
+      ${note ? `<div class="note">${esc(note)}</div>` : ''}
+      ${url && !qr ? `<div class="link">${esc(url)}</div>` : ''}
+    </div>
+    ${qr ? `<img class="qr" src="${esc(qr)}" alt="${esc(t('referral.qrAlt', { name: row.Name || t('popup.defaultName') }))}">` : ''}
+  </article>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}" dir="${getDirection()}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+  body { font: 10.5pt/1.35 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #111; margin: 1.5rem; }
+  header { border-bottom: 2px solid #2b6777; margin-bottom: .75rem; }
+  h1 { font-size: 16pt; margin: 0 0 .25rem; color: #2b6777; }
+  header p { margin: 0 0 .5rem; color: #555; }
+  .notes { white-space: pre-wrap; border: 1px solid #ccc; border-radius: 4px; padding: .4rem .6rem; margin-bottom: .75rem; }
+  article { display: flex; justify-content: space-between; gap: 1rem; border-bottom: 1px solid #ddd; padding: .4rem 0; break-inside: avoid; }
+  h2 { font-size: 11.5pt; margin: 0 0 .15rem; }
+  .note { font-style: italic; margin-top: .15rem; }
+  .link { font-size: 8pt; color: #555; word-break: break-all; }
+  .qr { width: 90px; height: 90px; image-rendering: pixelated; flex: none; }
+  footer { margin-top: .75rem; font-size: 8.5pt; color: #555; }
+  @page { margin: 1.2cm; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${esc(title)}</h1>
+  <p>${esc(t('referral.sheetSummary', { count: items.length, date: formatDateTime(generated) }))}</p>
+</header>
+${notes.trim() ? `<div class="notes">${esc(notes.trim())}</div>` : ''}
+${entries || `<p>${esc(t('referral.noneSelected'))}</p>`}
+<footer>${esc(t('referral.footer'))}</footer>
+<script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>
+`;
+}
+
+// Helper: QR code as a GIF data URL, via the global from qrcode-generator
+function qrDataURL(text) {
+  if (typeof window.qrcode !== 'function') return null;
+  try {
+    const qr = window.qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return qr.createDataURL(4, 2);
+  } catch (err) {
+    console.warn('QR code failed:', err);
+    return null;
+  }
+}
+
+export function setupReferral({ rows, onSelect, onChange = () => {}, onStatus = () => {} }) {
+
+  // UI elements
+  const list = document.getElementById('referralList');
+  const summary = document.getElementById('referralSummary');
+  const notesInput = document.getElementById('referralNotes');
+  const printBtn = document.getElementById('referralPrintBtn');
+  const copyBtn = document.getElementById('referralCopyBtn');
+  const smsBtn = document.getElementById('referralSmsBtn');
+  const clearBtn = document.getElementById('referralClearBtn');
+
+  // Internal state
+  let items = [];    // [{ row, note }]
+
+  const base = () => location.href.split('#')[0];
+
+  function save() {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+        items: items.map(({ row, note }) => ({ id: locationId(row), note })),
+        notes: notesInput.value,
+      }));
+    } catch (err) {
+      // storage blocked: the basket just won't survive a reload
+    }
+  }
+
+  function restore() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+      if (!saved) return;
+      items = saved.items
+        .map(({ id, note }) => ({ row: findLocation(rows, id), note: note || '' }))
+        .filter(item => item.row);
+      notesInput.value = saved.notes || '';
+    } catch (err) {
+      items = [];
+    }
+  }
+
+  function render() {
+    list.innerHTML = '';
+    items.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.className = 'referral-item';
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'referral-name';
+      name.textContent = item.row.Name || t('popup.defaultName');
+      name.title = fullAddress(item.row);
+      name.addEventListener('click', () => onSelect(item.row));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = t('popup.removeReferral');
+      remove.setAttribute('aria-label', t('referral.removeItem', { name: item.row.Name || t('popup.defaultName') }));
+      remove.addEventListener('click', () => { items.splice(i, 1); changed(); });
+
+      const note = document.createElement('input');
+      note.type = 'text';
+      note.className = 'referral-note';
+      note.value = item.note;
+      note.placeholder = t('referral.itemNote.placeholder');
+      note.setAttribute('aria-label', t('referral.itemNote', { name: item.row.Name || t('popup.defaultName') }));
+      note.addEventListener('input', () => { item.note = note.value; save(); });
+
+      li.append(name, remove, note);
+      list.appendChild(li);
+    });
+
+    summary.textContent = items.length
+      ? t('referral.summary', { count: items.length })
+      : t('referral.empty');
+    [printBtn, copyBtn, smsBtn, clearBtn].forEach(btn => { btn.disabled = !items.length; });
+  }
+
+  function changed() {
+    save();
+    render();
+    onChange();
+  }
+
+  const text = () => referralText(items, { notes: notesInput.value, base: base() });
+
+  notesInput.addEventListener('input', save);
+
+  printBtn.addEventListener('click', () => {
+    const html = buildReferralSheetHTML(items, { notes: notesInput.value, base: base(), qrFor: qrDataURL });
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const win = window.open(url, '_blank');
+    if (!win) onStatus(t('referral.popupBlocked'));
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  });
+
+  copyBtn.addEventListener('click', async () => {
+    const ok = await writeClipboard(text());
+    onStatus(t(ok ? 'referral.copied' : 'referral.copyFailed'));
+  });
+
+  // Opens the phone's messaging app with the text filled in (desktop browsers may ignore it)
+  smsBtn.addEventListener('click', () => {
+    window.location.href = `sms:?&body=${encodeURIComponent(text())}`;
+  });
+
+  clearBtn.addEventListener('click', () => {
+    items = [];
+    notesInput.value = '';
+    changed();
+  });
+
+  restore();
+  render();
+
+  return {
+    has: row => items.some(item => item.row === row),
+    toggle(row) {
+      const i = items.findIndex(item => item.row === row);
+      if (i >= 0) items.splice(i, 1);
+      else items.push({ row, note: '' });
+      changed();
+      return i < 0;
+    },
+    clear: () => { items = []; changed(); },
+    // after a language change
+    relabel: render,
+  };
+}
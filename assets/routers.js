@@ -0,0 +1,79 @@
+/* routers.js — pluggable trip routing for the delivery-run planner (trip.js)
+
+   A router is any object { name, route(points) } where points are [{ lat, lon }, ...]
+   in visiting order and route() resolves to
+     { path: [[lat, lon], ...], legs: [miles, ...], miles, approximate }
+   with one leg per consecutive pair of points.
+
+   - straightLineRouter()        great-circle legs; always available, works offline
+   - osrmRouter({ url })         an OSRM /route/v1 server (e.g. a local stand-in on :5000)
+   - createRouter(spec)          '' | 'straight' | 'osrm:http://localhost:5000'; an OSRM url
+                                 must be on localhost or in OSRM_HOSTS, anything else gets
+                                 the straight-line router (spec comes from a shareable ?router= link)
+*/
+import { haversineMiles } from './nearby.js';
+
+const METERS_PER_MILE = 1609.344;
+
+// OSRM servers a ?router= link may send trip stops to, besides this machine
+export const OSRM_HOSTS = [];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Helper: true when stops may be sent to this OSRM url
+function allowedOsrm(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return false;
+  return LOCAL_HOSTS.includes(url.hostname) || (url.protocol === 'https:' && OSRM_HOSTS.includes(url.hostname));
+}
+
+export function straightLineRouter() {
+  return {
+    name: 'straight line',
+    async route(points) {
+      const legs = points.slice(1).map((p, i) => haversineMiles(points[i], p));
+      return {
+        path: points.map(p => [p.lat, p.lon]),
+        legs,
+        miles: legs.reduce((sum, m) => sum + m, 0),
+        approximate: true,
+      };
+    },
+  };
+}
+
+export function osrmRouter({ url = 'http://localhost:5000', profile = 'driving' } = {}) {
+  return {
+    name: `OSRM (${url})`,
+    async route(points) {
+      const coords = points.map(p => `${p.lon},${p.lat}`).join(';');
+      const res = await fetch(`${url.replace(/\/$/, '')}/route/v1/${profile}/${coords}?overview=full&geometries=geojson`);
+      if (!res.ok) throw new Error(`OSRM HTTP ${res.status}`);
+      const data = await res.json();
+      if (data.code !== 'Ok' || !data.routes || !data.routes.length) throw new Error(`OSRM: ${data.message || data.code}`);
+      const [best] = data.routes;
+      return {
+        path: best.geometry.coordinates.map(([lon, lat]) => [lat, lon]),
+        legs: best.legs.map(leg => leg.distance / METERS_PER_MILE),
+        miles: best.distance / METERS_PER_MILE,
+        approximate: false,
+      };
+    },
+  };
+}
+
+export function createRouter(spec) {
+  const value = String(spec || '').trim();
+  if (value.startsWith('osrm:')) {
+    const url = value.slice(5);
+    if (allowedOsrm(url)) return osrmRouter({ url });
+    console.warn(`Ignoring router=${value}: OSRM must be on localhost or one of OSRM_HOSTS`);
+    return straightLineRouter();
+  }
+  if (value === 'osrm') return osrmRouter();
+  return straightLineRouter();
+}
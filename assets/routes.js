@@ -0,0 +1,162 @@
+/* routes.js — route layers loaded from ./assets/routes.geojson
+   - Each LineString / MultiLineString feature needs "id", "name", "color" and may
+     have "description"; add a feature to the file to add a route (no code changes)
+   - A toggle button per route in #routeButtons (class route-btn, so URL state keeps them),
+     a map legend of the visible routes, and a popup with the route's length
+   - "Near route" filter: isNearRoute(row, id, miles), passed to filterRows() by script.js, and
+     update(filteredRows) rings the matches in the route's colour
+   - setupRoutes(map, { onChange }) -> { ready, update(filteredRows), show(id) }
+*/
+import { haversineMiles } from './nearby.js';
+import { escapeHTML } from './escape.js';
+import { t } from './i18n.js';
+
+const MILES_PER_DEG_LAT = 69.05;
+
+// Loaded features by id, shared with isNearRoute()
+const loadedRoutes = new Map();
+
+// Helper: [[lon, lat], ...] lines of a LineString / MultiLineString
+function linesOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+}
+
+// Shortest distance (miles) from a point to a line; flat projection is fine at county scale
+export function distanceToLineMiles({ lat, lon }, line) {
+  const kx = Math.cos(lat * Math.PI / 180) * MILES_PER_DEG_LAT;
+  const ky = MILES_PER_DEG_LAT;
+  let best = Infinity;
+  for (let i = 1; i < line.length; i++) {
+    const ax = (line[i - 1][0] - lon) * kx, ay = (line[i - 1][1] - lat) * ky;
+    const bx = (line[i][0] - lon) * kx, by = (line[i][1] - lat) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.min(Math.max(-(ax * dx + ay * dy) / len2, 0), 1) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return best;
+}
+
+export function distanceToRouteMiles(point, feature) {
+  return Math.min(...linesOf(feature.geometry).map(line => distanceToLineMiles(point, line)));
+}
+
+export function routeLengthMiles(feature) {
+  return linesOf(feature.geometry).reduce((sum, line) => sum + line.slice(1).reduce((s, [lon, lat], i) =>
+    s + haversineMiles({ lat: line[i][1], lon: line[i][0] }, { lat, lon }), 0), 0);
+}
+
+// True when no such route is loaded, so a stale id in a shared link doesn't hide everything
+export function isNearRoute(row, id, miles) {
+  const feature = loadedRoutes.get(id);
+  if (!feature) return true;
+  const lat = Number(row.latitude), lon = Number(row.longitude);
+  if (!row.latitude || !row.longitude || Number.isNaN(lat) || Number.isNaN(lon)) return false;
+  return distanceToRouteMiles({ lat, lon }, feature) <= miles;
+}
+
+export function setupRoutes(map, { onChange }) {
+
+  // UI elements
+  const buttons = document.getElementById('routeButtons');
+  const nearSelect = document.getElementById('routeNearSelect');
+  const milesInput = document.getElementById('routeNearMiles');
+
+  // Internal state
+  const layers = new Map();   // id -> L.GeoJSON
+  const highlight = L.layerGroup().addTo(map);
+
+  const legend = L.control({ position: 'bottomleft' });
+  legend.onAdd = () => {
+    const div = L.DomUtil.create('div', 'route-legend');
+    div.hidden = true;
+    return div;
+  };
+  legend.addTo(map);
+
+  function renderLegend() {
+    const el = legend.getContainer();
+    const visible = [...layers.entries()].filter(([, layer]) => map.hasLayer(layer));
+    el.hidden = !visible.length;
+    el.innerHTML = visible.map(([id]) => {
+      const { name, color } = loadedRoutes.get(id).properties;
+      return `<div><i style="background:${escapeHTML(color)}"></i>${escapeHTML(name)}</div>`;
+    }).join('');
+  }
+
+  function setVisible(id, on) {
+    const layer = layers.get(id);
+    const btn = document.getElementById(`route-${id}`);
+    if (!layer) return;
+    if (on) layer.addTo(map);
+    else map.removeLayer(layer);
+    btn.classList.toggle('active-route', on);
+    renderLegend();
+  }
+
+  async function load() {
+    const res = await fetch('./assets/routes.geojson');
+    if (!res.ok) throw new Error('Failed to fetch routes');
+    const data = await res.json();
+
+    data.features.forEach(feature => {
+      const { id, name, color = '#2b6777', description = '' } = feature.properties || {};
+      if (!id || !linesOf(feature.geometry).length) return;
+      loadedRoutes.set(id, feature);
+
+      const miles = routeLengthMiles(feature);
+      const layer = L.geoJSON(feature, { style: { color, weight: 4, opacity: 0.8 } });
+      // built on open, so it follows the interface language
+      layer.bindPopup(() => `
+        <div class="marker-title">${escapeHTML(name)}</div>
+        ${description ? `<div class="marker-meta">${escapeHTML(description)}</div>` : ''}
+        <div class="marker-meta"><b>${escapeHTML(t('routes.length'))}</b> ${miles.toFixed(1)} ${escapeHTML(t('unit.mi'))}</div>`);
+      layers.set(id, layer);
+
+      const btn = document.createElement('button');
+      btn.id = `route-${id}`;
+      btn.className = 'route-btn';
+      btn.style.backgroundColor = color;
+      btn.textContent = name;
+      btn.title = description;
+      btn.addEventListener('click', () => setVisible(id, !map.hasLayer(layer)));
+      buttons.appendChild(btn);
+
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      nearSelect.appendChild(option);
+    });
+  }
+
+  // Ring the filtered rows along the selected route, in the route's colour
+  function update(filteredRows) {
+    highlight.clearLayers();
+    const feature = loadedRoutes.get(nearSelect.value);
+    if (!feature) return;
+    const color = feature.properties.color || '#2b6777';
+    filteredRows.forEach(row => {
+      highlight.addLayer(L.circleMarker([Number(row.latitude), Number(row.longitude)], {
+        radius: 16,
+        color,
+        weight: 3,
+        fill: false,
+        interactive: false,
+      }));
+    });
+  }
+
+  nearSelect.addEventListener('change', () => {
+    // picking a route to filter by also shows it
+    if (nearSelect.value) setVisible(nearSelect.value, true);
+    onChange();
+  });
+  milesInput.addEventListener('input', onChange);
+
+  const ready = load().catch(err => console.error('Routes load error:', err));
+
+  return { ready, update, show: setVisible };
+}
@@ -1,77 +1,129 @@
 /* script.js — Leaflet map loading from pre-geocoded JSON
+   - DOM / Leaflet wiring only; the data layer is in plain modules that also run in Node:
+     loading (data.js), filtering (filters.js), popups (popup.js), GeoJSON and other
+     exports (export.js), and the type registry with icons and colors (types.js)
    - Loads ./assets/data.geocoded.json
-   - Marker clustering, type filters, name search, ZIP filter
-   - Export filtered features as GeoJSON
+   - Marker clustering, type filters, ZIP filter
+   - Fuzzy, field-aware search with typeahead and highlighted popups (search.js)
+   - Deliveries / Drive Thru / Additional Services facets with live counts (facets.js)
+   - Coverage-gap analysis grid with GeoJSON export of underserved cells (coverage.js)
+   - Interface in English, Spanish, Ukrainian or Arabic (right-to-left) with translated type names (i18n.js)
+   - Printable map + directory handout with PNG export (handout.js)
+   - Export menu: filtered rows as CSV, KML, GPX, GeoJSON or a printable directory (export.js)
    - Beginner interactive enhancements added
+   - "Open now" / "Open on" filters from parsed Hours of Operation (hours.js)
+   - Upcoming-openings calendar panel with .ics export (agenda.js, ics.js)
+   - Nearest-locations finder (nearby.js)
+   - Offline support through the service worker in ../sw.js
+   - Basemaps from a config with API keys in settings.json, tile fallback, bundled outline (basemaps.js)
+   - ZIP multi-select, "serves my ZIP" from Area Served (areas.js), ZIP area overlay (zips.js)
+   - Shareable view state in the URL hash (urlstate.js)
+   - Radar timeline: scrub, play/pause/step, speed, opacity, nowcast frames, Eastern time
+   - Route layers from routes.geojson with legend and "near this route" filter (routes.js)
+   - Delivery-run planner: ordered stops, optimize, GPX / printable sheet (trip.js, routers.js)
+   - Referral basket: printable sheet with QR codes, SMS / clipboard text (referral.js, clipboard.js)
+   - Accessible, keyboard-navigable results list synced with the map (listview.js)
+   - NWS weather alert banner, alert polygons and flagged locations (alerts.js)
+   - "Last verified" badges, stale-entry filter / highlight and call-sheet report (freshness.js)
+   - Passphrase-gated edit mode: drag markers, edit/add/remove rows, download JSON + review diff (editor.js)
 */
+import { setupAgendaPanel } from './agenda.js';
+import { buildICS } from './ics.js';
+import { setupNearbyFinder } from './nearby.js';
+import { BROOME_ZIPS } from './areas.js';
+import { setupZipOverlay } from './zips.js';
+import { encodeState, decodeState, locationId, findLocation } from './urlstate.js';
+import { TYPES, OTHER_TYPE, MARKER_ICON_SIZE, OTHER_ICON_SIZE, TYPE_COLORS, typeInfo, compareTypes } from './types.js';
+import { setupHandout } from './handout.js';
+import { setupWeatherAlerts, alertsEndpoint } from './alerts.js';
+import { setupRoutes, isNearRoute } from './routes.js';
+import { setupTripPlanner } from './trip.js';
+import { createRouter } from './routers.js';
+import { setupListView } from './listview.js';
+import { parseQuery, isEmptyQuery, setupSearchBox } from './search.js';
+import { selectedFacets, selectionToList, setupFacetPanel } from './facets.js';
+import { setupCoverage } from './coverage.js';
+import { setupEditor } from './editor.js';
+import { t, typeLabel, formatDateTime, setLanguage, preferredLanguage, setupLanguagePicker } from './i18n.js';
+import { loadRows, hasCoords } from './data.js';
+import { filterRows } from './filters.js';
+import { buildPopup } from './popup.js';
+import { escapeHTML } from './escape.js';
+import { freshness, staleEntries, staleReportCSV, staleReportHTML } from './freshness.js';
+import { writeClipboard } from './clipboard.js';
+import { setupReferral } from './referral.js';
+import { setupBasemaps, loadSettings } from './basemaps.js';
+import { EXPORT_FORMATS, toGeoJSON, toCSVText, toKML, toGPX, buildDirectoryHTML } from './export.js';
+
 const STATUS = document.getElementById('status');
 const SEARCH = document.getElementById('searchBox');
-//const ZIP_INPUT = document.getElementById('zipBox');
+const ZIP_INPUT = document.getElementById('zipBox');
+const SERVES_ZIP = document.getElementById('servesZipBox');
+const INCLUDE_UNLISTED = document.getElementById('includeUnlistedArea');
+const ROUTE_NEAR = document.getElementById('routeNearSelect');
+const ROUTE_MILES = document.getElementById('routeNearMiles');
 const RESET = document.getElementById('resetBtn');
 const DOWNLOAD = document.getElementById('downloadBtn');
-const SCREENSHOT = document.getElementById('screenshotBtn');
+const EXPORT_MENU = document.getElementById('exportMenu');
+const HANDOUT = document.getElementById('handoutBtn');
 const TYPE_FILTERS = document.getElementById('typeFilters');
+const FACET_FILTERS = document.getElementById('facetFilters');
 const SELECT_ALL = document.getElementById('selectAllBtn');
+const OPEN_NOW = document.getElementById('openNowBox');
+const OPEN_ON = document.getElementById('openOnInput');
+const CALENDAR = document.getElementById('calendarBtn');
+const LIST_VIEW = document.getElementById('listBtn');
+const SKIP_TO_LIST = document.getElementById('skipToList');
+const ICS_EXPORT = document.getElementById('icsBtn');
+const SHARE = document.getElementById('shareBtn');
+const FRESHNESS_MODE = document.getElementById('freshnessMode');
+const FRESHNESS_MONTHS = document.getElementById('freshnessMonths');
+const STALE_CSV = document.getElementById('staleCsvBtn');
+const STALE_HTML = document.getElementById('staleHtmlBtn');
 
 
 
 // Map defaults
 const DEFAULT_COORDS = [42.0987, -75.9180];
 const DEFAULT_ZOOM = 12;
-const ICON_URL = 'https://cdn-icons-png.flaticon.com/512/684/684908.png';
-
-const blessingBoxIcon = L.icon({
-  iconUrl: './Completed markers/blessing_box.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
-
-const communityMealsIcon = L.icon({
-  iconUrl: './Completed markers/community_meals.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
-
-const foodPantryIcon = L.icon({
-  iconUrl: './Completed markers/food_pantries.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
 
-const foodPantrySchoolIcon = L.icon({
-  iconUrl: './Completed markers/food_pantryschool.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
+// Map pins from the type registry (types.js)
+const typeIcons = Object.fromEntries(TYPES.map(type => [type.name, L.icon({ iconUrl: type.marker, ...MARKER_ICON_SIZE })]));
+const defaultIcon = L.icon({ iconUrl: OTHER_TYPE.marker, ...OTHER_ICON_SIZE });
 
-const mobileFoodPantryIcon = L.icon({
-  iconUrl: './Completed markers/mobile_foodpantry.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
+// Helper: marker icon for a row's Type
+function iconFor(row) {
+  return typeIcons[row.Type] || defaultIcon;
+}
 
-const seniorCenterIcon = L.icon({
-  iconUrl: './Completed markers/senior_center.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
-
-const shelterIcon = L.icon({
-  iconUrl: './Completed markers/shelter.png',
-  iconSize: [38, 40],
-  iconAnchor: [16, 32],
-});
+// Set while we are running on cached data; kept in front of every status message
+let offlineNotice = '';
+let lastStatus = '';
 
 // Helper: update status text
 function setStatus(msg) {
-  STATUS.textContent = msg;
+  lastStatus = msg;
+  STATUS.textContent = offlineNotice ? `${offlineNotice} · ${msg}` : msg;
+}
+
+function setOfflineNotice(cachedAt) {
+  const when = cachedAt
+    ? formatDateTime(new Date(cachedAt), { dateStyle: 'medium', timeStyle: 'short' })
+    : t('status.earlierVisit');
+  offlineNotice = t('status.offline', { when });
+  STATUS.classList.add('offline');
+  setStatus(lastStatus);
 }
 
-// Helper: fetch JSON safely
-async function fetchJSON(url) {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`Failed to fetch ${url}`);
-  return r.json();
+// Helper: register the service worker and listen for "served from cache" notes
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', e => {
+    if (e.data && e.data.type === 'offline-data') setOfflineNotice(e.data.cachedAt);
+  });
+  navigator.serviceWorker.register('./sw.js').catch(err => {
+    console.error('Service worker registration failed:', err);
+  });
 }
 
 // Helper: debounce wrapper
@@ -83,79 +135,27 @@ function debounce(fn, delay = 250) {
   };
 }
 
-// Build popup HTML
-function buildPopup(row) {
-  const info = [
-    ['Type', row.Type],
-    ['Address', [row.Street, row.City, row.State, row.Zip].filter(Boolean).join(', ')],
-    ['Hours', row['Hours of Operation']],
-    ['Area', row['Area Served']],
-    ['Deliveries', row['Deliveries?']],
-    ['Services', row['Additional Services Offered']],
-    ['Drive Thru', row['Drive Thru?']],
-    ['Contact', row['Contact']],
-    ['Phone', row['Phone']],
-    ['Email', row['Email']]
-  ];
-
-  const copyText = `
-${row.Name || 'Community Location'}
-Type: ${row.Type || 'N/A'}
-Address: ${[row.Street, row.City, row.State, row.Zip].filter(Boolean).join(', ') || 'N/A'}
-Hours: ${row['Hours of Operation'] || 'N/A'}
-Contact: ${row['Phone'] || row['Email'] || 'N/A'}
-`.trim();
-
-  const infoHtml = info
-    .filter(([_, v]) => v)
-    .map(([k, v]) => `<div class="marker-meta"><b>${k}:</b> ${v}</div>`)
-    .join('');
-
-  const safeCopyData = encodeURIComponent(copyText);
-
-  return `
-    <div class="marker-title">${row.Name || ''}</div>
-    ${infoHtml}
-    <hr style="margin: 5px 0; border-top: 1px solid #ddd;">
-    <button class="copy-btn" data-copy-text="${safeCopyData}" style="
-        padding: 5px 10px; 
-        background-color: #4CAF50; 
-        color: white; 
-        border: none; 
-        border-radius: 4px; 
-        cursor: pointer;
-    ">Copy Info</button>
-  `;
+// Helper: date the open-hours filter checks against (null = no filter)
+function getOpenFilterDate() {
+  if (OPEN_NOW.checked) return new Date();
+  if (OPEN_ON.value) return new Date(OPEN_ON.value);
+  return null;
 }
 
-function copyToClipboard(text, buttonElement) {
-    const textarea = document.createElement('textarea');
-    textarea.value = text;
-    textarea.style.position = 'fixed';
-    textarea.style.opacity = '0';
-    
-    document.body.appendChild(textarea);
-    textarea.select();
+async function copyToClipboard(text, buttonElement) {
+    const originalText = buttonElement.textContent;
+    const successful = await writeClipboard(text);
 
-    try {
-        const successful = document.execCommand('copy');
-        const originalText = buttonElement.textContent;
-
-        if (successful) {
-            buttonElement.textContent = 'Copied!';
-            setTimeout(() => {
-                buttonElement.textContent = originalText;
-            }, 1000);
-        } else {
-            buttonElement.textContent = 'Copy Failed';
-            setTimeout(() => {
-                buttonElement.textContent = originalText;
-            }, 1500);
-        }
-    } catch (err) {
-        console.error('Unable to copy text: ', err);
-    } finally {
-        document.body.removeChild(textarea);
+    if (successful) {
+        buttonElement.textContent = t('popup.copied');
+        setTimeout(() => {
+            buttonElement.textContent = originalText;
+        }, 1000);
+    } else {
+        buttonElement.textContent = t('popup.copyFailed');
+        setTimeout(() => {
+            buttonElement.textContent = originalText;
+        }, 1500);
     }
 }
 
@@ -167,21 +167,12 @@ function handleCopyClick(e) {
     copyToClipboard(textToCopy, btn);
 }
 
-function toGeoJSON(features) {
-  return {
-    type: "FeatureCollection",
-    features: features.map(({ row }) => ({
-      type: "Feature",
-      geometry: row.longitude && row.latitude
-        ? { type: "Point", coordinates: [Number(row.longitude), Number(row.latitude)] }
-        : null,
-      properties: { ...row }
-    })).filter(f => f.geometry)
-  };
+function downloadJSON(filename, obj) {
+  downloadFile(filename, JSON.stringify(obj, null, 2), 'application/json');
 }
 
-function downloadJSON(filename, obj) {
-  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' });
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -192,86 +183,51 @@ function downloadJSON(filename, obj) {
   URL.revokeObjectURL(url);
 }
 
-function filterRows(rows) {
-  console.log("check if filtered");
-  const activeTypes = new Set(
-    [...TYPE_FILTERS.querySelectorAll('input[type=checkbox]')]
-      .filter(cb => cb.checked)
-      .map(cb => cb.dataset.type)
-  );
-
-  console.log("activeTypes")
-  console.log(activeTypes)
-
-  const query = SEARCH.value.trim().toLowerCase();
-  //const zipList = ZIP_INPUT.value.split(',').map(z => z.trim()).filter(Boolean);
-
-
-  console.log(activeTypes.size)
-  // problem with reset not working
-
-  return rows.filter(row => {
-    if (activeTypes.size >=0 && !activeTypes.has(row.Type)) return false;
-
-
-const searchable = [
-  row.Name,
-  row.Type,
-  row.Street,
-  row.City,
-  row.State,
-  row.Zip,
-  row['Hours of Operation'],
-  row['Area Served'],
-  row['Deliveries?'],
-  row['Additional Services Offered'],
-  row['Drive Thru'],
-  row.Contact,
-  row.Phone,
-  row.Email
-]
-  .filter(Boolean)
-  .join(' ')
-  .toLowerCase();
-
-
-    if (query && !searchable.includes(query)) return false;
-
-    // 🔹 ZIP filter
-    //if (zipList.length && (!row.Zip || !zipList.includes(String(row.Zip)))) return false;
-
-    return row.latitude && row.longitude;
-  });
+// Current filter settings from the form controls (the shape is DEFAULT_FILTERS in filters.js)
+function readFilters() {
+  return {
+    types: [...TYPE_FILTERS.querySelectorAll('input[type=checkbox]')].filter(cb => cb.checked).map(cb => cb.dataset.type),
+    query: parseQuery(SEARCH.value),
+    openAt: getOpenFilterDate(),
+    zips: [...ZIP_INPUT.selectedOptions].map(o => o.value),
+    servesZip: SERVES_ZIP.value.trim(),
+    includeUnlisted: INCLUDE_UNLISTED.checked,
+    nearRoute: ROUTE_NEAR.value,
+    nearMiles: Number(ROUTE_MILES.value) || 1,
+    facets: selectedFacets(FACET_FILTERS),
+    stale: FRESHNESS_MODE.value,
+    staleMonths: Number(FRESHNESS_MONTHS.value) || 6,
+  };
 }
 
 
 (async function main() {
-  setStatus('Loading geocoded data…');
-  const rows = await fetchJSON('./assets/data.geocoded.json');
-
-  const typeIconURLs = {
-  "Blessing Boxes": './icons/box.png',
-  "Community Meals": './icons/community.png',
-  "Food Pantries": './icons/food_pantry.png',
-  "Food Pantries (School)": './icons/school.png',
-  "Mobile Food Pantries": './icons/van.png',
-  "Senior Centers": './icons/senior.png',
-  "Shelters": './icons/shelter.png'
-};
+  registerServiceWorker();
+  await setLanguage(preferredLanguage()).catch(err => console.error('Locale load error:', err));
+  setStatus(t('status.loading'));
+
+  let rows;
+  try {
+    rows = await loadRows();
+  } catch (err) {
+    console.error(err);
+    STATUS.classList.add('offline');
+    setStatus(t(navigator.onLine ? 'status.loadFailed' : 'status.offlineNoData'));
+    return;
+  }
 
-  const types = Array.from(new Set(rows.map(r => r.Type).filter(Boolean))).sort();
+  // registry order first, then any unregistered Type found in the data
+  const types = Array.from(new Set(rows.map(r => r.Type).filter(Boolean))).sort(compareTypes);
 
   let i = 0 ; 
 types.forEach(t => {
   const id = `type_${t.replace(/\W+/g,'_')}`;
 
-  const colors = ['#289237ff','#3a5ddbff','#24a0a0ff','#6e1788ff','#a11337ff','#d46e26ff','#d0ad14ff','#f032e6','#bcf60c']; 
-
   // create a container
   const contanier = document.createElement('div');
   contanier.id = id;
   contanier.classList.add('type-filter-item');
-  contanier.style.color = colors[i];
+  contanier.style.color = typeInfo(t).color;
   contanier.style.backgroundColor = i%2==0 ? '#f0f0f0' : '#ffffff';
   i++;
 
@@ -284,7 +240,7 @@ types.forEach(t => {
 
   // Create icon image
   const img = document.createElement('img');
-  img.src = typeIconURLs[t];  // make sure these exist in /icons folder
+  img.src = typeInfo(t).icon;  // make sure these exist in /icons folder
   img.style.width = '20px';
   img.style.height = '20px';
   img.style.marginRight = '5px';
@@ -300,7 +256,9 @@ types.forEach(t => {
   label.appendChild(checkbox);
   label.appendChild(img);
   const textSpan = document.createElement('span');
-  textSpan.textContent = t;
+  // translated for display; dataset.type above stays the filter key
+  textSpan.textContent = typeLabel(t);
+  textSpan.dataset.i18n = `type.${t}`;
   textSpan.style.fontWeight = 'bold';   
   textSpan.style.marginLeft = '5px';    
 
@@ -311,196 +269,104 @@ types.forEach(t => {
   TYPE_FILTERS.appendChild(contanier);
 });
 
-  const colors = ['#289237ff','#3a5ddbff','#24a0a0ff','#6e1788ff','#a11337ff','#d46e26ff','#d0ad14ff','#f032e6','#bcf60c']; 
-  const typeColors = {}; 
-  types.forEach((t,i) => typeColors[t] = colors[i % colors.length]);
+  // ZIP multi-select: only ZIPs that actually appear in the data
+  const zipCounts = {};
+  rows.forEach(r => {
+    const zip = String(r.Zip || '').trim();
+    if (zip) zipCounts[zip] = (zipCounts[zip] || 0) + 1;
+  });
+  Object.keys(zipCounts).sort().forEach(zip => {
+    const option = document.createElement('option');
+    option.value = zip;
+    option.textContent = `${zip}${BROOME_ZIPS[zip] ? ` · ${BROOME_ZIPS[zip]}` : ''} (${zipCounts[zip]})`;
+    ZIP_INPUT.appendChild(option);
+  });
 
   const map = L.map('map').setView(DEFAULT_COORDS, DEFAULT_ZOOM);
 
-  const baseMap = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    maxZoom: 19,
-    attribution: '&copy; OpenStreetMap contributors'
-  }).addTo(map);
-
-
-var Thunderforest_Neighbourhood = L.tileLayer('https://{s}.tile.thunderforest.com/neighbourhood/{z}/{x}/{y}{r}.png?apikey={apikey}', {
-    attribution: '&copy; Thunderforest &copy; OpenStreetMap contributors',
-    apikey: '<your apikey>',
-    maxZoom: 22
-});
-
-var Stadia_AlidadeSmooth = L.tileLayer('https://tiles.stadiamaps.com/tiles/alidade_smooth/{z}/{x}/{y}{r}.{ext}', {
-    minZoom: 0,
-    maxZoom: 20,
-    attribution: '&copy; Stadia Maps &copy; OpenMapTiles &copy; OpenStreetMap',
-    ext: 'png'
-});
-
-var OpenTopoMap = L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
-    maxZoom: 17,
-    attribution: 'Map data &copy; OpenStreetMap contributors'
-});
-
-var Stadia_AlidadeSatellite = L.tileLayer('https://tiles.stadiamaps.com/tiles/alidade_satellite/{z}/{x}/{y}{r}.{ext}', {
-	minZoom: 0,
-	maxZoom: 20,
-	attribution: '&copy; CNES, Distribution Airbus DS, © Airbus DS, © PlanetObserver (Contains Copernicus Data) | &copy; <a href="https://www.stadiamaps.com/" target="_blank">Stadia Maps</a> &copy; <a href="https://openmaptiles.org/" target="_blank">OpenMapTiles</a> &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-	ext: 'jpg'
-});
-
-var Stadia_AlidadeSmoothDark = L.tileLayer('https://tiles.stadiamaps.com/tiles/alidade_smooth_dark/{z}/{x}/{y}{r}.{ext}', {
-	minZoom: 0,
-	maxZoom: 20,
-	attribution: '&copy; <a href="https://www.stadiamaps.com/" target="_blank">Stadia Maps</a> &copy; <a href="https://openmaptiles.org/" target="_blank">OpenMapTiles</a> &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-	ext: 'png'
-});
-
-// Add your DEFAULT basemap:
-Thunderforest_Neighbourhood.addTo(map);
-
-// Basemap options for switching:
-var baseMaps = {
-    "Colored": Thunderforest_Neighbourhood,
-    "Blank": Stadia_AlidadeSmooth,
-    "Blank Dark": Stadia_AlidadeSmoothDark,
-    "Topography": OpenTopoMap,
-    "Satellite": Stadia_AlidadeSatellite
-};
-
-// Add clickable basemap layer control:
-L.control.layers(baseMaps, null, {
-    position: 'bottomright',
-    collapsed: false
-}).addTo(map);
-
+  // Basemaps and their keys: basemaps.js, ./assets/settings.json
+  const basemaps = setupBasemaps(map, {
+    settings: await loadSettings(),
+    onChange: () => saveState(true),
+    onStatus: setStatus
+  });
 
   const cluster = L.markerClusterGroup({
   disableClusteringAtZoom: 11  
 }).addTo(map);
 
-// Route line GeoJSON
-const routeLine = {
-  "type": "Feature",
-  "geometry": {
-    "type": "LineString",
-    "coordinates": [
-      [-76.80510126911796, 42.08992828402145],
-      [-76.78692131499254, 42.090476637548015],
-      [-76.70803071240952, 42.02409941652692],
-      [-76.64966584591532, 42.018488247723106],
-      [-76.61629748996636, 42.00020867577443],
-      [-76.44164507907941, 42.02669362310484],
-      [-76.40180057070435, 42.02126509003903],
-      [-76.30139162377996, 42.08267937523969],
-      [-76.24952042392287, 42.10159914605536],
-      [-76.21171599052128, 42.082026869692854],
-      [-76.16775734923927, 42.087572961145604],
-      [-76.13039250414955, 42.059837655817475],
-      [-75.95895379844585, 42.11986115507637],
-      [-75.92818274625327, 42.11464397526138],
-      [-75.92673382400608, 42.11354075247011],
-      [-75.91263109026185, 42.111459693790245],
-      [-75.90748811000081, 42.11467513021304],
-      [-75.89847537558289, 42.114538687544204],
-      [-75.89782794130892, 42.102895794103254],
-      [-75.8958345129744, 42.099403596112566],
-      [-75.89688660030023, 42.09915708066073],
-      [-75.89716629847779, 42.09949712120231]
-    ]
-  }
-};
-
-const routeStyle = {
-  color: "#0000FF",
-  weight: 4,
-  opacity: 0.8
-};
-
-// Route line GeoJSON
-const routeLine2 = {
-  "type": "Feature",
-  "geometry": {
-    "type": "LineString",
-    "coordinates": [
-      [-76.80510126911796, 42.08992828402145],
-      [-76.78692131499254, 42.090476637548015],
-      [-76.70803071240952, 42.02409941652692],
-      [-76.64966584591532, 42.018488247723106],
-      [-76.61629748996636, 42.00020867577443],
-      [-76.44164507907941, 42.02669362310484],
-      [-76.40180057070435, 42.02126509003903],
-      [-76.30139162377996, 42.08267937523969],
-      [-76.24952042392287, 42.10159914605536],
-      [-76.21171599052128, 42.082026869692854],
-      [-76.16775734923927, 42.087572961145604],
-      [-76.13039250414955, 42.059837655817475],
-      [-76.04514267080738, 42.090362768675725],
-      [-76.04432478734347, 42.087861870515724],
-      [-76.04336819180826, 42.08753020885373],
-      [-76.04448403438332, 42.088485687321835],
-      [-76.04311074344093, 42.0891226427117],
-      [-75.99397267451006, 42.09679745237761],
-      [-75.95912541510302, 42.09507786625565],
-      [-75.93628445579175, 42.08729929108063],
-      [-75.92497070731373, 42.086653425524524],
-      [-75.9100556108509, 42.09113155570007],
-      [-75.90949956125108, 42.0901369235522],
-      [-75.90148512086165, 42.09102067444432],
-      [-75.90165678222314, 42.093751466502056],
-      [-75.89505854811004, 42.09491380881244],
-      [-75.89716139984152, 42.09964257082665]
-    ]
-  }
-};
-
-const routeStyle2 = {
-  color: "#d11d1dff",
-  weight: 4,
-  opacity: 0.8
-};
-
-// Create but do NOT add to map yet
-const routeLayer = L.geoJSON(routeLine, { style: routeStyle });
-const routeLayer2 = L.geoJSON(routeLine2, { style: routeStyle2 });
+  // Markers currently on the map, so panels can jump to a location
+  const markersByRow = new Map();
 
+  // URL state (see "Shareable URL state" below)
+  let restoring = true;   // no history writes until the initial state is applied
+  let openLocation = '';
 
-const toggleRoute86 = document.getElementById("toggleRoute86");
-let route86Visible = false;
-
-toggleRoute86.addEventListener("click", () => {
-  route86Visible = !route86Visible;
-
-  if (route86Visible) {
-    routeLayer.addTo(map);
-    toggleRoute86.classList.add("active-route");
-  } else {
-    map.removeLayer(routeLayer);
-    toggleRoute86.classList.remove("active-route");
+  function focusRow(row) {
+    const marker = markersByRow.get(row);
+    if (!marker) return;
+    map.flyTo(marker.getLatLng(), Math.max(map.getZoom(), 15));
+    map.once('moveend', () => marker.openPopup());
   }
-});
 
-const toggleTompkins = document.getElementById("toggleTompkins");
-let tompkinsVisible = false; // track visibility
+  const zipOverlay = setupZipOverlay(map, {
+    onPick: zip => {
+      SERVES_ZIP.value = zip;
+      zipOverlay.setSelected(zip);
+      refreshMarkers();
+    }
+  });
 
-toggleTompkins.addEventListener("click", () => {
-  tompkinsVisible = !tompkinsVisible;
+  const agenda = setupAgendaPanel({ onSelect: focusRow });
+  const nearby = setupNearbyFinder(map, { rows, onSelect: focusRow, onOriginChange: () => listView.refresh() });
+  const listView = setupListView(map, {
+    onSelect: focusRow,
+    getOrigin: () => nearby.getOrigin(),
+    onRefer: row => referral.toggle(row),
+    isReferred: row => referral.has(row)
+  });
+  const referral = setupReferral({ rows, onSelect: focusRow, onChange: () => listView.refresh(), onStatus: setStatus });
+
+  // ?nwsAlerts=http://localhost:8787/alerts/active points this at tools/nws-fixture-server.mjs
+  // (localhost and api.weather.gov only, see alertsEndpoint)
+  const weather = setupWeatherAlerts(map, {
+    getRows: () => rows,
+    onChange: () => refreshMarkers(),
+    onSelect: focusRow,
+    endpoint: alertsEndpoint(new URLSearchParams(location.search).get('nwsAlerts'))
+  });
+  basemaps.control.addOverlay(weather.layer, 'Weather alerts');
 
-  if (tompkinsVisible) {
-    routeLayer2.addTo(map);            
-    toggleTompkins.classList.add("active-route");
-  } else {
-    map.removeLayer(routeLayer2);
-    toggleTompkins.classList.remove("active-route");
-  }
-});
+  const routes = setupRoutes(map, { onChange: () => refreshMarkers() });
 
+  // filterRows() with the "near route" test from routes.js; filters.js doesn't load routes itself
+  function visibleRows(filters = readFilters(), options = {}) {
+    return filterRows(rows, filters, { isNearRoute, ...options });
+  }
 
+  // ?router=osrm:http://localhost:5000 routes trips over roads instead of straight lines
+  // (localhost and OSRM_HOSTS only, see routers.js)
+  const trip = setupTripPlanner(map, {
+    rows,
+    router: createRouter(new URLSearchParams(location.search).get('router')),
+    onSelect: focusRow,
+    download: downloadFile,
+    onStatus: setStatus
+  });
 
   // Refresh marker display
   function refreshMarkers() {
     cluster.clearLayers();
+    markersByRow.clear();
     
-    const filtered = filterRows(rows);
+    const filters = readFilters();
+    const filtered = visibleRows(filters);
+    facetPanel.update(visibleRows(filters, { facets: false }));
+    agenda.update(filtered);
+    nearby.update(filtered);
+    routes.update(filtered);
+    coverage.update(filtered);
+    listView.update(filtered, { ranked: !isEmptyQuery(parseQuery(SEARCH.value)) });
 
     if (true) {
 
@@ -513,66 +379,136 @@ toggleTompkins.addEventListener("click", () => {
       const lat = Number(row.latitude), lon = Number(row.longitude);
       if (Number.isNaN(lat) || Number.isNaN(lon)) continue;
 
-      // pick correct icon
-      let icon;
-      switch(row.Type) {
-        case "Blessing Boxes":
-          icon = blessingBoxIcon;
-          break;
-        case "Community Meals":
-          icon = communityMealsIcon;
-          break;
-        case "Food Pantries":
-          icon = foodPantryIcon;
-          break;
-        case "Food Pantries (School)":
-          icon = foodPantrySchoolIcon;
-          break;
-        case "Mobile Food Pantries":
-          icon = mobileFoodPantryIcon;
-          break;
-        case "Senior Centers":
-          icon = seniorCenterIcon;
-          break;
-        case "Shelters":
-          icon = shelterIcon;
-          break;
-        default:
-          icon = L.icon({
-            iconUrl: ICON_URL,
-            iconSize: [25, 25],
-            iconAnchor: [12, 25],
-            popupAnchor: [0, -25]
-          });
+      const icon = iconFor(row);
+
+      const marker = L.marker([lat, lon], { icon, draggable: editor.isActive() });
+      const warnings = weather.alertsFor(row);
+      // built on open so the hours badge reflects the current time; a form in edit mode
+      marker.bindPopup(() => editor.isActive()
+        ? editor.popupFor(row)
+        : buildPopup(row, {
+          query: parseQuery(SEARCH.value),
+          warnings,
+          inTrip: trip.has(row),
+          inReferral: referral.has(row),
+          staleMonths: filters.staleMonths
+        }));
+      marker.on('dragend', () => editor.move(row, marker.getLatLng()));
+      // tooltip content is HTML, and Name comes straight from the spreadsheet
+      marker.bindTooltip(`${warnings.length ? '⚠️ ' : ''}${escapeHTML(row.Name)}`, { direction: 'top' });
+      // the cluster adds/removes marker elements as you zoom, so flag on every add
+      if (warnings.length) marker.on('add', () => marker.getElement().classList.add('in-alert'));
+      if (filters.stale === 'highlight' && freshness(row, { months: filters.staleMonths }).state !== 'fresh') {
+        marker.on('add', () => marker.getElement().classList.add('stale-marker'));
       }
-
-
-      const marker = L.marker([lat, lon], { icon });
-      marker.bindPopup(buildPopup(row));
-      marker.bindTooltip(row.Name || '', { direction: 'top' });
+      marker.on('popupopen', () => {
+        openLocation = locationId(row);
+        listView.select(row);
+        saveState(true);
+      });
+      marker.on('popupclose', () => listView.select(null));
+      marker.on('mouseover', () => listView.hover(row, true));
+      marker.on('mouseout', () => listView.hover(row, false));
 
 
       cluster.addLayer(marker);
+      markersByRow.set(row, marker);
       features.push({ lat, lon });
     }
 
     if (features.length) {
       //const bounds = L.latLngBounds(features.map(f => [f.lat, f.lon]));
       //map.fitBounds(bounds.pad(0.1));
-      setStatus(`Showing ${features.length} location(s).`);
+      setStatus(t('status.showing', { count: features.length }));
     } else {
       //map.setView(DEFAULT_COORDS, DEFAULT_ZOOM);
-      setStatus('Select filters to view locations.');
+      setStatus(t('status.selectFilters'));
     }
+    saveState(true);
   }
 
   TYPE_FILTERS.addEventListener('change', refreshMarkers);
+  const facetPanel = setupFacetPanel({ onChange: refreshMarkers });
+  const coverage = setupCoverage(map, { download: downloadFile, onStatus: setStatus });
+  const editor = setupEditor(map, {
+    rows,
+    // saved from a popup form: redraw, then reopen that row's popup
+    onChange: row => {
+      refreshMarkers();
+      if (row && markersByRow.has(row)) markersByRow.get(row).openPopup();
+    },
+    // new or newly placed row: make sure its type is shown, then open its form
+    onAdd: row => {
+      const cb = TYPE_FILTERS.querySelector(`input[data-type="${CSS.escape(row.Type)}"]`);
+      if (cb) cb.checked = true;
+      pickSuggestion(row);
+    },
+    download: downloadFile,
+    onStatus: setStatus
+  });
   SEARCH.addEventListener('input', debounce(refreshMarkers, 250));
-  //ZIP_INPUT.addEventListener('input', debounce(refreshMarkers, 300));
+  const searchBox = setupSearchBox(SEARCH, {
+    getRows: () => rows,
+    onPick: pickSuggestion,
+    onChange: refreshMarkers
+  });
+
+  // A suggestion can be hidden by the other filters; still take the user there
+  function pickSuggestion(row) {
+    refreshMarkers();
+    if (markersByRow.has(row)) return focusRow(row);
+    if (!hasCoords(row)) {
+      setStatus(t('status.noLocation', { name: row.Name }));
+      return;
+    }
+    map.flyTo([Number(row.latitude), Number(row.longitude)], Math.max(map.getZoom(), 15));
+    setStatus(t('status.hiddenByFilters', { name: row.Name }));
+  }
+  OPEN_NOW.addEventListener('change', refreshMarkers);
+  OPEN_ON.addEventListener('input', () => {
+    if (OPEN_ON.value) OPEN_NOW.checked = false;
+    refreshMarkers();
+  });
+
+  // "Open now" drifts as the clock moves; re-run it every minute
+  setInterval(() => { if (OPEN_NOW.checked) refreshMarkers(); }, 60 * 1000);
+  ZIP_INPUT.addEventListener('change', refreshMarkers);
+  SERVES_ZIP.addEventListener('input', debounce(() => {
+    zipOverlay.setSelected(SERVES_ZIP.value.trim());
+    refreshMarkers();
+  }, 300));
+  INCLUDE_UNLISTED.addEventListener('change', refreshMarkers);
+  FRESHNESS_MODE.addEventListener('change', refreshMarkers);
+  FRESHNESS_MONTHS.addEventListener('input', debounce(refreshMarkers, 300));
+
+  // Call list for volunteers: every row, not just the filtered ones
+  STALE_CSV.addEventListener('click', () => {
+    const entries = staleEntries(rows, { months: Number(FRESHNESS_MONTHS.value) || 6 });
+    downloadFile('broome_services_to_verify.csv', staleReportCSV(entries), 'text/csv');
+    setStatus(t('freshness.reported', { count: entries.length }));
+  });
+
+  STALE_HTML.addEventListener('click', () => {
+    const months = Number(FRESHNESS_MONTHS.value) || 6;
+    const html = staleReportHTML(staleEntries(rows, { months }), { months, autoPrint: true });
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    // Pop-up blocked: hand over the file instead
+    if (!window.open(url, '_blank')) downloadFile('broome_services_to_verify.html', html, 'text/html');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  });
 
   RESET.addEventListener('click', () => {
     SEARCH.value = '';
-    //ZIP_INPUT.value = '';
+    searchBox.close();
+    [...ZIP_INPUT.options].forEach(o => { o.selected = false; });
+    SERVES_ZIP.value = '';
+    zipOverlay.setSelected('');
+    OPEN_NOW.checked = false;
+    OPEN_ON.value = '';
+    nearby.clear();
+    ROUTE_NEAR.value = '';
+    FRESHNESS_MODE.value = 'all';
+    facetPanel.clear();
     TYPE_FILTERS.querySelectorAll('input[type=checkbox]').forEach(cb => {cb.checked = false});
     refreshMarkers();
   });
@@ -585,47 +521,119 @@ toggleTompkins.addEventListener("click", () => {
 });
 
 
-  const DOWNLOAD = document.getElementById('downloadBtn');
+  // Export menu — every format is built from the same filterRows() result
+  function renderExportMenu() {
+    EXPORT_MENU.innerHTML = Object.entries(EXPORT_FORMATS)
+      .map(([format, { labelKey }]) => `<button type="button" data-format="${format}">${escapeHTML(t(labelKey))}</button>`)
+      .join('');
+  }
+  renderExportMenu();
+
+  function exportRows(format) {
+    const filtered = visibleRows();
+    const { ext, mime, labelKey } = EXPORT_FORMATS[format];
+    const filename = `broome_services.${ext}`;
+    if (format === 'csv') downloadFile(filename, toCSVText(filtered), mime);
+    else if (format === 'kml') downloadFile(filename, toKML(filtered), mime);
+    else if (format === 'gpx') downloadFile(filename, toGPX(filtered), mime);
+    else if (format === 'geojson') downloadJSON(filename, toGeoJSON(filtered));
+    else if (format === 'directory') {
+      const html = buildDirectoryHTML(filtered);
+      const url = URL.createObjectURL(new Blob([html], { type: mime }));
+      const win = window.open(url, '_blank');
+      // Pop-up blocked: hand over the file instead, it prints from any browser
+      if (!win) downloadFile('broome_services_directory.html', html, mime);
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+    setStatus(t('status.exported', { count: filtered.length, format: t(labelKey) }));
+  }
 
-  if (DOWNLOAD) {
-    DOWNLOAD.addEventListener('click', () => {
-      const filteredRows = filterRows(rows);
-      const geojsonData = toGeoJSON(filteredRows);
-      downloadJSON('filtered_data.geojson', geojsonData);
-    });
+  function closeExportMenu() {
+    EXPORT_MENU.hidden = true;
+    DOWNLOAD.classList.remove('active');
   }
 
+  DOWNLOAD.addEventListener('click', e => {
+    e.stopPropagation();
+    EXPORT_MENU.hidden = !EXPORT_MENU.hidden;
+    DOWNLOAD.classList.toggle('active', !EXPORT_MENU.hidden);
+  });
+
+  EXPORT_MENU.addEventListener('click', e => {
+    const btn = e.target.closest('button[data-format]');
+    if (!btn) return;
+    closeExportMenu();
+    exportRows(btn.dataset.format);
+  });
+
+  document.addEventListener('click', e => {
+    if (!EXPORT_MENU.hidden && !EXPORT_MENU.contains(e.target)) closeExportMenu();
+  });
+
+  function setListOpen(open) {
+    if (open !== !document.getElementById('results').hidden) listView.toggle();
+    LIST_VIEW.classList.toggle('active', open);
+    LIST_VIEW.setAttribute('aria-expanded', String(open));
+    map.invalidateSize();
+  }
+
+  LIST_VIEW.addEventListener('click', () => setListOpen(LIST_VIEW.getAttribute('aria-expanded') !== 'true'));
+
+  SKIP_TO_LIST.addEventListener('click', e => {
+    e.preventDefault();
+    setListOpen(true);
+    document.getElementById('resultsList').focus();
+  });
+
+  CALENDAR.addEventListener('click', () => {
+    const open = agenda.toggle();
+    CALENDAR.classList.toggle('active', open);
+    map.invalidateSize();
+  });
+
+  ICS_EXPORT.addEventListener('click', () => {
+    downloadFile('broome_services_schedule.ics', buildICS(visibleRows()), 'text/calendar');
+  });
+
   map.getContainer().addEventListener('click', handleCopyClick);
 
-  SCREENSHOT.addEventListener('click', () => {
-    const popup = document.querySelector('.leaflet-popup-pane');
-    if (popup) popup.style.display = 'none';
-    
-    const controls = document.querySelector('header');
-    if (controls) controls.style.display = 'none';
-
-    const captureElement = document.body;
-
-    html2canvas(captureElement, {
-      logging: false, 
-      useCORS: true, 
-      scrollX: 0,
-      scrollY: 0
-    }).then(canvas => {
-      const a = document.createElement('a');
-      a.download = 'community_map_screenshot.png';
-      a.href = canvas.toDataURL('image/png');
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-
-      if (popup) popup.style.display = 'block';
-      if (controls) controls.style.display = 'block';
-    });
+  // "Add to trip" / "Remove from trip" in popups
+  map.getContainer().addEventListener('click', e => {
+    const btn = e.target.closest('.trip-btn');
+    if (!btn) return;
+    const row = findLocation(rows, decodeURIComponent(btn.dataset.loc));
+    if (!row) return;
+    const added = trip.toggle(row);
+    btn.classList.toggle('in-trip', added);
+    btn.textContent = t(added ? 'popup.removeTrip' : 'popup.addTrip');
   });
 
+  // "Add to referral" / "Remove from referral" in popups
+  map.getContainer().addEventListener('click', e => {
+    const btn = e.target.closest('.referral-btn');
+    if (!btn) return;
+    const row = findLocation(rows, decodeURIComponent(btn.dataset.loc));
+    if (!row) return;
+    const added = referral.toggle(row);
+    btn.classList.toggle('in-referral', added);
+    btn.textContent = t(added ? 'popup.removeReferral' : 'popup.addReferral');
+  });
+
+  const handout = setupHandout(map, {
+    getRows: () => visibleRows(),
+    markers: cluster,
+    iconFor,
+    typeColors: TYPE_COLORS,
+    getBaseLayer: () => basemaps.layer(),
+    download: downloadFile,
+    onStatus: text => { if (text) setStatus(text); else refreshMarkers(); }
+  });
+
+  // The header controls are hidden in handout mode; its toolbar has the Close button
+  HANDOUT.addEventListener('click', () => handout.open());
+
   map.setView(DEFAULT_COORDS, DEFAULT_ZOOM);
-  setStatus('Select filters to view locations.');
+  setStatus(t('status.selectFilters'));
 
   // ========= NEW RADAR CODE
 function setupRadarOverlay(map) {
@@ -635,28 +643,49 @@ function setupRadarOverlay(map) {
   const timeline = document.getElementById("timeline");
   const track = document.getElementById("timeline-track");
   const timestampBox = document.getElementById("timestamp");
+  const btnBack = document.getElementById("radarBackBtn");
+  const btnPlay = document.getElementById("radarPlayBtn");
+  const btnForward = document.getElementById("radarForwardBtn");
+  const speedSelect = document.getElementById("radarSpeed");
+  const opacityInput = document.getElementById("radarOpacity");
 
   // Internal state
-  let radarFrames = [];
-  let radarTimes = [];
+  let radarFrames = [];      // [{ time, path, forecast }] oldest first, nowcast frames last
   let radarLayers = [];
   let radarIndex = 0;
   let radarActive = false;
+  let playing = true;
   let animationFrame = null;
+  let opacity = Number(opacityInput.value) || 0.6;
+
+  const FRAME_MS = 2000;     // crossfade length at 1x
+
+  // Keep clicks / drags on the timeline from panning the map underneath
+  L.DomEvent.disableClickPropagation(timeline);
+  L.DomEvent.disableScrollPropagation(timeline);
 
   /* --------------------------------------------------------------------------
-     Build timeline ticks
+     Build timeline ticks (forecast frames get their own colour)
   -------------------------------------------------------------------------- */
   function buildTimeline() {
     track.innerHTML = "";
     if (!radarFrames.length) return;
 
     const n = radarFrames.length;
-    for (let i = 0; i < n; i++) {
+    radarFrames.forEach((frame, i) => {
       const tick = document.createElement("div");
-      tick.className = "timeline-tick";
-      tick.style.left = `${(i / (n - 1)) * 100}%`;
+      tick.className = frame.forecast ? "timeline-tick forecast" : "timeline-tick";
+      tick.style.left = `${n > 1 ? (i / (n - 1)) * 100 : 0}%`;
+      tick.title = formatFrameTime(frame);
       track.appendChild(tick);
+    });
+
+    const firstForecast = radarFrames.findIndex(f => f.forecast);
+    if (firstForecast > 0) {
+      const now = document.createElement("div");
+      now.className = "timeline-now";
+      now.style.left = `${((firstForecast - 0.5) / (n - 1)) * 100}%`;
+      track.appendChild(now);
     }
 
     const marker = document.createElement("div");
@@ -670,62 +699,109 @@ function setupRadarOverlay(map) {
     const marker = document.getElementById("timeline-marker");
     if (!marker || radarFrames.length <= 1) return;
     marker.style.left = `${(i / (radarFrames.length - 1)) * 100}%`;
+    marker.classList.toggle("forecast", !!radarFrames[i].forecast);
   }
 
   /* --------------------------------------------------------------------------
-     Timestamp box update
+     Timestamp box update — Eastern time first (in the interface language),
+     UTC for comparing with NWS products
   -------------------------------------------------------------------------- */
-  function updateTimestamp(unix) {
-    const d = new Date(unix * 1000);
-    timestampBox.textContent = d.toISOString().replace("T", " ").split(".")[0] + " UTC";
+  function formatFrameTime(frame) {
+    const d = new Date(frame.time * 1000);
+    const eastern = formatDateTime(d, {
+      timeZone: "America/New_York",
+      weekday: "short",
+      hour: "numeric",
+      minute: "2-digit",
+      timeZoneName: "short"
+    });
+    return `${eastern} · ${d.toISOString().slice(11, 16)} UTC`;
+  }
+
+  function updateTimestamp(i) {
+    const frame = radarFrames[i];
+    if (!frame) return;
+    const lastPast = radarFrames.filter(f => !f.forecast).pop();
+    const ahead = frame.forecast && lastPast ? Math.round((frame.time - lastPast.time) / 60) : 0;
+    // from here on the box shows frame times, not the "Loading…" string
+    delete timestampBox.dataset.i18n;
+    timestampBox.textContent = frame.forecast
+      ? `${t("radar.forecastAhead", { minutes: ahead })} · ${formatFrameTime(frame)}`
+      : formatFrameTime(frame);
+    timestampBox.classList.toggle("forecast", !!frame.forecast);
   }
 
   /* --------------------------------------------------------------------------
-     Load frames from RainViewer
+     Load frames from RainViewer (past radar + nowcast forecast)
   -------------------------------------------------------------------------- */
   async function loadRadarFrames() {
     try {
       const res = await fetch("https://api.rainviewer.com/public/weather-maps.json");
       const data = await res.json();
-      radarFrames = data.radar.past.map(f => f.path);
-      radarTimes = data.radar.past.map(f => f.time);
+      const keepTime = radarFrames[radarIndex] && radarFrames[radarIndex].time;
+
+      radarFrames = [
+        ...(data.radar.past || []).map(f => ({ time: f.time, path: f.path, forecast: false })),
+        ...(data.radar.nowcast || []).map(f => ({ time: f.time, path: f.path, forecast: true }))
+      ];
 
+      stopAnimation();
       radarLayers.forEach(l => map.removeLayer(l));
       radarLayers = [];
 
-      radarFrames.forEach((path, i) => {
+      radarFrames.forEach((frame, i) => {
         const layer = L.tileLayer(
-          `https://tilecache.rainviewer.com${path}/256/{z}/{x}/{y}/2/1_1.png`,
-          { opacity: i === 0 ? 0.6 : 0, zIndex: 50 + i }
+          `${data.host || "https://tilecache.rainviewer.com"}${frame.path}/256/{z}/{x}/{y}/2/1_1.png`,
+          { opacity: 0, zIndex: 50 + i }
         );
         if (radarActive) layer.addTo(map);
         radarLayers.push(layer);
       });
 
-      radarIndex = 0;
+      // Stay on the frame the user paused on if it is still in the list
+      const kept = radarFrames.findIndex(f => f.time === keepTime);
+      radarIndex = !playing && kept >= 0 ? kept : 0;
       buildTimeline();
+      showFrame(radarIndex);
 
-      if (radarActive) animateRadar();
+      if (radarActive && playing) animateRadar();
     } catch (err) {
       console.error("Radar load error:", err);
     }
   }
 
+  /* --------------------------------------------------------------------------
+     Frame display: one frame at full opacity, the rest hidden
+  -------------------------------------------------------------------------- */
+  function showFrame(i) {
+    if (!radarLayers.length) return;
+    radarIndex = (i + radarLayers.length) % radarLayers.length;
+    radarLayers.forEach((l, j) => l.setOpacity(j === radarIndex ? opacity : 0));
+    updateTimestamp(radarIndex);
+    updateTimelineMarker(radarIndex);
+  }
+
+  function stopAnimation() {
+    if (animationFrame) cancelAnimationFrame(animationFrame);
+    animationFrame = null;
+  }
+
   /* --------------------------------------------------------------------------
      Crossfade animation
   -------------------------------------------------------------------------- */
   function animateRadar() {
-    if (!radarLayers.length || !radarActive) return;
+    stopAnimation();
+    if (!radarLayers.length || !radarActive || !playing) return;
 
     const current = radarLayers[radarIndex];
     const nextIndex = (radarIndex + 1) % radarLayers.length;
     const next = radarLayers[nextIndex];
 
     let t = 0;
-    const duration = 2000;
+    const duration = FRAME_MS / (Number(speedSelect.value) || 1);
     const start = performance.now();
 
-    updateTimestamp(radarTimes[nextIndex]);
+    updateTimestamp(nextIndex);
     updateTimelineMarker(nextIndex);
 
     function step(now) {
@@ -735,8 +811,8 @@ function setupRadarOverlay(map) {
       // cosine ease
       const eased = 0.5 - 0.5 * Math.cos(Math.PI * t);
 
-      current.setOpacity(0.6 * (1 - eased));
-      next.setOpacity(0.6 * eased);
+      current.setOpacity(opacity * (1 - eased));
+      next.setOpacity(opacity * eased);
 
       if (t < 1) {
         animationFrame = requestAnimationFrame(step);
@@ -749,6 +825,75 @@ function setupRadarOverlay(map) {
     animationFrame = requestAnimationFrame(step);
   }
 
+  /* --------------------------------------------------------------------------
+     Playback controls
+  -------------------------------------------------------------------------- */
+  function setPlaying(on) {
+    playing = on;
+    btnPlay.textContent = playing ? "⏸" : "▶";
+    btnPlay.title = t(playing ? "radar.pause" : "radar.play");
+    if (playing) {
+      animateRadar();
+    } else {
+      stopAnimation();
+      showFrame(radarIndex);
+    }
+  }
+
+  function stepFrame(delta) {
+    setPlaying(false);
+    showFrame(radarIndex + delta);
+  }
+
+  btnPlay.addEventListener("click", () => setPlaying(!playing));
+  btnBack.addEventListener("click", () => stepFrame(-1));
+  btnForward.addEventListener("click", () => stepFrame(1));
+
+  speedSelect.addEventListener("change", () => {
+    if (playing) animateRadar();   // restart the current crossfade at the new speed
+  });
+
+  opacityInput.addEventListener("input", () => {
+    opacity = Number(opacityInput.value);
+    if (!playing) showFrame(radarIndex);
+  });
+
+  // Arrow keys / space while the timeline has focus
+  timeline.addEventListener("keydown", e => {
+    if (e.target.closest("button, select, input")) return;
+    if (e.key === "ArrowLeft") stepFrame(-1);
+    else if (e.key === "ArrowRight") stepFrame(1);
+    else if (e.key === " ") setPlaying(!playing);
+    else return;
+    e.preventDefault();
+  });
+
+  /* --------------------------------------------------------------------------
+     Scrub: click or drag on the track to jump to the nearest frame
+  -------------------------------------------------------------------------- */
+  function frameAt(clientX) {
+    const rect = track.getBoundingClientRect();
+    const x = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    return Math.round(x * (radarFrames.length - 1));
+  }
+
+  track.addEventListener("pointerdown", e => {
+    if (!radarFrames.length) return;
+    track.setPointerCapture(e.pointerId);
+    setPlaying(false);
+    showFrame(frameAt(e.clientX));
+
+    const move = ev => showFrame(frameAt(ev.clientX));
+    const up = () => {
+      track.removeEventListener("pointermove", move);
+      track.removeEventListener("pointerup", up);
+      track.removeEventListener("pointercancel", up);
+    };
+    track.addEventListener("pointermove", move);
+    track.addEventListener("pointerup", up);
+    track.addEventListener("pointercancel", up);
+  });
+
   /* --------------------------------------------------------------------------
      Toggle Radar On/Off
   -------------------------------------------------------------------------- */
@@ -756,22 +901,25 @@ function setupRadarOverlay(map) {
     radarActive = !radarActive;
 
     if (radarActive) {
-      btnToggleRadar.textContent = "🌧️ Radar On";
+      btnToggleRadar.dataset.i18n = "radar.on";
+      btnToggleRadar.textContent = t("radar.on");
       btnToggleRadar.classList.add("active");
 
       timeline.classList.add("visible");
       timestampBox.classList.add("visible");
 
       radarLayers.forEach(l => l.addTo(map));
-      animateRadar();
+      showFrame(radarIndex);
+      if (playing) animateRadar();
     } else {
-      btnToggleRadar.textContent = "🌧️ Radar Off";
+      btnToggleRadar.dataset.i18n = "radar.off";
+      btnToggleRadar.textContent = t("radar.off");
       btnToggleRadar.classList.remove("active");
 
       timeline.classList.remove("visible");
       timestampBox.classList.remove("visible");
 
-      if (animationFrame) cancelAnimationFrame(animationFrame);
+      stopAnimation();
       radarLayers.forEach(l => map.removeLayer(l));
     }
   });
@@ -783,13 +931,120 @@ function setupRadarOverlay(map) {
 
   return {
     loadRadarFrames,   // allow periodic refresh
+    relabel: () => {   // after a language change
+      updateTimestamp(radarIndex);
+      btnPlay.title = t(playing ? "radar.pause" : "radar.play");
+    },
   };
 }
 
-
 const radar = setupRadarOverlay(map);
 
 // Refresh frames every 10 minutes if you want:
 setInterval(() => radar.loadRadarFrames(), 10 * 60 * 1000);
 // ========= NEW RADAR CODE
+
+  // Language picker: static markup re-translates itself (data-i18n); rebuild the rest
+  setupLanguagePicker({
+    onChange: () => {
+      radar.relabel();
+      weather.relabel();
+      trip.relabel();
+      editor.relabel();
+      referral.relabel();
+      renderExportMenu();
+      refreshMarkers();
+    }
+  });
+
+  // ========= Shareable URL state
+  function collectState() {
+    return {
+      types: [...TYPE_FILTERS.querySelectorAll('input[type=checkbox]')].filter(cb => cb.checked).map(cb => cb.dataset.type),
+      q: SEARCH.value.trim(),
+      facets: selectionToList(selectedFacets(FACET_FILTERS)),
+      zips: [...ZIP_INPUT.selectedOptions].map(o => o.value),
+      serves: SERVES_ZIP.value.trim(),
+      unlisted: INCLUDE_UNLISTED.checked,
+      openNow: OPEN_NOW.checked,
+      openOn: OPEN_ON.value,
+      center: map.getCenter(),
+      zoom: map.getZoom(),
+      base: basemaps.current(),
+      layers: [...document.querySelectorAll('.route-btn.active-route')].map(b => b.id).filter(Boolean),
+      nearRoute: ROUTE_NEAR.value,
+      nearMiles: ROUTE_NEAR.value ? Number(ROUTE_MILES.value) || 1 : null,
+      stale: FRESHNESS_MODE.value,
+      staleMonths: FRESHNESS_MODE.value !== 'all' ? Number(FRESHNESS_MONTHS.value) || 6 : null,
+      radar: document.getElementById('toggleRadar').classList.contains('active'),
+      loc: openLocation,
+    };
+  }
+
+  // push = new history entry (filters, popups); otherwise just keep the URL current (panning)
+  function saveState(push) {
+    if (restoring) return;
+    const hash = encodeState(collectState());
+    if (hash === location.hash) return;
+    history[push ? 'pushState' : 'replaceState'](null, '', hash || location.pathname + location.search);
+  }
+
+  function applyState(state) {
+    restoring = true;
+
+    TYPE_FILTERS.querySelectorAll('input[type=checkbox]').forEach(cb => {
+      cb.checked = state.types.includes(cb.dataset.type);
+    });
+    SEARCH.value = state.q;
+    facetPanel.set(state.facets);
+    [...ZIP_INPUT.options].forEach(o => { o.selected = state.zips.includes(o.value); });
+    SERVES_ZIP.value = state.serves;
+    zipOverlay.setSelected(state.serves);
+    INCLUDE_UNLISTED.checked = state.unlisted;
+    OPEN_NOW.checked = state.openNow;
+    OPEN_ON.value = state.openOn;
+    ROUTE_NEAR.value = state.nearRoute;
+    if (state.nearMiles) ROUTE_MILES.value = state.nearMiles;
+    FRESHNESS_MODE.value = state.stale;
+    if (state.staleMonths) FRESHNESS_MONTHS.value = state.staleMonths;
+
+    if (state.base) basemaps.set(state.base, { remember: false });
+    if (state.center) map.setView(state.center, state.zoom);
+
+    // toggle buttons keep their own state, so click the ones that differ
+    document.querySelectorAll('.route-btn[id]').forEach(btn => {
+      if (state.layers.includes(btn.id) !== btn.classList.contains('active-route')) btn.click();
+    });
+    const radarBtn = document.getElementById('toggleRadar');
+    if (state.radar !== radarBtn.classList.contains('active')) radarBtn.click();
+
+    refreshMarkers();
+
+    map.closePopup();
+    openLocation = '';
+    const target = findLocation(rows, state.loc);
+    if (target) focusRow(target);
+
+    restoring = false;
+  }
+
+  map.on('moveend', () => saveState(false));
+  map.on('popupclose', () => {
+    openLocation = '';
+    saveState(false);
+  });
+  document.addEventListener('click', e => {
+    if (e.target.closest('.route-btn, #toggleRadar')) saveState(true);
+  });
+  window.addEventListener('popstate', () => applyState(decodeState(location.hash)));
+
+  SHARE.addEventListener('click', () => {
+    saveState(false);
+    copyToClipboard(location.href, SHARE);
+  });
+
+  // route buttons are generated from routes.geojson; wait so their toggles can be restored
+  await routes.ready;
+  if (location.hash) applyState(decodeState(location.hash));
+  restoring = false;
 })();
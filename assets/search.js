@@ -0,0 +1,343 @@
+/* search.js — tokenized, forgiving search over the location rows
+   - normalize(): lowercase, accents and punctuation dropped ("St. Mary's" -> "st marys")
+   - parseQuery(): free words plus field qualifiers, e.g. city:endicott type:shelter
+     delivers:yes zip:13760 services:"hot meals"; unknown qualifiers are searched as words
+   - Each word must match some field: exact, prefix, or within a small edit distance
+     (1 typo for 4-7 letters, 2 for longer); matches in Name/Type/City rank higher
+   - searchRows(rows, query) -> [{ row, score }] best first
+   - suggest(rows, query) -> typeahead entries; highlightHTML(text, query) -> escaped HTML with <mark>
+   - setupSearchBox(input, { getRows, onPick, onChange }) wires the typeahead dropdown
+   Kept DOM-free apart from setupSearchBox so tools/ can reuse it.
+*/
+import { escapeHTML } from './escape.js';
+import { t } from './i18n.js';
+
+// qualifier -> row fields it searches; the first name listed is the one shown in hints
+export const SEARCH_FIELDS = {
+  name: ['Name'],
+  type: ['Type'],
+  city: ['City'],
+  street: ['Street'],
+  address: ['Street', 'City', 'State', 'Zip'],
+  zip: ['Zip'],
+  hours: ['Hours of Operation'],
+  area: ['Area Served'],
+  serves: ['Area Served'],
+  services: ['Additional Services Offered'],
+  delivers: ['Deliveries?'],
+  deliveries: ['Deliveries?'],
+  drivethru: ['Drive Thru?'],
+  contact: ['Contact'],
+  phone: ['Phone'],
+  email: ['Email'],
+};
+
+// Yes/no columns hold free text ("Yes - Limited", "No, but will bring food out")
+const YES_NO_FIELDS = new Set(['Deliveries?', 'Drive Thru?']);
+
+const FIELD_WEIGHTS = { Name: 4, Type: 2, City: 2, Street: 1.5, Zip: 1.5 };
+const ALL_FIELDS = [...new Set(Object.values(SEARCH_FIELDS).flat())];
+const SCORE = { exact: 3, prefix: 2, fuzzy: 1 };
+const MAX_SUGGESTIONS = 8;
+
+export function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function tokenize(text) {
+  const value = normalize(text);
+  return value ? value.split(' ') : [];
+}
+
+// Optimal string alignment distance, giving up once it exceeds max
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// How well one query word matches one word of the text: 'exact' | 'prefix' | 'fuzzy' | null
+function matchWord(term, word) {
+  if (word === term) return 'exact';
+  if (word.startsWith(term)) return 'prefix';
+  const typos = allowedTypos(term);
+  if (!typos) return null;
+  // compare against the same-length start of longer words too, so "pantr" ~ "pantries"
+  if (editDistance(term, word, typos) <= typos) return 'fuzzy';
+  if (word.length > term.length && editDistance(term, word.slice(0, term.length), typos) <= typos) return 'fuzzy';
+  return null;
+}
+
+// Best match of a term across the words of a text; also reports which words matched
+function matchText(term, words) {
+  let best = null;
+  const hits = [];
+  words.forEach(word => {
+    const kind = matchWord(term, word);
+    if (!kind) return;
+    hits.push(word);
+    if (!best || SCORE[kind] > SCORE[best]) best = kind;
+  });
+  return best ? { kind: best, hits } : null;
+}
+
+// "St. Mary's city:endicott services:\"hot meals\"" -> { terms, filters, raw }
+export function parseQuery(query) {
+  const terms = [];
+  const filters = [];
+  const pattern = /(\w+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = pattern.exec(String(query ?? '')))) {
+    const [, key, quoted, bare, phrase, word] = m;
+    const field = key && key.toLowerCase();
+    if (field && SEARCH_FIELDS[field]) {
+      const value = quoted ?? bare;
+      if (normalize(value)) filters.push({ field, fields: SEARCH_FIELDS[field], value: normalize(value) });
+    } else {
+      terms.push(...tokenize(field ? m[0] : (phrase ?? word)));
+    }
+  }
+  return { terms, filters, raw: String(query ?? '') };
+}
+
+export function isEmptyQuery(parsed) {
+  return !parsed.terms.length && !parsed.filters.length;
+}
+
+function yesNo(value) {
+  const text = normalize(value);
+  if (/^yes\b/.test(text)) return 'yes';
+  if (/^no\b/.test(text) || /^not\b/.test(text)) return 'no';
+  return '';
+}
+
+// Score a single row (0 = no match). All terms and filters must match.
+export function scoreRow(row, parsed) {
+  let score = 0;
+
+  for (const { fields, value } of parsed.filters) {
+    if (fields.every(f => YES_NO_FIELDS.has(f)) && (value === 'yes' || value === 'no')) {
+      if (!fields.some(f => yesNo(row[f]) === value)) return 0;
+      score += 1;
+      continue;
+    }
+    const words = fields.flatMap(f => tokenize(row[f]));
+    for (const term of value.split(' ')) {
+      const hit = matchText(term, words);
+      if (!hit) return 0;
+      score += SCORE[hit.kind];
+    }
+  }
+
+  for (const term of parsed.terms) {
+    let best = 0;
+    for (const field of ALL_FIELDS) {
+      const hit = matchText(term, tokenize(row[field]));
+      if (hit) best = Math.max(best, SCORE[hit.kind] * (FIELD_WEIGHTS[field] || 1));
+    }
+    if (!best) return 0;
+    score += best;
+  }
+
+  // the whole query appearing in the name (e.g. "st marys") beats scattered word hits
+  const phrase = parsed.terms.join(' ');
+  if (phrase && normalize(row.Name).includes(phrase)) score += 5;
+  return score;
+}
+
+export function searchRows(rows, query) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  if (isEmptyQuery(parsed)) return rows.map(row => ({ row, score: 0 }));
+  return rows
+    .map(row => ({ row, score: scoreRow(row, parsed) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || String(a.row.Name).localeCompare(String(b.row.Name)));
+}
+
+// Typeahead: qualifier names, qualifier values (city:end -> city:endicott), then best rows
+export function suggest(rows, query, limit = MAX_SUGGESTIONS) {
+  const text = String(query ?? '');
+  const lastToken = text.match(/(\S*)$/)[1];
+  const before = text.slice(0, text.length - lastToken.length);
+  const out = [];
+
+  const qualified = lastToken.match(/^(\w+):(.*)$/);
+  if (qualified && SEARCH_FIELDS[qualified[1].toLowerCase()]) {
+    const field = qualified[1].toLowerCase();
+    const partial = normalize(qualified[2].replace(/^"/, ''));
+    const counts = new Map();
+    rows.forEach(row => SEARCH_FIELDS[field].forEach(f => {
+      const value = String(row[f] ?? '').trim();
+      if (!value || YES_NO_FIELDS.has(f) || value.length > 40) return;
+      if (partial && !normalize(value).startsWith(partial)) return;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }));
+    if (SEARCH_FIELDS[field].every(f => YES_NO_FIELDS.has(f))) {
+      ['yes', 'no'].filter(v => v.startsWith(partial)).forEach(v => counts.set(v, 0));
+    }
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .forEach(([value, count]) => {
+        const token = /\s/.test(value) ? `"${value}"` : value;
+        out.push({ kind: 'value', label: `${field}:${value}`, detail: count ? `${count}` : '', value: `${before}${field}:${token} ` });
+      });
+    return out;
+  }
+
+  if (/^[a-z]{2,}$/i.test(lastToken)) {
+    Object.keys(SEARCH_FIELDS)
+      .filter(f => f.startsWith(lastToken.toLowerCase()) && f !== lastToken.toLowerCase())
+      .slice(0, 3)
+      .forEach(f => out.push({ kind: 'field', label: `${f}:`, detail: t('search.fieldOnly'), value: `${before}${f}:` }));
+  }
+
+  const parsed = parseQuery(text);
+  if (!isEmptyQuery(parsed)) {
+    searchRows(rows, parsed).slice(0, limit - out.length).forEach(({ row }) => {
+      out.push({ kind: 'row', label: row.Name || 'Community Location', detail: [row.Type, row.City].filter(Boolean).join(' · '), row });
+    });
+  }
+  return out;
+}
+
+// Wrap words of text that match the query in <mark>; everything else is escaped.
+// field limits qualifier matches to the row field being shown (e.g. 'City').
+export function highlightHTML(text, query, field = null) {
+  const value = String(text ?? '');
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const terms = [
+    ...parsed.terms,
+    ...parsed.filters.filter(f => !field || f.fields.includes(field)).flatMap(f => f.value.split(' ')),
+  ];
+  if (!value || !terms.length) return escapeHTML(value);
+
+  let out = '';
+  let last = 0;
+  // walk the original words so the output keeps its punctuation and case
+  for (const m of value.matchAll(/[\p{L}\p{N}'’]+/gu)) {
+    const word = normalize(m[0]).replace(/ /g, '');
+    if (!word || !terms.some(term => matchWord(term, word))) continue;
+    out += escapeHTML(value.slice(last, m.index)) + `<mark>${escapeHTML(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHTML(value.slice(last));
+}
+
+export function setupSearchBox(input, { getRows, onPick, onChange }) {
+
+  // UI elements
+  const box = document.getElementById('searchSuggestions');
+
+  // Internal state
+  let entries = [];
+  let active = -1;
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', box.id);
+  input.setAttribute('aria-expanded', 'false');
+
+  function close() {
+    box.hidden = true;
+    entries = [];
+    active = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function render() {
+    entries = input.value.trim() ? suggest(getRows(), input.value) : [];
+    active = -1;
+    if (!entries.length) {
+      close();
+      return;
+    }
+    box.innerHTML = entries.map((entry, i) => `
+      <li id="suggestion-${i}" role="option" aria-selected="false" class="suggestion suggestion-${entry.kind}">
+        <span class="suggestion-label">${entry.kind === 'row' ? highlightHTML(entry.label, input.value, 'Name') : escapeHTML(entry.label)}</span>
+        ${entry.detail ? `<span class="suggestion-detail">${escapeHTML(entry.detail)}</span>` : ''}
+      </li>`).join('');
+    box.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function setActive(i) {
+    active = i;
+    [...box.children].forEach((li, j) => li.setAttribute('aria-selected', j === i ? 'true' : 'false'));
+    if (i >= 0) input.setAttribute('aria-activedescendant', `suggestion-${i}`);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function pick(i) {
+    const entry = entries[i];
+    if (!entry) return;
+    if (entry.kind === 'row') {
+      close();
+      onPick(entry.row);
+      return;
+    }
+    // field / value completions edit the query and keep the dropdown open
+    input.value = entry.value;
+    input.focus();
+    onChange();
+    render();
+  }
+
+  input.addEventListener('input', render);
+  input.addEventListener('focus', render);
+  input.addEventListener('keydown', e => {
+    if (box.hidden) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      // cycles through the entries and back to the text box (-1)
+      let next = active + (e.key === 'ArrowDown' ? 1 : -1);
+      if (next >= entries.length) next = -1;
+      if (next < -1) next = entries.length - 1;
+      setActive(next);
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      pick(active);
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+  // mousedown so the pick happens before the input's blur closes the list
+  box.addEventListener('mousedown', e => {
+    const li = e.target.closest('.suggestion');
+    if (!li) return;
+    e.preventDefault();
+    pick([...box.children].indexOf(li));
+  });
+  input.addEventListener('blur', () => setTimeout(close, 100));
+
+  return { close, refresh: render };
+}
@@ -0,0 +1,347 @@
+/* trip.js — delivery-run planner: an ordered list of stops drawn as one trip
+   - Stops are added/removed from marker popups ("Add to trip"), reordered by drag,
+     the ↑/↓ buttons, or optimizeOrder() (nearest neighbour + 2-opt on straight-line miles)
+   - The trip is drawn through a router from routers.js, so road routing can be swapped in
+   - Export as GPX (route + waypoints) or a printable driver sheet
+   - The stop list survives reloads (localStorage, by locationId)
+   - setupTripPlanner(map, { rows, router, onSelect, download, onStatus })
+       -> { toggle(row), has(row), clear(), relabel() }
+*/
+import { haversineMiles } from './nearby.js';
+import { locationId, findLocation } from './urlstate.js';
+import { toGPXRoute, fullAddress } from './export.js';
+import { escapeXML } from './escape.js';
+import { t, formatDateTime, getLanguage, getDirection } from './i18n.js';
+
+const STORAGE_KEY = 'tripStops';
+const TRIP_COLOR = '#6e1788';
+
+// Helper: total miles of a visiting order over a distance matrix
+function orderMiles(order, dist, roundTrip) {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) total += dist[order[i - 1]][order[i]];
+  if (roundTrip && order.length > 1) total += dist[order[order.length - 1]][order[0]];
+  return total;
+}
+
+// Helper: "3 stops · 12.4 mi by road · round trip"
+function tripSummary(count, miles, { approximate, roundTrip, sheet = false }) {
+  const distance = approximate ? (sheet ? 'trip.straightLineLonger' : 'trip.straightLine') : 'trip.byRoad';
+  return [
+    t('trip.stops', { count }),
+    t(distance, { miles: miles.toFixed(1) }),
+    roundTrip ? t('trip.roundTripTag') : '',
+  ].filter(Boolean).join(' · ');
+}
+
+// Visiting order (indexes into points) that keeps points[0] as the start
+export function optimizeOrder(points, { roundTrip = false } = {}) {
+  const n = points.length;
+  if (n < 3) return points.map((_, i) => i);
+  const dist = points.map(a => points.map(b => haversineMiles(a, b)));
+
+  // Nearest neighbour from the first stop
+  const order = [0];
+  const left = new Set(points.keys());
+  left.delete(0);
+  while (left.size) {
+    const last = order[order.length - 1];
+    let best = -1;
+    left.forEach(i => { if (best < 0 || dist[last][i] < dist[last][best]) best = i; });
+    order.push(best);
+    left.delete(best);
+  }
+
+  // 2-opt: reverse any segment that shortens the trip, until nothing improves
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+        if (orderMiles(candidate, dist, roundTrip) < orderMiles(order, dist, roundTrip) - 1e-9) {
+          order.splice(0, n, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+export function buildTripSheetHTML(stops, { legs = [], miles = 0, roundTrip = false, approximate = true, title = t('trip.heading'), generated = new Date() } = {}) {
+  const rows = stops.map((row, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td><b>${escapeXML(row.Name)}</b><br>${escapeXML(row.Type)}</td>
+      <td>${escapeXML(fullAddress(row))}</td>
+      <td>${escapeXML(row['Hours of Operation'])}</td>
+      <td>${escapeXML(row.Phone)}</td>
+      <td>${i > 0 && legs[i - 1] !== undefined ? `${legs[i - 1].toFixed(1)} ${escapeXML(t('unit.mi'))}` : escapeXML(t('trip.sheet.start'))}</td>
+      <td class="check"></td>
+    </tr>`).join('');
+  const back = roundTrip && stops.length > 1 && legs[stops.length - 1] !== undefined
+    ? `<tr><td></td><td colspan="4">${escapeXML(t('trip.sheet.return', { name: stops[0].Name }))}</td><td>${legs[stops.length - 1].toFixed(1)} ${escapeXML(t('unit.mi'))}</td><td></td></tr>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}" dir="${getDirection()}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXML(title)}</title>
+<style>
+  body { font: 11pt/1.35 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #111; margin: 1.5rem; }
+  h1 { font-size: 16pt; margin: 0 0 .25rem; color: #2b6777; }
+  p { margin: 0 0 1rem; color: #555; }
+  table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+  th { background: #2b6777; color: #fff; text-align: left; padding: 4px; print-color-adjust: exact; -webkit-print-color-adjust: exact; }
+  td { padding: 6px 4px; border-bottom: 1px solid #ccc; vertical-align: top; }
+  td.check { width: 1.2rem; border: 1px solid #999; }
+  tr { break-inside: avoid; }
+  @page { margin: 1.5cm; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeXML(title)}</h1>
+<p>${escapeXML(tripSummary(stops.length, miles, { approximate, roundTrip, sheet: true }))} · ${escapeXML(formatDateTime(generated))}</p>
+<table>
+  <thead><tr><th>#</th><th>${escapeXML(t('trip.sheet.stop'))}</th><th>${escapeXML(t('popup.address'))}</th><th>${escapeXML(t('popup.hours'))}</th><th>${escapeXML(t('popup.phone'))}</th><th>${escapeXML(t('trip.sheet.leg'))}</th><th>✓</th></tr></thead>
+  <tbody>${rows}${back}</tbody>
+</table>
+<script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>
+`;
+}
+
+export function setupTripPlanner(map, { rows, router, onSelect, download, onStatus = () => {} }) {
+
+  // UI elements
+  const list = document.getElementById('tripList');
+  const summary = document.getElementById('tripSummary');
+  const roundTripBox = document.getElementById('tripRoundTrip');
+  const optimizeBtn = document.getElementById('tripOptimizeBtn');
+  const gpxBtn = document.getElementById('tripGpxBtn');
+  const printBtn = document.getElementById('tripPrintBtn');
+  const clearBtn = document.getElementById('tripClearBtn');
+
+  // Internal state
+  let stops = [];
+  let result = null;       // last router answer for the current stops
+  let requestId = 0;       // drops router answers that arrive after a newer change
+  let dragFrom = -1;
+  const layer = L.layerGroup().addTo(map);
+
+  const pointOf = row => ({ lat: Number(row.latitude), lon: Number(row.longitude) });
+
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(stops.map(locationId)));
+    } catch (err) {
+      // private browsing / storage full: the trip just won't survive a reload
+    }
+  }
+
+  function restore() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      stops = ids.map(id => findLocation(rows, id)).filter(Boolean);
+    } catch (err) {
+      stops = [];
+    }
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    stops.forEach((row, i) => {
+      const li = document.createElement('li');
+      li.className = 'trip-stop';
+      li.draggable = true;
+      li.dataset.i = i;
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'trip-name';
+      name.textContent = `${i + 1}. ${row.Name || t('popup.defaultName')}`;
+      name.title = fullAddress(row);
+      name.addEventListener('click', () => onSelect(row));
+
+      const up = document.createElement('button');
+      up.type = 'button';
+      up.textContent = '↑';
+      up.title = t('trip.moveUp');
+      up.disabled = i === 0;
+      up.addEventListener('click', () => move(i, i - 1));
+
+      const down = document.createElement('button');
+      down.type = 'button';
+      down.textContent = '↓';
+      down.title = t('trip.moveDown');
+      down.disabled = i === stops.length - 1;
+      down.addEventListener('click', () => move(i, i + 1));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = t('trip.removeStop');
+      remove.addEventListener('click', () => { stops.splice(i, 1); changed(); });
+
+      li.append(name, up, down, remove);
+      list.appendChild(li);
+    });
+
+    if (!stops.length) {
+      summary.textContent = t('trip.empty');
+    }
+    [optimizeBtn, gpxBtn, printBtn, clearBtn].forEach(btn => { btn.disabled = !stops.length; });
+    optimizeBtn.disabled = stops.length < 3;
+  }
+
+  function renderSummary() {
+    if (!stops.length || !result) return;
+    summary.textContent = tripSummary(stops.length, result.miles, { approximate: result.approximate, roundTrip: roundTripBox.checked });
+  }
+
+  function drawTrip() {
+    layer.clearLayers();
+    if (!stops.length) return;
+    if (result && result.path.length > 1) {
+      L.polyline(result.path, {
+        color: TRIP_COLOR,
+        weight: 4,
+        opacity: 0.85,
+        dashArray: result.approximate ? '8 6' : null,
+      }).addTo(layer);
+    }
+    stops.forEach((row, i) => {
+      L.marker([Number(row.latitude), Number(row.longitude)], {
+        icon: L.divIcon({ className: 'trip-number', html: String(i + 1), iconSize: [22, 22], iconAnchor: [11, 36] }),
+        interactive: false,
+        keyboard: false,
+      }).addTo(layer);
+    });
+  }
+
+  async function routeTrip() {
+    const id = ++requestId;
+    result = null;
+    if (stops.length < 2) {
+      result = { path: [], legs: [], miles: 0, approximate: true };
+      drawTrip();
+      renderSummary();
+      return;
+    }
+
+    const points = stops.map(pointOf);
+    if (roundTripBox.checked) points.push(points[0]);
+    let answer;
+    try {
+      answer = await router.route(points);
+    } catch (err) {
+      console.warn(`Trip routing via ${router.name} failed, using straight lines:`, err);
+      onStatus(t('trip.routingFailed', { error: err.message }));
+      const legs = points.slice(1).map((p, i) => haversineMiles(points[i], p));
+      answer = { path: points.map(p => [p.lat, p.lon]), legs, miles: legs.reduce((a, b) => a + b, 0), approximate: true };
+    }
+    if (id !== requestId) return;
+    result = answer;
+    drawTrip();
+    renderSummary();
+  }
+
+  function changed() {
+    save();
+    renderList();
+    drawTrip();
+    routeTrip();
+  }
+
+  function move(from, to) {
+    if (to < 0 || to >= stops.length || from === to) return;
+    const [row] = stops.splice(from, 1);
+    stops.splice(to, 0, row);
+    changed();
+  }
+
+  // Drag and drop reordering
+  list.addEventListener('dragstart', e => {
+    const li = e.target.closest('.trip-stop');
+    if (!li) return;
+    dragFrom = Number(li.dataset.i);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', li.dataset.i);
+    li.classList.add('dragging');
+  });
+  list.addEventListener('dragover', e => {
+    if (dragFrom < 0) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+  list.addEventListener('drop', e => {
+    const li = e.target.closest('.trip-stop');
+    if (dragFrom < 0 || !li) return;
+    e.preventDefault();
+    move(dragFrom, Number(li.dataset.i));
+  });
+  list.addEventListener('dragend', () => {
+    dragFrom = -1;
+    list.querySelectorAll('.dragging').forEach(li => li.classList.remove('dragging'));
+  });
+
+  optimizeBtn.addEventListener('click', () => {
+    const before = result ? result.miles : null;
+    const order = optimizeOrder(stops.map(pointOf), { roundTrip: roundTripBox.checked });
+    stops = order.map(i => stops[i]);
+    changed();
+    onStatus(before !== null ? t('trip.reorderedWas', { miles: before.toFixed(1) }) : t('trip.reordered'));
+  });
+
+  roundTripBox.addEventListener('change', () => {
+    drawTrip();
+    routeTrip();
+  });
+
+  gpxBtn.addEventListener('click', () => {
+    const ordered = roundTripBox.checked && stops.length > 1 ? [...stops, stops[0]] : stops;
+    download('delivery_run.gpx', toGPXRoute(ordered, { name: t('trip.heading'), path: result && !result.approximate ? result.path : null }), 'application/gpx+xml');
+  });
+
+  printBtn.addEventListener('click', () => {
+    const html = buildTripSheetHTML(stops, {
+      legs: result ? result.legs : [],
+      miles: result ? result.miles : 0,
+      roundTrip: roundTripBox.checked,
+      approximate: result ? result.approximate : true,
+    });
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const win = window.open(url, '_blank');
+    if (!win) download('delivery_run.html', html, 'text/html');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  });
+
+  clearBtn.addEventListener('click', () => {
+    stops = [];
+    changed();
+  });
+
+  restore();
+  changed();
+
+  return {
+    has: row => stops.includes(row),
+    toggle(row) {
+      const i = stops.indexOf(row);
+      if (i >= 0) stops.splice(i, 1);
+      else stops.push(row);
+      changed();
+      return i < 0;
+    },
+    clear: () => { stops = []; changed(); },
+    // after a language change
+    relabel() {
+      renderList();
+      renderSummary();
+    },
+  };
+}
@@ -0,0 +1,43 @@
+/* types.js — location types shown on the map (the type registry)
+   Names must match the "Type" column in data.geocoded.json exactly;
+   tools/validate-data.mjs rejects rows whose Type is not listed here.
+   - TYPES: { name, icon (filter list / handout), marker (map pin), color, order }
+     Adding a type is one entry here; the filters, markers, legend colors and
+     export grouping all read from it
+   - typeInfo(name) falls back to OTHER_TYPE for anything not registered
+   - compareTypes(a, b) sorts by order, unregistered types last, alphabetically
+*/
+export const TYPES = [
+  { name: 'Blessing Boxes', icon: './icons/box.png', marker: './Completed markers/blessing_box.png', color: '#289237ff', order: 1 },
+  { name: 'Community Meals', icon: './icons/community.png', marker: './Completed markers/community_meals.png', color: '#3a5ddbff', order: 2 },
+  { name: 'Food Pantries', icon: './icons/food_pantry.png', marker: './Completed markers/food_pantries.png', color: '#24a0a0ff', order: 3 },
+  { name: 'Food Pantries (School)', icon: './icons/school.png', marker: './Completed markers/food_pantryschool.png', color: '#6e1788ff', order: 4 },
+  { name: 'Mobile Food Pantries', icon: './icons/van.png', marker: './Completed markers/mobile_foodpantry.png', color: '#a11337ff', order: 5 },
+  { name: 'Senior Centers', icon: './icons/senior.png', marker: './Completed markers/senior_center.png', color: '#d46e26ff', order: 6 },
+  { name: 'Shelters', icon: './icons/shelter.png', marker: './Completed markers/shelter.png', color: '#d0ad14ff', order: 7 },
+].sort((a, b) => a.order - b.order);
+
+// Rows whose Type is blank or not registered
+export const OTHER_TYPE = {
+  name: 'Other',
+  icon: 'https://cdn-icons-png.flaticon.com/512/684/684908.png',
+  marker: 'https://cdn-icons-png.flaticon.com/512/684/684908.png',
+  color: '#2b6777',
+  order: Infinity,
+};
+
+// Leaflet icon options for TYPES[].marker and OTHER_TYPE.marker
+export const MARKER_ICON_SIZE = { iconSize: [38, 40], iconAnchor: [16, 32] };
+export const OTHER_ICON_SIZE = { iconSize: [25, 25], iconAnchor: [12, 25], popupAnchor: [0, -25] };
+
+export const TYPE_NAMES = TYPES.map(type => type.name);
+export const TYPE_ICON_URLS = Object.fromEntries(TYPES.map(type => [type.name, type.icon]));
+export const TYPE_COLORS = Object.fromEntries(TYPES.map(type => [type.name, type.color]));
+
+export function typeInfo(name) {
+  return TYPES.find(type => type.name === name) || OTHER_TYPE;
+}
+
+export function compareTypes(a, b) {
+  return typeInfo(a).order - typeInfo(b).order || String(a).localeCompare(String(b));
+}
@@ -0,0 +1,103 @@
+/* urlstate.js — shareable view state in the URL hash
+   - encodeState(state) -> "#types=...&q=...&map=lat,lon,zoom&..."
+   - decodeState(hash) -> state object (missing keys come back as defaults); layer toggle ids
+     from before routes.geojson (toggleRoute86, toggleTompkins) map to their route-<id> buttons
+   - locationId(row) -> stable slug of Type + Name + Street used for deep links to one location
+     (Name + Street alone is shared by some school / pantry pairs); validate.js checks
+     that no two rows get the same id
+   - findLocation(rows, id) -> the row for an id, also accepting the older Name + Street ids
+     still found in saved links, trips and referrals
+   Empty / default values are left out so links stay short.
+*/
+
+function slug(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+export function locationId(row) {
+  return slug(`${row.Type || ''} ${row.Name || ''} ${row.Street || ''}`);
+}
+
+export function findLocation(rows, id) {
+  if (!id) return null;
+  return rows.find(r => locationId(r) === id)
+    || rows.find(r => slug(`${r.Name || ''} ${r.Street || ''}`) === id)
+    || null;
+}
+
+const LIST_KEYS = ['types', 'zips', 'layers', 'facets'];
+
+// Route buttons had fixed ids before routes.js built them from routes.geojson
+const LEGACY_LAYERS = {
+  toggleRoute86: 'route-i86-tompkins',
+  toggleTompkins: 'route-avoid-tompkins',
+};
+
+export function encodeState(state) {
+  const params = new URLSearchParams();
+  LIST_KEYS.forEach(key => {
+    if (state[key] && state[key].length) params.set(key, state[key].join('|'));
+  });
+  if (state.q) params.set('q', state.q);
+  if (state.serves) params.set('serves', state.serves);
+  if (state.unlisted === false) params.set('unlisted', '0');
+  if (state.openNow) params.set('open', 'now');
+  else if (state.openOn) params.set('open', state.openOn);
+  if (state.center) {
+    const { lat, lng } = state.center;
+    params.set('map', `${lat.toFixed(5)},${lng.toFixed(5)},${state.zoom}`);
+  }
+  if (state.base) params.set('base', state.base);
+  if (state.radar) params.set('radar', '1');
+  if (state.nearRoute) params.set('near', state.nearMiles ? `${state.nearRoute},${state.nearMiles}` : state.nearRoute);
+  if (state.stale && state.stale !== 'all') params.set('stale', state.staleMonths ? `${state.stale},${state.staleMonths}` : state.stale);
+  if (state.loc) params.set('loc', state.loc);
+  const str = params.toString();
+  return str ? `#${str}` : '';
+}
+
+export function decodeState(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const list = key => (params.get(key) || '').split('|').filter(Boolean);
+
+  const state = {
+    types: list('types'),
+    zips: list('zips'),
+    layers: list('layers').map(id => LEGACY_LAYERS[id] || id),
+    facets: list('facets'),
+    q: params.get('q') || '',
+    serves: params.get('serves') || '',
+    unlisted: params.get('unlisted') !== '0',
+    openNow: params.get('open') === 'now',
+    openOn: params.get('open') && params.get('open') !== 'now' ? params.get('open') : '',
+    center: null,
+    zoom: null,
+    base: params.get('base') || '',
+    radar: params.get('radar') === '1',
+    loc: params.get('loc') || '',
+    nearRoute: '',
+    nearMiles: null,
+    stale: 'all',
+    staleMonths: null,
+  };
+
+  const [nearRoute = '', nearMiles] = (params.get('near') || '').split(',');
+  state.nearRoute = nearRoute;
+  state.nearMiles = Number(nearMiles) > 0 ? Number(nearMiles) : null;
+
+  const [stale = '', staleMonths] = (params.get('stale') || '').split(',');
+  if (stale === 'hide' || stale === 'highlight') state.stale = stale;
+  state.staleMonths = Number(staleMonths) > 0 ? Number(staleMonths) : null;
+
+  const view = (params.get('map') || '').split(',').map(Number);
+  if (view.length === 3 && view.every(n => Number.isFinite(n))) {
+    state.center = { lat: view[0], lng: view[1] };
+    state.zoom = view[2];
+  }
+  return state;
+}
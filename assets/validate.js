@@ -0,0 +1,306 @@
+/* validate.js — row schema, validation and normalization for data.geocoded.json
+   - validateRow(row, index) -> [{ index, name, field, severity, code, message }]
+       severity: 'error' (breaks the map) | 'warning' (needs a human) | 'info'
+       (rows without coordinates or with an incomplete address are warnings: they stay in the
+       list and the stale report until someone looks them up)
+   - normalizeRow(row) -> { row, fixes: [{ field, code, from, to }] }  (safe, mechanical fixes only)
+   - validateDataset(rows) / normalizeDataset(rows) run the above over every row
+   - lastVerified (YYYY-MM-DD) / source record when and how a row was last confirmed;
+     see freshness.js for what counts as stale
+   Used by tools/validate-data.mjs; kept DOM-free so it runs in Node and the browser.
+*/
+import { TYPE_NAMES } from './types.js';
+import { BROOME_ZIPS } from './areas.js';
+import { parseHours } from './hours.js';
+import { locationId } from './urlstate.js';
+
+// Column order of data.geocoded.json
+export const FIELDS = [
+  'Type', 'Name', 'Street', 'City', 'State', 'Zip',
+  'Hours of Operation', 'Area Served', 'Deliveries?', 'Additional Services Offered', 'Drive Thru?',
+  'Contact', 'Phone', 'Email', 'latitude', 'longitude',
+  'lastVerified', 'source',
+];
+
+// Verification metadata: kept across spreadsheet imports that don't carry it
+export const VERIFICATION_FIELDS = ['lastVerified', 'source'];
+
+export const REQUIRED_FIELDS = ['Type', 'Name', 'Street', 'City', 'State', 'Zip', 'latitude', 'longitude'];
+
+// Required fields whose absence is only a warning: the map places rows by their coordinates
+const ADDRESS_FIELDS = ['Street', 'City', 'State', 'Zip'];
+
+// Keys that show up in spreadsheets / older exports, mapped to the real column
+export const FIELD_ALIASES = {
+  'Drive Thru': 'Drive Thru?',
+  'Deliveries': 'Deliveries?',
+  'Hours': 'Hours of Operation',
+  'Zip Code': 'Zip',
+  'ZIP': 'Zip',
+  'lat': 'latitude',
+  'lon': 'longitude',
+  'lng': 'longitude',
+  'Last Verified': 'lastVerified',
+  'Last verified': 'lastVerified',
+  'Verified': 'lastVerified',
+  'Source': 'source',
+};
+
+export const YES_NO_FIELDS = ['Deliveries?', 'Drive Thru?'];
+
+// Generous box around Broome County (the county line plus a little slack)
+export const BROOME_BOUNDS = { south: 41.99, north: 42.42, west: -76.14, east: -75.35 };
+
+const CITY_ALIASES = { jc: 'Johnson City', bing: 'Binghamton', 'bing.': 'Binghamton' };
+
+const PHONE_RE = /\(?\b(\d{3})\)?[\s.-]?(\d{3})[\s.-](\d{4})\b/;
+const PHONE_ONLY_RE = /^\(?(\d{3})\)?[\s.-]?(\d{3})[\s.-](\d{4})$/;
+const EMAIL_RE = /^[^\s@,;]+@[^\s@,;]+\.[a-z]{2,}$/i;
+const ZIP_RE = /^\d{5}(-\d{4})?$/;
+const URL_RE = /\bhttps?:\/\/\S+|\bwww\.\S+/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+// Helper: "3/14/2026" or "2026-03-14T10:00:00Z" -> "2026-03-14"; anything else unchanged
+function normalizeDate(value) {
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  const iso = value.match(/^(\d{4}-\d{2}-\d{2})T/);
+  return iso ? iso[1] : value;
+}
+
+function isRealDate(value) {
+  if (!DATE_RE.test(value)) return false;
+  const [y, m, d] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+function tidy(value) {
+  return String(value).replace(/\s+/g, ' ').replace(/\s+([,.;])/g, '$1').trim();
+}
+
+function normalizeHours(value) {
+  return tidy(value)
+    .replace(/^24\s*\/\s*7\s*\/?\s*walk[\s-]*up\s+pantry/i, '24/7 walk up pantry')
+    .replace(/^24\s*\/\s*7(?=\S)/, '24/7 ')
+    .replace(/[,;]+$/, '');
+}
+
+export function normalizeRow(input) {
+  const row = {};
+  const fixes = [];
+  const note = (field, code, from, to) => {
+    if (from !== to) fixes.push({ field, code, from, to });
+  };
+
+  // Known columns first (in file order), then aliases, then anything unrecognized
+  FIELDS.forEach(f => { if (f in input) row[f] = input[f]; });
+  Object.entries(input).forEach(([key, value]) => {
+    if (FIELDS.includes(key)) return;
+    const target = FIELD_ALIASES[key];
+    if (target && isBlank(row[target])) {
+      row[target] = value;
+      note(target, 'renamed-field', key, target);
+    } else if (!target) {
+      row[key] = value;
+    } else {
+      note(target, 'dropped-alias', key, `(kept existing ${target})`);
+    }
+  });
+  FIELDS.forEach(f => {
+    if (f in row) return;
+    row[f] = f === 'latitude' || f === 'longitude' ? null : '';
+    note(f, 'added-field', '(missing)', row[f]);
+  });
+
+  FIELDS.forEach(field => {
+    const before = row[field];
+    if (field === 'latitude' || field === 'longitude') {
+      const num = isBlank(before) ? null : Number(before);
+      row[field] = Number.isFinite(num) ? num : null;
+      if (before !== row[field] && !(isBlank(before) && row[field] === null)) note(field, 'number', before, row[field]);
+      return;
+    }
+
+    let value = isBlank(before) ? '' : tidy(before);
+    if (field === 'Hours of Operation') value = normalizeHours(value);
+    if (field === 'State' && /^(ny|new york)$/i.test(value)) value = 'NY';
+    if (field === 'City') {
+      value = value.replace(/,\s*(ny|new york)$/i, '');
+      value = CITY_ALIASES[value.toLowerCase()] || value;
+    }
+    if (field === 'Zip' && /^(nan|null|undefined|n\/a)$/i.test(value)) value = '';
+    if (field === 'Additional Services Offered' && value === '0') value = '';
+    if (YES_NO_FIELDS.includes(field) && /^(yes|no)$/i.test(value)) {
+      value = value[0].toUpperCase() + value.slice(1).toLowerCase();
+    }
+    if (field === 'Phone') {
+      const m = value.match(PHONE_ONLY_RE);
+      if (m) value = `${m[1]}-${m[2]}-${m[3]}`;
+    }
+    if (field === 'Email' && EMAIL_RE.test(value)) value = value.toLowerCase();
+    if (field === 'lastVerified') value = normalizeDate(value);
+
+    row[field] = value;
+    note(field, 'normalized', String(before ?? ''), value);
+  });
+
+  return { row, fixes };
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+export function validateRow(row, index = 0) {
+  const issues = [];
+  const add = (field, severity, code, message) =>
+    issues.push({ index, name: row.Name || '(no name)', field, severity, code, message });
+
+  Object.keys(row).forEach(key => {
+    if (FIELDS.includes(key)) return;
+    if (FIELD_ALIASES[key]) add(key, 'error', 'aliased-field', `"${key}" should be "${FIELD_ALIASES[key]}" (the map only reads the latter)`);
+    else add(key, 'warning', 'unknown-field', `Unknown column "${key}"`);
+  });
+  FIELDS.forEach(field => {
+    if (!(field in row) && !Object.keys(FIELD_ALIASES).some(a => FIELD_ALIASES[a] === field && a in row)) {
+      add(field, 'error', 'missing-field', `Column "${field}" is missing`);
+    }
+  });
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (field in row && isBlank(row[field]) && field !== 'latitude' && field !== 'longitude') {
+      add(field, ADDRESS_FIELDS.includes(field) ? 'warning' : 'error', 'required', `${field} is empty`);
+    }
+  });
+
+  if (!isBlank(row.Type) && !TYPE_NAMES.includes(row.Type)) {
+    add('Type', 'error', 'type', `Type "${row.Type}" is not one of: ${TYPE_NAMES.join(', ')}`);
+  }
+  if (!isBlank(row.State) && row.State !== 'NY') add('State', 'warning', 'state', `State "${row.State}" is not "NY"`);
+
+  const zip = isBlank(row.Zip) ? '' : String(row.Zip).trim();
+  if (zip && !ZIP_RE.test(zip)) add('Zip', 'error', 'zip', `ZIP "${zip}" is not a 5-digit ZIP`);
+  else if (zip && !BROOME_ZIPS[zip.slice(0, 5)]) add('Zip', 'warning', 'zip-outside-broome', `ZIP ${zip} is not a Broome County ZIP`);
+
+  if (!isBlank(row.Phone) && !PHONE_ONLY_RE.test(String(row.Phone).trim())) {
+    add('Phone', 'warning', 'phone-format', PHONE_RE.test(row.Phone)
+      ? `Phone has extra text: "${row.Phone}"`
+      : `Phone is not a phone number: "${row.Phone}"`);
+  }
+
+  if (!isBlank(row.Email)) {
+    const bad = String(row.Email).split(/[,;]\s*/).filter(e => !EMAIL_RE.test(e.trim()));
+    if (bad.length) add('Email', 'warning', 'email-format', `Not an email address: "${bad.join('", "')}"`);
+  }
+
+  const lat = row.latitude, lon = row.longitude;
+  if (isBlank(lat) || isBlank(lon)) {
+    add('latitude', 'warning', 'not-geocoded', 'No coordinates — the location is not shown on the map');
+  } else if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) {
+    add('latitude', 'error', 'coordinates', `Coordinates are not numbers: ${lat}, ${lon}`);
+  } else {
+    const b = BROOME_BOUNDS;
+    if (lat < b.south || lat > b.north || lon < b.west || lon > b.east) {
+      add('latitude', 'error', 'out-of-bounds', `${lat}, ${lon} is outside Broome County`);
+    }
+    if (typeof lat !== 'number' || typeof lon !== 'number') {
+      add('latitude', 'info', 'coordinates-as-text', 'Coordinates are stored as text');
+    }
+  }
+
+  const hours = isBlank(row['Hours of Operation']) ? '' : String(row['Hours of Operation']);
+  if (!hours) {
+    add('Hours of Operation', 'warning', 'hours-missing', 'No hours listed');
+  } else {
+    if (/could not find|no info/i.test(hours)) add('Hours of Operation', 'warning', 'hours-unverified', `Hours say: "${hours}"`);
+    if (URL_RE.test(hours)) add('Hours of Operation', 'warning', 'url-in-hours', 'Hours contain a link');
+    if (PHONE_RE.test(hours)) add('Hours of Operation', 'info', 'phone-in-hours', 'Hours contain a phone number');
+    if (parseHours(hours).kind === 'unknown') add('Hours of Operation', 'info', 'hours-unparsed', `Could not read a schedule from "${hours}"`);
+  }
+
+  const area = isBlank(row['Area Served']) ? '' : String(row['Area Served']);
+  if (PHONE_RE.test(area)) add('Area Served', 'warning', 'phone-in-area', 'Area Served contains a phone number');
+  if (URL_RE.test(area)) add('Area Served', 'info', 'url-in-area', 'Area Served contains a link');
+
+  YES_NO_FIELDS.forEach(field => {
+    const value = isBlank(row[field]) ? '' : String(row[field]).trim();
+    if (value && !/^(Yes|No)$/.test(value)) add(field, 'info', 'yes-no', `${field} is "${value}" rather than Yes/No`);
+  });
+
+  const verified = isBlank(row.lastVerified) ? '' : String(row.lastVerified).trim();
+  if (!verified) {
+    add('lastVerified', 'info', 'never-verified', 'No lastVerified date');
+  } else if (!isRealDate(verified)) {
+    add('lastVerified', 'warning', 'date-format', `lastVerified "${verified}" is not a YYYY-MM-DD date`);
+  } else if (verified > new Date().toISOString().slice(0, 10)) {
+    add('lastVerified', 'warning', 'date-future', `lastVerified ${verified} is in the future`);
+  }
+
+  Object.entries(row).forEach(([field, value]) => {
+    if (typeof value === 'string' && value !== tidy(value)) add(field, 'info', 'whitespace', 'Extra spaces or line breaks');
+  });
+
+  return issues;
+}
+
+function duplicateKey(row) {
+  return [row.Type, row.Name, row.Street].map(v => String(v || '').trim().toLowerCase()).join('|');
+}
+
+export function validateDataset(rows) {
+  const issues = rows.flatMap((row, i) => validateRow(row, i));
+
+  const seen = new Map();
+  rows.forEach((row, i) => {
+    const key = duplicateKey(row);
+    if (seen.has(key)) {
+      issues.push({
+        index: i, name: row.Name || '(no name)', field: 'Name', severity: 'warning', code: 'duplicate',
+        message: `Same Type, Name and Street as row ${seen.get(key)}`,
+      });
+    } else {
+      seen.set(key, i);
+    }
+  });
+
+  // Deep links, trips and referrals find rows by locationId, so it has to be unique
+  const ids = new Map();
+  rows.forEach((row, i) => {
+    const id = locationId(row);
+    const first = ids.get(id);
+    if (first === undefined) {
+      ids.set(id, i);
+    } else if (duplicateKey(rows[first]) !== duplicateKey(row)) {
+      issues.push({
+        index: i, name: row.Name || '(no name)', field: 'Name', severity: 'error', code: 'duplicate-id',
+        message: `Location id "${id}" is also used by row ${first}; links would open that row instead`,
+      });
+    }
+  });
+
+  const summary = { error: 0, warning: 0, info: 0, byCode: {} };
+  issues.forEach(issue => {
+    summary[issue.severity]++;
+    summary.byCode[issue.code] = (summary.byCode[issue.code] || 0) + 1;
+  });
+  return { issues, summary };
+}
+
+export function normalizeDataset(rows) {
+  const fixes = [];
+  const normalized = rows.map((input, index) => {
+    const { row, fixes: rowFixes } = normalizeRow(input);
+    rowFixes.forEach(fix => fixes.push({ index, name: row.Name || '(no name)', ...fix }));
+    return row;
+  });
+  return { rows: normalized, fixes };
+}
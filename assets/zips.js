@@ -0,0 +1,109 @@
+/* zips.js — Broome County outline and the toggleable ZIP area overlay
+   - COUNTY_URL: the county boundary (Census cartographic boundary, bundled)
+   - ZIP_AREAS_URL: Census ZCTA polygons clipped to the county, built with
+     tools/build-zip-areas.mjs (features with "zip" and "name" properties). The file is
+     not bundled until someone builds it; without it the overlay button stays hidden and
+     loadZipAreas() resolves to null
+   - loadCounty() / loadZipAreas() fetch once and share the result (coverage.js, basemaps.js)
+   - Clicking an area calls onPick(zip) so the "serves my ZIP" filter can be applied
+   - setupZipOverlay(map, { onPick }) -> { setSelected(zip) }
+*/
+import { t } from './i18n.js';
+
+export const COUNTY_URL = './assets/broome-county.geojson';
+export const ZIP_AREAS_URL = './assets/broome-zips.geojson';
+
+const ZIP_STYLE = { color: '#2b6777', weight: 1, fillColor: '#52ab98', fillOpacity: 0.08 };
+const SELECTED_STYLE = { color: '#d46e26', weight: 3, fillColor: '#d46e26', fillOpacity: 0.2 };
+
+let countyRequest = null;
+let zipRequest = null;
+
+// Feature of the county boundary; throws when it can't be fetched
+export function loadCounty() {
+  if (!countyRequest) {
+    countyRequest = fetch(COUNTY_URL)
+      .then(res => {
+        if (!res.ok) throw new Error('Failed to fetch the county outline');
+        return res.json();
+      })
+      .then(data => data.features[0])
+      .catch(err => { countyRequest = null; throw err; });
+  }
+  return countyRequest;
+}
+
+// ZIP area features, or null when the file has not been built
+export function loadZipAreas() {
+  if (!zipRequest) {
+    zipRequest = fetch(ZIP_AREAS_URL)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => (data && data.features.length ? data.features : null))
+      .catch(err => {
+        console.warn('ZIP areas unavailable:', err);
+        zipRequest = null;
+        return null;
+      });
+  }
+  return zipRequest;
+}
+
+export function setupZipOverlay(map, { onPick }) {
+
+  // UI elements
+  const btnRow = document.getElementById('zipAreasRow');
+  const btnToggle = document.getElementById('toggleZipAreas');
+
+  // Internal state
+  let layer = null;
+  let visible = false;
+  let selected = '';
+
+  function styleFor(feature) {
+    return feature.properties.zip === selected ? SELECTED_STYLE : ZIP_STYLE;
+  }
+
+  async function load() {
+    const features = await loadZipAreas();
+    if (!features) throw new Error('Failed to fetch ZIP areas');
+
+    layer = L.geoJSON(features, {
+      style: styleFor,
+      attribution: t('zip.attribution'),
+      onEachFeature: (feature, lyr) => {
+        const { zip, name } = feature.properties;
+        lyr.bindTooltip(name ? `${zip} · ${name}` : zip, { sticky: true });
+        lyr.on('click', () => onPick(zip));
+      },
+    });
+  }
+
+  btnToggle.addEventListener('click', async () => {
+    visible = !visible;
+    btnToggle.classList.toggle('active-route', visible);
+
+    if (!visible) {
+      if (layer) map.removeLayer(layer);
+      return;
+    }
+    try {
+      if (!layer) await load();
+      if (visible) layer.addTo(map).bringToBack();
+    } catch (err) {
+      console.error('ZIP overlay error:', err);
+      visible = false;
+      btnToggle.classList.remove('active-route');
+    }
+  });
+
+  loadZipAreas().then(features => { btnRow.hidden = !features; });
+
+  function setSelected(zip) {
+    selected = zip || '';
+    if (layer) layer.setStyle(styleFor);
+  }
+
+  return {
+    setSelected,
+  };
+}
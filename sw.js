@@ -0,0 +1,191 @@
+/* sw.js — offline support for the community services map
+   - Precaches the app shell, dataset, marker PNGs, type icons and CDN libraries
+   - data.geocoded.json: network first, cached copy when offline
+     (the page is told how old that copy is via postMessage)
+   - Map tiles: stale-while-revalidate, capped at MAX_TILES entries
+*/
+const VERSION = 'v39';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = `data-${VERSION}`;
+const TILE_CACHE = `tiles-${VERSION}`;
+const MAX_TILES = 400;
+
+const DATA_PATH = 'assets/data.geocoded.json';
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './newstyle.css',
+  './manifest.webmanifest',
+  './assets/script.js',
+  './assets/hours.js',
+  './assets/agenda.js',
+  './assets/ics.js',
+  './assets/nearby.js',
+  './assets/export.js',
+  './assets/data.js',
+  './assets/filters.js',
+  './assets/freshness.js',
+  './assets/clipboard.js',
+  './assets/referral.js',
+  './assets/popup.js',
+  './assets/escape.js',
+  './assets/handout.js',
+  './assets/alerts.js',
+  './assets/routes.js',
+  './assets/routes.geojson',
+  './assets/trip.js',
+  './assets/routers.js',
+  './assets/listview.js',
+  './assets/search.js',
+  './assets/facets.js',
+  './assets/coverage.js',
+  './assets/editor.js',
+  './assets/i18n.js',
+  './assets/locales/en.json',
+  './assets/locales/es.json',
+  './assets/locales/uk.json',
+  './assets/locales/ar.json',
+  './assets/csv.js',
+  './assets/validate.js',
+  './assets/areas.js',
+  './assets/zips.js',
+  './assets/urlstate.js',
+  './assets/types.js',
+  './assets/basemaps.js',
+  './assets/broome-county.geojson',
+  './Completed markers/blessing_box.png',
+  './Completed markers/community_meals.png',
+  './Completed markers/food_pantries.png',
+  './Completed markers/food_pantryschool.png',
+  './Completed markers/mobile_foodpantry.png',
+  './Completed markers/senior_center.png',
+  './Completed markers/shelter.png',
+  './icons/app-icon.svg',
+  './icons/box.png',
+  './icons/community.png',
+  './icons/food_pantry.png',
+  './icons/school.png',
+  './icons/senior.png',
+  './icons/shelter.png',
+  './icons/van.png',
+];
+
+// Only there once built (tools/build-zip-areas.mjs): cached when present
+const OPTIONAL_FILES = [
+  './assets/broome-zips.geojson',
+];
+
+// Third-party libraries: cached when reachable, but never block install
+const CDN_FILES = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+  'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js',
+];
+
+const TILE_HOSTS = [
+  'tile.openstreetmap.org',
+  'tile.thunderforest.com',
+  'tiles.stadiamaps.com',
+  'tile.opentopomap.org',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    await Promise.allSettled(OPTIONAL_FILES.map(url => shell.add(url)));
+    await Promise.allSettled(CDN_FILES.map(url => shell.add(new Request(url, { mode: 'cors' }))));
+    await cacheData(await fetch(DATA_PATH));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => !keep.includes(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin && url.pathname.endsWith(DATA_PATH)) {
+    event.respondWith(dataFirst(request, event.clientId));
+  } else if (TILE_HOSTS.some(host => url.hostname.endsWith(host))) {
+    event.respondWith(staleTile(request, event));
+  } else if (url.origin === self.location.origin || CDN_FILES.includes(request.url)) {
+    event.respondWith(shellFirst(request));
+  }
+});
+
+// Store the dataset with the time it was fetched so offline views can show its age
+async function cacheData(response) {
+  if (!response || !response.ok) return;
+  const headers = new Headers(response.headers);
+  headers.set('X-Cached-At', new Date().toISOString());
+  const body = await response.clone().blob();
+  const cache = await caches.open(DATA_CACHE);
+  await cache.put(DATA_PATH, new Response(body, { status: response.status, headers }));
+}
+
+async function dataFirst(request, clientId) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cacheData(response);
+      return response;
+    }
+    throw new Error(`HTTP ${response.status}`);
+  } catch (err) {
+    const cached = await caches.match(DATA_PATH, { cacheName: DATA_CACHE });
+    if (!cached) throw err;
+    const client = clientId && await self.clients.get(clientId);
+    if (client) client.postMessage({ type: 'offline-data', cachedAt: cached.headers.get('X-Cached-At') });
+    return cached;
+  }
+}
+
+async function shellFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) {
+    // refresh in the background so the next load picks up new code
+    fetch(request).then(res => {
+      if (res.ok) caches.open(SHELL_CACHE).then(c => c.put(request, res));
+    }).catch(() => {});
+    return cached;
+  }
+  return fetch(request);
+}
+
+async function staleTile(request, event) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(async res => {
+    if (res.ok || res.type === 'opaque') {
+      await cache.put(request, res.clone());
+      await trimCache(cache, MAX_TILES);
+    }
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Drop the oldest entries (keys() is in insertion order) once over the cap
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
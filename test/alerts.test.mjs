@@ -0,0 +1,82 @@
+/* alerts.test.mjs — NWS alert parsing and placement, and which ?nwsAlerts= endpoints a link may use */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { alertsEndpoint, ALERTS_URL, parseAlerts, pointInGeometry, alertsAt } from '../assets/alerts.js';
+
+// The fixture tools/nws-fixture-server.mjs serves: a Severe Thunderstorm Warning polygon over
+// Binghamton (ends 8:45 PM EDT, July 14 2025) and a zone-wide Flood Watch with no polygon
+const fixture = JSON.parse(readFileSync(new URL('../tools/fixtures/nws-alerts.json', import.meta.url), 'utf8'));
+const duringStorm = new Date('2025-07-14T20:10:00-04:00');
+const afterStorm = new Date('2025-07-14T21:00:00-04:00');
+
+const downtown = { latitude: '42.0987', longitude: '-75.9180' };
+const vestal = { latitude: 42.0851, longitude: -76.0538 };
+
+test('parseAlerts keeps live alerts, most severe first', () => {
+  const alerts = parseAlerts(fixture, duringStorm);
+  assert.deepEqual(alerts.map(a => a.event), ['Severe Thunderstorm Warning', 'Flood Watch']);
+  assert.equal(alerts[0].severity, 'Severe');
+  assert.equal(alerts[0].isWarning, true);
+  assert.equal(alerts[1].isWarning, false);
+  assert.equal(alerts[1].geometry, null);
+  assert.equal(alerts[0].ends.getTime(), new Date('2025-07-14T20:45:00-04:00').getTime());
+});
+
+test('parseAlerts drops alerts that have ended', () => {
+  assert.deepEqual(parseAlerts(fixture, afterStorm).map(a => a.event), ['Flood Watch']);
+});
+
+test('parseAlerts fills in missing properties and tolerates an empty feed', () => {
+  const [alert] = parseAlerts({ features: [{ id: 'x', properties: { severity: 'Whatever' } }] });
+  assert.equal(alert.event, 'Weather alert');
+  assert.equal(alert.severity, 'Unknown');
+  assert.equal(alert.ends, null);
+  assert.deepEqual(parseAlerts(null), []);
+});
+
+test('pointInGeometry: polygons, holes and multipolygons', () => {
+  const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+  const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+  assert.equal(pointInGeometry([5, 5], { type: 'Polygon', coordinates: [square] }), true);
+  assert.equal(pointInGeometry([5, 5], { type: 'Polygon', coordinates: [square, hole] }), false);
+  assert.equal(pointInGeometry([2, 2], { type: 'Polygon', coordinates: [square, hole] }), true);
+  assert.equal(pointInGeometry([11, 5], { type: 'Polygon', coordinates: [square] }), false);
+  const shifted = square.map(([x, y]) => [x + 20, y]);
+  assert.equal(pointInGeometry([25, 5], { type: 'MultiPolygon', coordinates: [[square], [shifted]] }), true);
+  assert.equal(pointInGeometry([15, 5], { type: 'MultiPolygon', coordinates: [[square], [shifted]] }), false);
+  assert.equal(pointInGeometry([5, 5], null), false);
+  assert.equal(pointInGeometry([5, 5], { type: 'Point', coordinates: [5, 5] }), false);
+});
+
+test('alertsAt returns the warnings whose polygon covers the row', () => {
+  const alerts = parseAlerts(fixture, duringStorm);
+  assert.deepEqual(alertsAt(downtown, alerts).map(a => a.event), ['Severe Thunderstorm Warning']);
+  assert.deepEqual(alertsAt(vestal, alerts), []);
+  assert.deepEqual(alertsAt({ latitude: null, longitude: null }, alerts), []);
+  assert.deepEqual(alertsAt(downtown, parseAlerts(fixture, afterStorm)), []);
+});
+
+test('no parameter keeps the NWS feed', () => {
+  assert.equal(alertsEndpoint(null), ALERTS_URL);
+  assert.equal(alertsEndpoint(''), ALERTS_URL);
+});
+
+test('the local fixture server and api.weather.gov are accepted', () => {
+  assert.equal(alertsEndpoint('http://localhost:8787/alerts/active'), 'http://localhost:8787/alerts/active');
+  assert.equal(alertsEndpoint('http://127.0.0.1:8787/alerts/active'), 'http://127.0.0.1:8787/alerts/active');
+  assert.equal(alertsEndpoint('https://api.weather.gov/alerts/active?area=NY'), 'https://api.weather.gov/alerts/active?area=NY');
+});
+
+test('other hosts and schemes fall back to the NWS feed', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const rejected = [
+    'https://evil.example/alerts',
+    'https://localhost.evil.example/alerts',
+    'http://api.weather.gov/alerts/active',
+    'javascript:alert(1)',
+    'not a url',
+  ];
+  rejected.forEach(value => assert.equal(alertsEndpoint(value), ALERTS_URL, value));
+  assert.equal(warn.mock.callCount(), rejected.length - 1, 'everything but the unparseable URL is logged');
+});
@@ -0,0 +1,34 @@
+/* areas.test.mjs — "Area Served" interpretation for the ZIP filters */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseAreaServed, servesZip } from '../assets/areas.js';
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+
+test('explicit ZIPs win over town names', () => {
+  assert.deepEqual(parseAreaServed('Northside of Binghamton, Roosevelt Elementary, 13901').zips, ['13901']);
+  assert.deepEqual(parseAreaServed('Primarily east side of Binghamton, Binghamton School District, Binghamton, NY 13904').zips, ['13904']);
+});
+
+test('town names are used when no ZIP is listed', () => {
+  assert.deepEqual(parseAreaServed('Endwell').zips, ['13762']);
+  assert.deepEqual(parseAreaServed('Town of Union').zips, ['13760', '13762', '13790']);
+  assert.deepEqual(parseAreaServed('Binghamton').zips, ['13901', '13902', '13903', '13904', '13905']);
+});
+
+test('anyone, county-wide and restricted', () => {
+  assert.equal(parseAreaServed('Anyone').anyone, true);
+  assert.equal(parseAreaServed('Broome County').county, true);
+  assert.equal(parseAreaServed('Students only').restricted, true);
+  assert.equal(servesZip({ 'Area Served': 'Broome County' }, '13905'), true);
+  assert.equal(servesZip({ 'Area Served': 'Students only' }, '13905'), false);
+  assert.equal(servesZip({ 'Area Served': '' }, '13905'), null);
+});
+
+test('a pantry listing only 13901 does not serve the rest of Binghamton', () => {
+  const row = rows.find(r => r['Area Served'] === 'Northside of Binghamton, Roosevelt Elementary, 13901');
+  assert.ok(row);
+  assert.equal(servesZip(row, '13901'), true);
+  assert.equal(servesZip(row, '13905'), false);
+});
@@ -0,0 +1,41 @@
+/* coverage.test.mjs — the coverage grid and its per-ZIP gap counts */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildGrid, analyzeCoverage, findGaps, gapsByZip, gapsToGeoJSON } from '../assets/coverage.js';
+
+const county = JSON.parse(readFileSync(new URL('../assets/broome-county.geojson', import.meta.url), 'utf8')).features[0];
+
+// A square "ZIP area" around downtown Binghamton
+const zipArea = {
+  type: 'Feature',
+  properties: { zip: '13901', name: 'Binghamton' },
+  geometry: { type: 'Polygon', coordinates: [[[-75.95, 42.08], [-75.85, 42.08], [-75.85, 42.15], [-75.95, 42.15], [-75.95, 42.08]]] },
+};
+const pantry = { Name: 'Downtown pantry', latitude: 42.1, longitude: -75.91, 'Hours of Operation': '24/7' };
+
+test('the grid covers the county: about its 716 sq mi in 1 mi cells', () => {
+  const cells = buildGrid(county, [], 1);
+  assert.ok(cells.length > 680 && cells.length < 750, String(cells.length));
+});
+
+test('without ZIP areas no cell has a ZIP and gaps are not grouped', () => {
+  const results = analyzeCoverage(buildGrid(county, [], 2), [pantry], { miles: 3 });
+  const gaps = findGaps(results);
+  assert.ok(gaps.length > 0 && gaps.length < results.length);
+  assert.ok(results.every(cell => cell.zip === null));
+  assert.deepEqual(gapsByZip(gaps, results), []);
+  assert.equal(gapsToGeoJSON(gaps).properties.zipSource, null);
+});
+
+test('with ZIP areas the cells inside one are counted per ZIP', () => {
+  const results = analyzeCoverage(buildGrid(county, [zipArea], 1), [], { miles: 3 });
+  const inZip = results.filter(cell => cell.zip === '13901');
+  assert.ok(inZip.length > 0);
+  assert.ok(inZip.every(cell => cell.name === 'Binghamton'));
+  const byZip = gapsByZip(findGaps(results), results);
+  assert.equal(byZip.length, 1);
+  assert.equal(byZip[0].zip, '13901');
+  assert.equal(byZip[0].cells, inZip.length);
+  assert.equal(byZip[0].share, 1);
+});
@@ -0,0 +1,36 @@
+/* csv.test.mjs — CSV quoting, parsing and the spreadsheet formula guard */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, tableToObjects, toCSV } from '../assets/csv.js';
+
+test('quotes commas, quotes and line breaks, and reads them back', () => {
+  const rows = [{ a: 'plain', b: 'one, two', c: 'say "hi"', d: 'line 1\nline 2' }];
+  const text = toCSV(rows, ['a', 'b', 'c', 'd']);
+  assert.equal(text, 'a,b,c,d\r\nplain,"one, two","say ""hi""","line 1\nline 2"\r\n');
+  assert.deepEqual(tableToObjects(parseCSV(text)), rows);
+});
+
+test('null and undefined are written as empty cells', () => {
+  assert.equal(toCSV([{ a: null, b: undefined, c: 0 }], ['a', 'b', 'c']), 'a,b,c\r\n,,0\r\n');
+});
+
+test('cells that would run as formulas get a leading apostrophe', () => {
+  const rows = [{ v: '=HYPERLINK("http://evil.example","click")' }, { v: '+1 607-555-0100' }, { v: '-2+3' }, { v: '@SUM(A1)' }, { v: '\tTAB' }];
+  assert.deepEqual(toCSV(rows, ['v']).split('\r\n').slice(1, -1), [
+    `"'=HYPERLINK(""http://evil.example"",""click"")"`, "'+1 607-555-0100", "'-2+3", "'@SUM(A1)", "'\tTAB",
+  ]);
+});
+
+test('numbers, including negative coordinates, are left alone', () => {
+  assert.equal(toCSV([{ lat: 42.1, lon: -75.91, s: '-75.91', e: '1e-5' }], ['lat', 'lon', 's', 'e']), 'lat,lon,s,e\r\n42.1,-75.91,-75.91,1e-5\r\n');
+});
+
+test('guarded cells round-trip to their original text', () => {
+  const rows = [{ v: '=1+1' }, { v: '+1 607-555-0100' }, { v: '@home' }, { v: "'quoted already" }, { v: '-75.91' }];
+  assert.deepEqual(tableToObjects(parseCSV(toCSV(rows, ['v']))), rows);
+});
+
+test('parseCSV handles CRLF, a BOM and blank lines', () => {
+  assert.deepEqual(parseCSV('\uFEFFa,b\r\n\r\n1,2\r\n'), [['a', 'b'], ['1', '2']]);
+  assert.throws(() => parseCSV('a,"open'), /quoted field/);
+});
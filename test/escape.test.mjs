@@ -0,0 +1,18 @@
+/* escape.test.mjs — the shared HTML / XML escaping */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHTML, escapeXML } from '../assets/escape.js';
+
+test('escapeHTML covers text and quoted attribute values', () => {
+  assert.equal(escapeHTML(`<a href="x" onclick='y'>&</a>`), '&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+});
+
+test('escapeXML uses &apos; and otherwise matches escapeHTML', () => {
+  assert.equal(escapeXML(`Tom's "Pantry" & <Co>`), 'Tom&apos;s &quot;Pantry&quot; &amp; &lt;Co&gt;');
+});
+
+test('null and undefined become empty strings, numbers become text', () => {
+  assert.equal(escapeHTML(null), '');
+  assert.equal(escapeXML(undefined), '');
+  assert.equal(escapeHTML(13901), '13901');
+});
@@ -0,0 +1,105 @@
+/* export.test.mjs — the GeoJSON, CSV, KML and GPX exports against the real dataset */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { toGeoJSON, toCSVText, toKML, toGPX } from '../assets/export.js';
+import { parseCSV, tableToObjects } from '../assets/csv.js';
+import { FIELDS } from '../assets/validate.js';
+import { hasCoords } from '../assets/data.js';
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+
+test('one Point feature per row with coordinates', () => {
+  const fc = toGeoJSON(rows);
+  assert.equal(fc.type, 'FeatureCollection');
+  assert.equal(fc.features.length, rows.filter(hasCoords).length);
+  assert.ok(fc.features.length < rows.length, 'the dataset has rows that are not geocoded');
+  fc.features.forEach(f => {
+    assert.equal(f.type, 'Feature');
+    assert.equal(f.geometry.type, 'Point');
+  });
+});
+
+test('coordinates are [longitude, latitude] numbers in Broome County', () => {
+  toGeoJSON(rows).features.forEach(({ geometry: { coordinates: [lon, lat] }, properties }) => {
+    assert.equal(typeof lon, 'number');
+    assert.equal(typeof lat, 'number');
+    assert.ok(lon > -76.5 && lon < -75.2, `${properties.Name}: longitude ${lon}`);
+    assert.ok(lat > 41.9 && lat < 42.5, `${properties.Name}: latitude ${lat}`);
+  });
+});
+
+test('properties carry every column of the row', () => {
+  const geocoded = rows.filter(hasCoords);
+  toGeoJSON(geocoded).features.forEach((f, i) => assert.deepEqual(f.properties, geocoded[i]));
+});
+
+test('string coordinates are converted; blank ones are skipped', () => {
+  const fc = toGeoJSON([
+    { Name: 'A', latitude: '42.1', longitude: '-75.9' },
+    { Name: 'B', latitude: '', longitude: '' },
+    { Name: 'C', latitude: null, longitude: null },
+  ]);
+  assert.equal(fc.features.length, 1);
+  assert.deepEqual(fc.features[0].geometry.coordinates, [-75.9, 42.1]);
+});
+
+test('survives a JSON round trip', () => {
+  const fc = toGeoJSON(rows);
+  assert.deepEqual(JSON.parse(JSON.stringify(fc)), fc);
+});
+
+// A row with everything that needs escaping somewhere
+const tricky = {
+  Type: 'Food Pantries', Name: `St. Mary's "Pantry" & <Kitchen>`, Street: '1 Main St, Rear', City: 'Binghamton', State: 'NY', Zip: '13901',
+  'Hours of Operation': 'Mon 9-11\nWed 1-3', 'Area Served': '=HYPERLINK("http://evil.example")', Phone: '+1 607-555-0100',
+  latitude: 42.1, longitude: -75.91,
+};
+
+// Helper: the text inside each <tag>...</tag>, unescaped
+function textOf(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(m => m[1]
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&'));
+}
+
+test('CSV round-trips every row and column', () => {
+  const parsed = tableToObjects(parseCSV(toCSVText(rows)));
+  assert.equal(parsed.length, rows.length);
+  parsed.forEach((row, i) => {
+    assert.deepEqual(Object.keys(row), FIELDS);
+    FIELDS.forEach(f => assert.equal(row[f], String(rows[i][f] ?? ''), `${rows[i].Name}: ${f}`));
+  });
+});
+
+test('CSV escapes quotes, commas and line breaks, and guards formulas', () => {
+  const text = toCSVText([tricky]);
+  assert.ok(text.includes(`"St. Mary's ""Pantry"" & <Kitchen>"`));
+  assert.ok(text.includes(`"'=HYPERLINK(""http://evil.example"")"`));
+  assert.ok(text.includes(`'+1 607-555-0100`));
+  assert.deepEqual(tableToObjects(parseCSV(text))[0].Name, tricky.Name);
+});
+
+test('KML has one placemark per geocoded row, grouped by type, with escaped text', () => {
+  const kml = toKML(rows);
+  assert.equal((kml.match(/<Placemark>/g) || []).length, rows.filter(hasCoords).length);
+  assert.equal((kml.match(/<Folder>/g) || []).length, new Set(rows.filter(hasCoords).map(r => r.Type)).size);
+
+  const one = toKML([tricky]);
+  assert.ok(!one.includes('<Kitchen>'));
+  assert.deepEqual(textOf(one, 'name').slice(-1), [tricky.Name]);
+  assert.ok(one.includes('<coordinates>-75.91,42.1,0</coordinates>'));
+  assert.ok(textOf(one, 'description')[0].includes('Hours: Mon 9-11\nWed 1-3'));
+});
+
+test('GPX has one waypoint per geocoded row, with escaped text', () => {
+  const time = new Date('2026-03-14T12:00:00Z');
+  const gpx = toGPX(rows, { time });
+  assert.equal((gpx.match(/<wpt /g) || []).length, rows.filter(hasCoords).length);
+  assert.ok(gpx.includes('<time>2026-03-14T12:00:00.000Z</time>'));
+
+  const one = toGPX([tricky], { name: 'Run & <test>', time });
+  assert.ok(one.includes('<wpt lat="42.1" lon="-75.91">'));
+  assert.deepEqual(textOf(one, 'name'), ['Run & <test>', tricky.Name]);
+  assert.deepEqual(textOf(one, 'type'), ['Food Pantries']);
+  assert.ok(textOf(one, 'desc')[0].includes('Area served: =HYPERLINK("http://evil.example")'));
+});
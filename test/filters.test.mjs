@@ -0,0 +1,90 @@
+/* filters.test.mjs — filterRows() against the real dataset */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { filterRows, DEFAULT_FILTERS } from '../assets/filters.js';
+import { hasCoords } from '../assets/data.js';
+import { TYPE_NAMES } from '../assets/types.js';
+import { openStatus, scheduleFor } from '../assets/hours.js';
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+const ALL = { types: TYPE_NAMES };
+
+test('the dataset is a list of rows with registered types', () => {
+  assert.ok(Array.isArray(rows) && rows.length > 100);
+  rows.forEach(row => assert.ok(TYPE_NAMES.includes(row.Type), `${row.Name}: ${row.Type}`));
+});
+
+test('every type ticked: every row that has coordinates', () => {
+  const result = filterRows(rows, ALL);
+  assert.equal(result.length, rows.filter(hasCoords).length);
+  assert.ok(result.every(hasCoords));
+});
+
+test('no type ticked shows nothing', () => {
+  assert.deepEqual(filterRows(rows, DEFAULT_FILTERS), []);
+  assert.deepEqual(filterRows(rows), []);
+});
+
+test('type filter keeps only the ticked types', () => {
+  const result = filterRows(rows, { types: ['Shelters', 'Senior Centers'] });
+  assert.ok(result.length > 0);
+  assert.ok(result.every(r => r.Type === 'Shelters' || r.Type === 'Senior Centers'));
+  assert.equal(result.length, rows.filter(r => hasCoords(r) && ['Shelters', 'Senior Centers'].includes(r.Type)).length);
+});
+
+test('ZIP multi-select', () => {
+  const result = filterRows(rows, { ...ALL, zips: ['13760', '13790'] });
+  assert.ok(result.length > 0);
+  assert.ok(result.every(r => ['13760', '13790'].includes(String(r.Zip).trim())));
+});
+
+test('field search narrows to the city', () => {
+  const result = filterRows(rows, { ...ALL, query: 'city:endicott' });
+  assert.ok(result.length > 0);
+  assert.ok(result.every(r => /endicott/i.test(r.City)));
+});
+
+test('free-text search puts the best match first', () => {
+  const [first] = filterRows(rows, { ...ALL, query: 'centenary' });
+  assert.equal(first.Name, 'Centenary UMC Community Meal');
+});
+
+test('"open at" keeps only rows open at that moment', () => {
+  const at = new Date(2026, 9, 22, 17, 30);   // 2nd Thursday of October 2026, 5:30pm
+  const result = filterRows(rows, { ...ALL, openAt: at });
+  assert.ok(result.some(r => r.Name === 'Centenary UMC Community Meal'));
+  assert.ok(result.every(r => openStatus(scheduleFor(r), at).state === 'open'));
+});
+
+test('facets: Deliveries = yes', () => {
+  const result = filterRows(rows, { ...ALL, facets: { deliveries: ['yes'] } });
+  assert.ok(result.length > 0);
+  assert.ok(result.every(r => /^yes\b/i.test(String(r['Deliveries?']).trim())));
+  // facets: false is the base the facet counts are computed from
+  assert.equal(filterRows(rows, { ...ALL, facets: { deliveries: ['yes'] } }, { facets: false }).length, filterRows(rows, ALL).length);
+});
+
+test('near route: the caller supplies the route test', () => {
+  const calls = [];
+  const isNearRoute = (row, id, miles) => { calls.push([id, miles]); return row.Zip === '13901'; };
+  const result = filterRows(rows, { ...ALL, nearRoute: 'bus-1', nearMiles: 2 }, { isNearRoute });
+  assert.ok(result.length > 0);
+  assert.ok(result.every(r => r.Zip === '13901'));
+  assert.deepEqual(calls[0], ['bus-1', 2]);
+  // Without a route test (e.g. in Node) the near-route filter is skipped
+  assert.equal(filterRows(rows, { ...ALL, nearRoute: 'bus-1' }).length, filterRows(rows, ALL).length);
+});
+
+test('hiding stale entries drops never-verified rows', () => {
+  const verified = rows.map(r => ({ ...r }));
+  verified[0].lastVerified = '2026-10-01';
+  const result = filterRows(verified, { ...ALL, stale: 'hide', staleMonths: 6 });
+  assert.ok(result.every(r => r.lastVerified));
+});
+
+test('filterRows leaves the rows untouched', () => {
+  const before = JSON.stringify(rows);
+  filterRows(rows, { ...ALL, query: 'pantry', zips: ['13901'] });
+  assert.equal(JSON.stringify(rows), before);
+});
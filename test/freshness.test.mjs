@@ -0,0 +1,20 @@
+/* freshness.test.mjs — when a lastVerified date turns stale */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { freshness } from '../assets/freshness.js';
+
+const row = { lastVerified: '2026-03-14' };
+
+test('a row is fresh until it is `months` whole months old', () => {
+  assert.equal(freshness(row, { months: 6, now: new Date(2026, 8, 13) }).state, 'fresh');
+  assert.equal(freshness(row, { months: 6, now: new Date(2026, 8, 13) }).ageMonths, 5);
+});
+
+test('a row is stale from the day it is `months` months old', () => {
+  assert.equal(freshness(row, { months: 6, now: new Date(2026, 8, 14) }).state, 'stale');
+  assert.equal(freshness(row, { months: 6, now: new Date(2026, 8, 14) }).ageMonths, 6);
+});
+
+test('no date means never verified', () => {
+  assert.equal(freshness({ lastVerified: '' }).state, 'unverified');
+});
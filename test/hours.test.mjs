@@ -0,0 +1,83 @@
+/* hours.test.mjs — parseHours() / openStatus() on Hours of Operation text from the dataset */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseHours, openStatus, occurrences, formatRange } from '../assets/hours.js';
+import { useStrings } from '../assets/i18n.js';
+
+useStrings('en', JSON.parse(readFileSync(new URL('../assets/locales/en.json', import.meta.url), 'utf8')));
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+
+// October 2026: Thu 1, 8, 15, 22, 29; Sat 3, 10, 17, 24, 31
+const at = (day, h, m = 0) => new Date(2026, 9, day, h, m);
+
+test('every row parses to a known kind', () => {
+  rows.forEach(row => {
+    assert.ok(['always', 'appointment', 'recurring', 'unknown'].includes(parseHours(row['Hours of Operation']).kind));
+  });
+});
+
+test('nth weekday of the month', () => {
+  const schedule = parseHours('2nd & 4th Thursday 5:00pm-6:00pm');
+  assert.deepEqual(schedule.rules, [{ days: [4], nth: [2, 4], ranges: [{ start: 17 * 60, end: 18 * 60 }] }]);
+  assert.equal(openStatus(schedule, at(22, 17, 30)).state, 'open');
+  assert.equal(openStatus(schedule, at(15, 17, 30)).state, 'closed');
+});
+
+test('several ordinals and a bare start hour', () => {
+  const schedule = parseHours('1st, 3rd & 5th Saturdays 5-5:30pm');
+  assert.deepEqual(schedule.rules[0].nth, [1, 3, 5]);
+  assert.deepEqual(schedule.rules[0].ranges, [{ start: 17 * 60, end: 17 * 60 + 30 }]);
+  assert.equal(openStatus(schedule, at(31, 17, 10)).state, 'open');
+});
+
+test('24/7 and day ranges', () => {
+  assert.equal(parseHours('24/7 walk up pantry').kind, 'always');
+  const schedule = parseHours('Mon-Friday 9:30-10:15');
+  assert.deepEqual(schedule.rules, [{ days: [1, 2, 3, 4, 5], nth: null, ranges: [{ start: 9 * 60 + 30, end: 10 * 60 + 15 }] }]);
+});
+
+test('an overnight shelter is open through the night', () => {
+  const text = 'Open 7:00PM Sunday - Thursday, closes Friday at 7:00AM. DO NOT ARRIVE BEFORE 6PM.';
+  const schedule = parseHours(text);
+  assert.deepEqual(schedule.rules, [{ days: [0, 1, 2, 3, 4], nth: null, ranges: [{ start: 19 * 60, end: 31 * 60 }] }]);
+  assert.equal(formatRange(schedule.rules[0].ranges[0]), '7pm–7am');
+
+  assert.deepEqual(openStatus(schedule, at(22, 23)), { state: 'open', label: 'Open until 7am' });      // Thursday night
+  assert.deepEqual(openStatus(schedule, at(23, 3)), { state: 'open', label: 'Open until 7am' });       // into Friday morning
+  assert.equal(openStatus(schedule, at(23, 8)).state, 'closed');                                      // Friday after closing
+  assert.equal(openStatus(schedule, at(23, 21)).state, 'closed');                                     // no Friday night
+  assert.equal(openStatus(schedule, at(25, 3)).state, 'closed');                                      // Sunday early morning
+  assert.equal(openStatus(schedule, at(25, 20)).state, 'open');                                       // Sunday night
+});
+
+test('explicit pm-am ranges run past midnight', () => {
+  const schedule = parseHours('Friday 9pm-2am');
+  assert.deepEqual(schedule.rules[0].ranges, [{ start: 21 * 60, end: 26 * 60 }]);
+  assert.equal(openStatus(schedule, at(24, 1)).state, 'open');
+});
+
+test('"call for hours" keeps its day apart from the next one', () => {
+  const schedule = parseHours('Thursday call for hours, Saturday 1-4pm');
+  assert.deepEqual(schedule.rules, [
+    { days: [4], nth: null, ranges: [], call: true },
+    { days: [6], nth: null, ranges: [{ start: 13 * 60, end: 16 * 60 }] },
+  ]);
+  assert.deepEqual(openStatus(schedule, at(22, 14)), { state: 'maybe', label: 'Call for today\'s hours' });
+  assert.equal(openStatus(schedule, at(24, 14)).state, 'open');
+});
+
+test('the full dataset entry for the Thursday "call for hours" pantry', () => {
+  const row = rows.find(r => /Thursday call for hours/.test(r['Hours of Operation']));
+  const schedule = parseHours(row['Hours of Operation']);
+  assert.equal(openStatus(schedule, at(22, 14)).state, 'maybe');   // Thursday
+  assert.equal(openStatus(schedule, at(24, 14)).state, 'open');    // Saturday 1-4pm
+  assert.equal(openStatus(schedule, at(20, 12)).state, 'open');    // Tuesday 11:30-3:30
+});
+
+test('occurrences list dated openings, overnight ones included', () => {
+  const schedule = parseHours('Open 7:00PM Sunday - Thursday, closes Friday at 7:00AM');
+  const list = occurrences(schedule, at(19, 0), 7);   // Mon 19 .. Sun 25
+  assert.deepEqual(list.map(o => o.date.getDate()), [19, 20, 21, 22, 25]);
+});
@@ -0,0 +1,42 @@
+/* ics.test.mjs — buildICS() events and their UIDs against the real dataset */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildICS } from '../assets/ics.js';
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+const from = new Date(2026, 9, 1);
+
+// UID values, with folded lines joined back up
+const uids = ics => [...ics.replace(/\r\n /g, '').matchAll(/^UID:(.*)\r$/gm)].map(m => m[1]);
+
+test('every event has a UID, and no two share one', () => {
+  const ics = buildICS(rows, from);
+  const list = uids(ics);
+  assert.ok(list.length > 0);
+  assert.equal(list.length, (ics.match(/^BEGIN:VEVENT/gm) || []).length);
+  assert.equal(new Set(list).size, list.length);
+});
+
+test('a UID is the location, first start and days, not its place in the list', () => {
+  const row = {
+    Type: 'Food Pantries', Name: 'Test Pantry', Street: '10 Henry St', City: 'Binghamton', State: 'NY', Zip: '13901',
+    'Hours of Operation': 'Tuesdays 10am-12pm',
+  };
+  assert.deepEqual(uids(buildICS([row], from)), ['food-pantries-test-pantry-10-henry-st-20261006T100000-tu@broome-services-map']);
+
+  // Same location and start, different days: "1st & 3rd Wed" and "1st Wed"
+  const twice = { ...row, 'Hours of Operation': '1st & 3rd Wed 11:30-12:30; Diaper Giveaway 1st Wed. 11:30-12:30' };
+  assert.deepEqual(uids(buildICS([twice], from)), [
+    'food-pantries-test-pantry-10-henry-st-20261007T113000-1we-3we@broome-services-map',
+    'food-pantries-test-pantry-10-henry-st-20261007T113000-1we@broome-services-map',
+  ]);
+
+  const ics = buildICS(rows, from);
+  const reversed = buildICS([...rows].reverse(), from);
+  assert.deepEqual(uids(reversed).sort(), uids(ics).sort());
+  // Exporting a filtered list keeps the UIDs it had in the full one
+  const some = uids(buildICS(rows.slice(-20), from));
+  assert.ok(some.length > 0);
+  assert.ok(some.every(uid => uids(ics).includes(uid)));
+});
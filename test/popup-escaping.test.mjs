@@ -0,0 +1,100 @@
+/* popup-escaping.test.mjs — hostile spreadsheet values must come out of buildPopup() inert */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildPopup, linkSegments } from '../assets/popup.js';
+import { parseQuery } from '../assets/search.js';
+import { useStrings } from '../assets/i18n.js';
+
+// real labels, so translated strings that embed data (the alert badge) are exercised too
+useStrings('en', JSON.parse(readFileSync(new URL('../assets/locales/en.json', import.meta.url), 'utf8')));
+
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror="alert(1)">',
+  'javascript:alert(1)',
+  'JaVaScRiPt:alert(document.cookie)',
+  '" onmouseover="alert(1)',
+  "' onfocus='alert(1)' autofocus '",
+  '"><svg onload=alert(1)>',
+  'https://example.org/"onmouseover="alert(1)',
+  'www.example.org/<script>alert(1)</script>',
+  'mailto:x@example.org?body=<script>',
+  'x@example.org"><img src=x onerror=alert(1)>',
+  '(607) 555-1234"><script>alert(1)</script>',
+];
+
+const FIELDS = ['Name', 'Email', 'Phone', 'Contact', 'Hours of Operation', 'Additional Services Offered', 'Area Served', 'Street', 'City', 'source'];
+
+// The only markup buildPopup() writes itself
+const ALLOWED_TAGS = new Set(['div', 'b', 'mark', 'a', 'hr', 'button']);
+const SAFE_HREF = /^(https?:\/\/|mailto:|tel:)/i;
+
+function hostileRow(payload) {
+  const row = { Type: 'Food Pantries', State: 'NY', Zip: '13901', latitude: 42.1, longitude: -75.9 };
+  FIELDS.forEach(field => { row[field] = payload; });
+  return row;
+}
+
+function decode(attr) {
+  return attr.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function assertInert(html, payload) {
+  for (const [, name] of html.matchAll(/<\/?\s*([a-z][\w-]*)/gi)) {
+    assert.ok(ALLOWED_TAGS.has(name.toLowerCase()), `unexpected <${name}> for ${payload}`);
+  }
+  assert.ok(!/<[^>]*\son\w+\s*=/i.test(html), `event handler attribute for ${payload}`);
+  assert.ok(!/<[^>]*\s(?:src|autofocus)\b/i.test(html), `unexpected attribute for ${payload}`);
+  for (const [, href] of html.matchAll(/\shref="([^"]*)"/g)) {
+    assert.match(decode(href), SAFE_HREF, `unsafe href for ${payload}`);
+  }
+  // every attribute value is quoted and free of raw quotes / angle brackets
+  for (const [, value] of html.matchAll(/=\s*"([^"]*)"/g)) {
+    assert.ok(!/[<>]/.test(value), `raw < or > inside an attribute for ${payload}`);
+  }
+}
+
+test('hostile values in every field render as text', () => {
+  PAYLOADS.forEach(payload => {
+    const html = buildPopup(hostileRow(payload));
+    assertInert(html, payload);
+    assert.ok(!html.includes('<script'), payload);
+  });
+});
+
+test('hostile values stay inert when they are also highlighted by a search', () => {
+  PAYLOADS.forEach(payload => {
+    assertInert(buildPopup(hostileRow(payload), { query: parseQuery('alert script img onerror') }), payload);
+  });
+});
+
+test('alert names from the weather feed are escaped', () => {
+  const html = buildPopup(hostileRow('x'), { warnings: [{ event: '<img src=x onerror=alert(1)>' }] });
+  assertInert(html, 'warning');
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('javascript: and other schemes are never linked', () => {
+  ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)', 'file:///etc/passwd'].forEach(text => {
+    linkSegments(text, { phones: true }).forEach(seg => {
+      if (seg.href) assert.match(seg.href, SAFE_HREF, text);
+    });
+  });
+});
+
+test('linkSegments keeps the text and only links http(s), mailto and tel', () => {
+  PAYLOADS.forEach(text => {
+    const segments = linkSegments(text, { phones: true });
+    assert.equal(segments.map(s => s.text).join(''), text);
+    segments.filter(s => s.href).forEach(s => assert.match(s.href, SAFE_HREF, text));
+  });
+});
+
+test('a quote ends the link instead of breaking out of the href', () => {
+  const row = hostileRow('ok');
+  row['Hours of Operation'] = 'Schedule: https://example.org/a"onclick="alert(1) thanks';
+  const html = buildPopup(row);
+  assertInert(html, row['Hours of Operation']);
+  assert.match(html, /<a href="https:\/\/example\.org\/a"[^>]*>https:\/\/example\.org\/a<\/a>&quot;onclick=&quot;alert\(1\)/);
+});
@@ -0,0 +1,57 @@
+/* popup.test.mjs — buildPopup() and copyText() against the real dataset */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildPopup, copyText } from '../assets/popup.js';
+import { escapeHTML } from '../assets/escape.js';
+import { parseQuery } from '../assets/search.js';
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+const AT = new Date(2026, 9, 22, 17, 30);
+
+test('every row builds a popup with its name, badges and buttons', () => {
+  rows.forEach(row => {
+    const html = buildPopup(row, { at: AT });
+    assert.ok(html.includes(`<div class="marker-title">${escapeHTML(row.Name)}</div>`), row.Name);
+    assert.match(html, /class="hours-badge hours-(open|closed|maybe|appointment|unknown)"/);
+    assert.match(html, /class="freshness-badge freshness-unverified"/);
+    assert.match(html, /class="copy-btn"/);
+    assert.match(html, /class="trip-btn"/);
+    assert.match(html, /class="directions-link" href="https:\/\/www\.google\.com\/maps\/dir\/\?api=1&amp;destination=/);
+  });
+});
+
+test('hours badge reflects the time it is built for', () => {
+  const row = rows.find(r => r.Name === 'Centenary UMC Community Meal');
+  assert.match(buildPopup(row, { at: AT }), /hours-badge hours-open/);
+  assert.match(buildPopup(row, { at: new Date(2026, 9, 23, 17, 30) }), /hours-badge hours-closed/);
+});
+
+test('search words are highlighted', () => {
+  const row = rows.find(r => r.Name === 'Centenary UMC Community Meal');
+  const html = buildPopup(row, { query: parseQuery('centenary') });
+  assert.match(html, /<mark>Centenary<\/mark>/);
+});
+
+test('trip, referral and alert state', () => {
+  const row = rows[0];
+  assert.match(buildPopup(row, { inTrip: true }), /class="trip-btn in-trip"/);
+  assert.match(buildPopup(row, { inReferral: true }), /class="referral-btn in-referral"/);
+  assert.match(buildPopup(row, { warnings: [{ event: 'Flood Warning' }] }), /class="alert-badge"/);
+});
+
+test('phone numbers and e-mail addresses become links', () => {
+  const row = rows.find(r => r.Phone && r.Email);
+  const html = buildPopup(row);
+  assert.match(html, /href="tel:\+1\d{10}"/);
+  assert.ok(html.includes(`href="mailto:${escapeHTML(row.Email.trim())}"`));
+});
+
+test('copyText lists the fields as plain text', () => {
+  const row = rows[0];
+  const text = copyText(row);
+  assert.ok(text.startsWith(row.Name));
+  assert.ok(text.includes(row.Street));
+  assert.ok(text.includes(row['Hours of Operation']));
+  assert.ok(!/[<>]/.test(text));
+});
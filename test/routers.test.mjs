@@ -0,0 +1,27 @@
+/* routers.test.mjs — which ?router= specs get road routing */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../assets/routers.js';
+
+test('no spec or "straight" gives straight lines', () => {
+  assert.equal(createRouter(null).name, 'straight line');
+  assert.equal(createRouter('straight').name, 'straight line');
+});
+
+test('OSRM on this machine is accepted', () => {
+  assert.equal(createRouter('osrm').name, 'OSRM (http://localhost:5000)');
+  assert.equal(createRouter('osrm:http://localhost:5000').name, 'OSRM (http://localhost:5000)');
+  assert.equal(createRouter('osrm:http://127.0.0.1:5001').name, 'OSRM (http://127.0.0.1:5001)');
+});
+
+test('OSRM anywhere else falls back to straight lines', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const rejected = [
+    'osrm:https://evil.example',
+    'osrm:http://localhost.evil.example:5000',
+    'osrm:javascript:alert(1)',
+    'osrm:not a url',
+  ];
+  rejected.forEach(spec => assert.equal(createRouter(spec).name, 'straight line', spec));
+  assert.equal(warn.mock.callCount(), rejected.length);
+});
@@ -0,0 +1,55 @@
+/* urlstate.test.mjs — location ids and the URL hash state */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { locationId, findLocation, encodeState, decodeState } from '../assets/urlstate.js';
+import { validateDataset } from '../assets/validate.js';
+
+const rows = JSON.parse(readFileSync(new URL('../assets/data.geocoded.json', import.meta.url), 'utf8'));
+
+test('every row in the dataset has its own location id', () => {
+  const ids = rows.map(locationId);
+  assert.equal(new Set(ids).size, rows.length);
+  rows.forEach(row => assert.equal(findLocation(rows, locationId(row)), row));
+});
+
+test('rows sharing a name and street are told apart by type', () => {
+  const ymca = rows.filter(r => /^YMCA- Mens Supportive Living/.test(r.Name));
+  assert.equal(ymca.length, 3);
+  assert.equal(new Set(ymca.map(locationId)).size, 3);
+  ymca.forEach(row => assert.equal(findLocation(rows, locationId(row)), row));
+});
+
+test('older Name + Street ids still resolve', () => {
+  const row = rows.find(r => r.Name === 'Centenary UMC Community Meal');
+  assert.equal(findLocation(rows, 'centenary-umc-community-meal-438-chenango-st'), row);
+  assert.equal(findLocation(rows, 'no-such-place'), null);
+  assert.equal(findLocation(rows, ''), null);
+});
+
+test('validateDataset reports colliding ids', () => {
+  assert.equal(validateDataset(rows).issues.filter(i => i.code === 'duplicate-id').length, 0);
+  const a = { ...rows[0], Name: 'St. Mary’s Pantry' };
+  const b = { ...rows[0], Name: 'St Mary s Pantry' };
+  const issues = validateDataset([a, b]).issues.filter(i => i.code === 'duplicate-id');
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].index, 1);
+  assert.equal(issues[0].severity, 'error');
+});
+
+test('a deep link survives encode / decode', () => {
+  const row = rows[5];
+  const state = decodeState(encodeState({ types: [row.Type], loc: locationId(row), q: 'pantry', zips: ['13901'] }));
+  assert.deepEqual(state.types, [row.Type]);
+  assert.equal(state.q, 'pantry');
+  assert.deepEqual(state.zips, ['13901']);
+  assert.equal(findLocation(rows, state.loc), row);
+});
+
+test('old route toggle ids in layers= links open the same routes', () => {
+  const routes = JSON.parse(readFileSync(new URL('../assets/routes.geojson', import.meta.url), 'utf8'));
+  const buttons = routes.features.map(f => `route-${f.properties.id}`);
+  const state = decodeState('#layers=toggleRoute86|toggleTompkins|toggleZipAreas');
+  assert.deepEqual(state.layers, ['route-i86-tompkins', 'route-avoid-tompkins', 'toggleZipAreas']);
+  state.layers.slice(0, 2).forEach(id => assert.ok(buttons.includes(id), id));
+});
@@ -0,0 +1,97 @@
+/* validate.test.mjs — row validation, the --fix normalizations and the bundled dataset */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FIELDS, validateRow, validateDataset, normalizeRow, normalizeDataset } from '../assets/validate.js';
+
+const DATA = fileURLToPath(new URL('../assets/data.geocoded.json', import.meta.url));
+const TOOL = fileURLToPath(new URL('../tools/validate-data.mjs', import.meta.url));
+const rows = JSON.parse(readFileSync(DATA, 'utf8'));
+
+const good = {
+  Type: 'Food Pantries', Name: 'Test Pantry', Street: '10 Henry St', City: 'Binghamton', State: 'NY', Zip: '13901',
+  'Hours of Operation': 'Tuesdays 10am-12pm', 'Area Served': '13901', 'Deliveries?': 'No',
+  'Additional Services Offered': '', 'Drive Thru?': 'No', Contact: '', Phone: '607-555-0100',
+  Email: 'pantry@example.org', latitude: 42.1004, longitude: -75.9135,
+  lastVerified: '2026-03-14', source: 'phone',
+};
+
+const codes = row => validateRow(row).map(i => `${i.severity}:${i.code}`);
+
+test('a complete row has no errors or warnings', () => {
+  assert.deepEqual(codes(good), []);
+});
+
+test('errors: what breaks the map', () => {
+  assert.deepEqual(codes({ ...good, Type: 'Bakery' }), ['error:type']);
+  assert.deepEqual(codes({ ...good, Name: '' }), ['error:required']);
+  assert.deepEqual(codes({ ...good, Zip: 'nan' }), ['error:zip']);
+  assert.deepEqual(codes({ ...good, latitude: 40.7, longitude: -74 }), ['error:out-of-bounds']);
+  const { 'Drive Thru?': driveThru, ...renamed } = good;
+  assert.deepEqual(codes({ ...renamed, 'Drive Thru': driveThru }), ['error:aliased-field']);
+});
+
+test('warnings: missing coordinates or address parts need a human, not a failed build', () => {
+  assert.deepEqual(codes({ ...good, latitude: null, longitude: null }), ['warning:not-geocoded']);
+  assert.deepEqual(codes({ ...good, Zip: '' }), ['warning:required']);
+  assert.deepEqual(codes({ ...good, Zip: '14850' }), ['warning:zip-outside-broome']);
+  assert.deepEqual(codes({ ...good, Phone: 'call 607-555-0100 after 5' }), ['warning:phone-format']);
+  assert.deepEqual(codes({ ...good, lastVerified: '3/14/2026' }), ['warning:date-format']);
+});
+
+test('normalizeRow makes the safe, mechanical fixes and lists them', () => {
+  const { row, fixes } = normalizeRow({
+    ...good,
+    City: 'JC', State: 'new york', Zip: 'nan', Phone: '(607) 555 0100', Email: 'Pantry@Example.org',
+    'Deliveries?': 'YES', 'Hours of Operation': '24/7walk-up pantry ', latitude: '42.1004', lastVerified: '3/4/2026',
+  });
+  assert.equal(row.City, 'Johnson City');
+  assert.equal(row.State, 'NY');
+  assert.equal(row.Zip, '');
+  assert.equal(row.Phone, '607-555-0100');
+  assert.equal(row.Email, 'pantry@example.org');
+  assert.equal(row['Deliveries?'], 'Yes');
+  assert.equal(row['Hours of Operation'], '24/7 walk up pantry');
+  assert.equal(row.latitude, 42.1004);
+  assert.equal(row.lastVerified, '2026-03-04');
+  assert.deepEqual(fixes.map(f => f.field).sort(), [
+    'City', 'Deliveries?', 'Email', 'Hours of Operation', 'Phone', 'State', 'Zip', 'lastVerified', 'latitude',
+  ]);
+});
+
+test('normalizeRow renames aliases, adds missing columns and keeps unknown ones', () => {
+  const { Zip, longitude, ...rest } = good;
+  const { row, fixes } = normalizeRow({ ...rest, 'Zip Code': Zip, lng: longitude, Notes: 'keep me' });
+  assert.deepEqual(Object.keys(row).sort(), [...FIELDS, 'Notes'].sort());
+  assert.equal(row.Notes, 'keep me');
+  assert.equal(row.Zip, '13901');
+  assert.equal(row.longitude, -75.9135);
+  assert.deepEqual(fixes.filter(f => f.code === 'renamed-field').map(f => f.to), ['Zip', 'longitude']);
+});
+
+test('the bundled dataset has no errors', () => {
+  const { issues, summary } = validateDataset(rows);
+  assert.equal(summary.error, 0, issues.filter(i => i.severity === 'error').map(i => `row ${i.index}: ${i.message}`).join('\n'));
+});
+
+test('the --fix normalizations are stable and keep the dataset valid', () => {
+  const once = normalizeDataset(rows);
+  assert.equal(once.rows.length, rows.length);
+  assert.deepEqual(normalizeDataset(once.rows).fixes, []);
+  assert.equal(validateDataset(once.rows).summary.error, 0);
+});
+
+test('validate-data.mjs passes on the bundled data and writes the --fix output', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'validate-'));
+  try {
+    const out = path.join(dir, 'normalized.json');
+    execFileSync(process.execPath, [TOOL, DATA, '--fix', '--out', out, '--min', 'error'], { stdio: 'pipe' });
+    assert.deepEqual(JSON.parse(readFileSync(out, 'utf8')), normalizeDataset(rows).rows);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/* build-zip-areas.mjs — make assets/broome-zips.geojson from Census ZCTA boundaries
+
+   Usage:
+     node tools/build-zip-areas.mjs <zcta.geojson> [--out file]
+
+   - Input: Census TIGER/Line ZCTAs (ZIP Code Tabulation Areas) already clipped to Broome
+     County and converted to GeoJSON in WGS84, e.g. with GDAL from the Census shapefiles
+     (https://www.census.gov/geographies/mapping-files/time-series/geo/tiger-line-file.html):
+       ogr2ogr -f GeoJSON -t_srs EPSG:4326 zcta.geojson tl_2020_us_zcta520.shp \
+         -where "ZCTA5CE20 LIKE '13%'" \
+         -clipsrc tl_2020_us_county.shp -clipsrcwhere "GEOID = '36007'"
+   - Writes one feature per ZCTA with { zip, name } properties (name from BROOME_ZIPS in
+     assets/areas.js), coordinates rounded to 5 decimals (about a metre)
+   - Lists the Broome ZIPs that have no ZCTA (PO-box-only ZIPs have none)
+   - The map offers the ZIP overlay, ZIP labels on the outline basemap and per-ZIP
+     coverage gaps only once this file exists (see assets/zips.js)
+*/
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BROOME_ZIPS } from '../assets/areas.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// ZCTA code property across TIGER editions and cartographic boundary files
+const ZCTA_PROPS = ['ZCTA5CE20', 'ZCTA5CE10', 'GEOID20', 'GEOID10', 'ZCTA5'];
+
+function parseArgs(argv) {
+  const args = { file: '', out: path.join(ROOT, 'assets/broome-zips.geojson') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = path.resolve(argv[++i]);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.file = path.resolve(arg);
+  }
+  return args;
+}
+
+// Helper: round every position of a Polygon / MultiPolygon
+function roundCoords(coords) {
+  return typeof coords[0] === 'number'
+    ? coords.map(v => Number(v.toFixed(5)))
+    : coords.map(roundCoords);
+}
+
+function zipAreas(zcta) {
+  return zcta.features
+    .filter(f => f.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type))
+    .map(f => {
+      const zip = String(ZCTA_PROPS.map(p => f.properties[p]).find(Boolean) || '');
+      return {
+        type: 'Feature',
+        properties: { zip, name: BROOME_ZIPS[zip] || '' },
+        geometry: { type: f.geometry.type, coordinates: roundCoords(f.geometry.coordinates) },
+      };
+    })
+    .filter(f => /^\d{5}$/.test(f.properties.zip))
+    .sort((a, b) => a.properties.zip.localeCompare(b.properties.zip));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.file) {
+    console.log('Usage: node tools/build-zip-areas.mjs <zcta.geojson> [--out file]');
+    return args.help ? 0 : 2;
+  }
+  const features = zipAreas(JSON.parse(await readFile(args.file, 'utf8')));
+  if (!features.length) {
+    console.error('No ZCTA polygons found; check the ogr2ogr -where / -clipsrc options.');
+    return 1;
+  }
+  const geojson = {
+    type: 'FeatureCollection',
+    properties: { source: `US Census Bureau ZCTAs clipped to Broome County (${path.basename(args.file)})` },
+    features,
+  };
+  await writeFile(args.out, JSON.stringify(geojson) + '\n');
+  console.log(`Wrote ${features.length} ZIP areas to ${path.relative(process.cwd(), args.out)}`);
+
+  const have = new Set(features.map(f => f.properties.zip));
+  const missing = Object.keys(BROOME_ZIPS).filter(zip => !have.has(zip));
+  if (missing.length) console.log(`No ZCTA for: ${missing.join(', ')}`);
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
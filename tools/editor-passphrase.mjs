@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/* editor-passphrase.mjs — set the passphrase for the map's edit mode
+
+   Usage:
+     node tools/editor-passphrase.mjs <passphrase> [--out file] [--iterations N]
+
+   - Writes { "salt", "iterations", "hash" } to assets/editor.json (or --out): a random
+     salt, the PBKDF2-SHA256 iteration count, and the SHA-256 of the derived key. The page
+     derives the key from what the editor types and compares; the key itself is never
+     published, so the tab's unlock flag can't be copied from editor.json
+   - --iterations N (default 600000) trades unlock time for resistance to guessing
+   - Without that file the Edit Data button explains that edit mode is not set up
+   - The passphrase only keeps casual visitors out of edit mode: edits never leave the
+     browser except as downloads that someone reviews and commits
+*/
+import { createHash, pbkdf2Sync, randomBytes } from 'node:crypto';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ITERATIONS = 600000;
+
+function parseArgs(argv) {
+  const args = { passphrase: '', out: path.join(ROOT, 'assets/editor.json'), iterations: ITERATIONS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = path.resolve(argv[++i]);
+    else if (arg === '--iterations') args.iterations = Number(argv[++i]);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.passphrase = arg;
+  }
+  if (!Number.isInteger(args.iterations) || args.iterations < 100000) throw new Error('--iterations must be a whole number of at least 100000');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.passphrase) {
+    console.log('Usage: node tools/editor-passphrase.mjs <passphrase> [--out file] [--iterations N]');
+    return args.help ? 0 : 2;
+  }
+  if (args.passphrase.length < 8) {
+    console.error('Use a passphrase of at least 8 characters.');
+    return 2;
+  }
+  const salt = randomBytes(16);
+  const key = pbkdf2Sync(args.passphrase, salt, args.iterations, 32, 'sha256').toString('hex');
+  const hash = createHash('sha256').update(key, 'utf8').digest('hex');
+  const config = { salt: salt.toString('hex'), iterations: args.iterations, hash };
+  await writeFile(args.out, JSON.stringify(config, null, 2) + '\n');
+  console.log(`Wrote ${path.relative(process.cwd(), args.out)}`);
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
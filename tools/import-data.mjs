@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/* import-data.mjs — rebuild assets/data.geocoded.json from the volunteers' spreadsheet
+
+   Usage:
+     node tools/import-data.mjs <sheet.csv|sheet.xlsx> [--out file] [--existing file]
+          [--geocoder cache|nominatim|none|./module.mjs] [--cache file] [--email you@example.org]
+          [--dry-run]
+
+   - Columns are the ones buildPopup() shows (see FIELDS in assets/validate.js);
+     common spellings such as "Drive Thru" or "Zip Code" are accepted
+   - Rows are matched to the existing dataset by Type + Name (+ Street) and diffed
+   - Coordinates are reused when the address is unchanged; only new or moved
+     addresses go to the geocoder, and answers are cached in tools/geocode-cache.json
+   - A sheet's own latitude / longitude are kept, except when the address changed but the
+     coordinates are still the old row's: that stale point is dropped and re-geocoded
+   - The default --geocoder cache only answers from the cache file; it says so, and lists
+     what it could not place, so run it again with --geocoder nominatim to look those up
+   - Rows that could not be geocoded are listed and written with null coordinates
+   - lastVerified / source are carried over from the existing row when the sheet leaves them blank
+*/
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCSV, tableToObjects } from '../assets/csv.js';
+import { FIELDS, VERIFICATION_FIELDS, normalizeRow, validateDataset } from '../assets/validate.js';
+import { parseXLSX } from './lib/xlsx.mjs';
+import { addressKey, createGeocoder, loadCache, saveCache, withCache } from './lib/geocoders.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = {
+    input: '',
+    existing: path.join(ROOT, 'assets/data.geocoded.json'),
+    out: path.join(ROOT, 'assets/data.geocoded.json'),
+    geocoder: 'cache',
+    cache: path.join(ROOT, 'tools/geocode-cache.json'),
+    email: '',
+    dryRun: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = path.resolve(argv[++i]);
+    else if (arg === '--existing') args.existing = path.resolve(argv[++i]);
+    else if (arg === '--geocoder') args.geocoder = argv[++i];
+    else if (arg === '--cache') args.cache = path.resolve(argv[++i]);
+    else if (arg === '--email') args.email = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.input = path.resolve(arg);
+  }
+  return args;
+}
+
+async function readSheet(file) {
+  const buf = await readFile(file);
+  const table = /\.xlsx$/i.test(file) ? parseXLSX(buf) : parseCSV(buf.toString('utf8'));
+  return tableToObjects(table);
+}
+
+function identity(row) {
+  return [row.Type, row.Name, row.Street].map(v => String(v || '').trim().toLowerCase()).join('|');
+}
+
+function fullAddress(row) {
+  return [row.Street, row.City, [row.State, row.Zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+function hasCoords(row) {
+  return Number.isFinite(row.latitude) && Number.isFinite(row.longitude);
+}
+
+// Pair incoming rows with existing ones: first on Type + Name + Street, then
+// leftovers on Type + Name alone (a location that moved). Duplicates pair in file order.
+function diffRows(existing, incoming) {
+  const remaining = new Set(existing);
+  const pairs = new Map();
+
+  [identity, row => identity({ ...row, Street: '' })].forEach(keyOf => {
+    const pool = new Map();
+    [...remaining].forEach(row => {
+      const key = keyOf(row);
+      if (!pool.has(key)) pool.set(key, []);
+      pool.get(key).push(row);
+    });
+    incoming.filter(row => !pairs.has(row)).forEach(row => {
+      const old = (pool.get(keyOf(row)) || []).shift();
+      if (!old) return;
+      pairs.set(row, old);
+      remaining.delete(old);
+    });
+  });
+
+  const added = [], changed = [], unchanged = [];
+  incoming.forEach(row => {
+    const old = pairs.get(row);
+    if (!old) { added.push(row); return; }
+    // most sheets have no verification columns; don't let them blank out what we know
+    VERIFICATION_FIELDS.forEach(f => { if (!row[f] && old[f]) row[f] = old[f]; });
+    const fields = FIELDS.filter(f => f !== 'latitude' && f !== 'longitude' && String(old[f] ?? '') !== String(row[f] ?? ''));
+    (fields.length ? changed : unchanged).push({ row, old, fields });
+  });
+  return { added, changed, unchanged, removed: [...remaining], pairs };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    console.log('Usage: node tools/import-data.mjs <sheet.csv|sheet.xlsx> [--out file] [--existing file] [--geocoder cache|nominatim|none|./module.mjs] [--cache file] [--dry-run]');
+    return args.help ? 0 : 2;
+  }
+
+  const incoming = (await readSheet(args.input))
+    .map(raw => normalizeRow(raw).row)
+    .filter(row => row.Name || row.Street);
+  let existing = [];
+  try {
+    existing = JSON.parse(await readFile(args.existing, 'utf8')).map(raw => normalizeRow(raw).row);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  // Coordinates we already trust, by address
+  const known = new Map();
+  existing.filter(hasCoords).forEach(row => known.set(addressKey(fullAddress(row)), row));
+
+  const cache = await loadCache(args.cache);
+  const geocoder = withCache(await createGeocoder(args.geocoder, { email: args.email }), cache);
+
+  const diff = diffRows(existing, incoming);
+  const stats = { fromSheet: 0, reused: 0, geocoded: 0 };
+  const failed = [];
+  const moved = [];
+
+  if (geocoder.offline) {
+    console.log(`Geocoder "${args.geocoder}" looks nothing up: only addresses already in ${path.relative(process.cwd(), args.cache)} get coordinates.`);
+  }
+
+  for (const row of incoming) {
+    const old = diff.pairs.get(row);
+    if (hasCoords(row) && old && addressKey(fullAddress(old)) !== addressKey(fullAddress(row))
+        && row.latitude === old.latitude && row.longitude === old.longitude) {
+      // the sheet still carries the old point for a new address
+      moved.push({ row, from: fullAddress(old), to: fullAddress(row) });
+      row.latitude = null;
+      row.longitude = null;
+    }
+    if (hasCoords(row)) { stats.fromSheet++; continue; }
+
+    const address = fullAddress(row);
+    const previous = known.get(addressKey(address));
+    if (previous) {
+      row.latitude = previous.latitude;
+      row.longitude = previous.longitude;
+      stats.reused++;
+      continue;
+    }
+
+    let hit = null;
+    try {
+      hit = address ? await geocoder.geocode(address) : null;
+    } catch (err) {
+      failed.push({ row, address, reason: err.message });
+      continue;
+    }
+    if (hit) {
+      row.latitude = hit.lat;
+      row.longitude = hit.lon;
+      stats.geocoded++;
+    } else {
+      row.latitude = null;
+      row.longitude = null;
+      failed.push({ row, address, reason: address ? 'no match' : 'no address' });
+    }
+  }
+
+  console.log(`Read ${incoming.length} row(s) from ${path.relative(process.cwd(), args.input)}`);
+  console.log(`  ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`);
+  diff.added.forEach(row => console.log(`  + ${row.Name} (${row.Type})`));
+  diff.removed.forEach(row => console.log(`  - ${row.Name} (${row.Type})`));
+  diff.changed.forEach(({ row, fields }) => console.log(`  ~ ${row.Name}: ${fields.join(', ')}`));
+
+  console.log(`Coordinates: ${stats.reused} reused, ${stats.geocoded} geocoded via ${geocoder.name}, ${stats.fromSheet} from the sheet`);
+  if (moved.length) {
+    console.log(`\n${moved.length} row(s) changed address but kept the old coordinates; those were dropped and geocoded again:`);
+    moved.forEach(m => console.log(`  > ${m.row.Name} — "${m.from}" -> "${m.to}"${hasCoords(m.row) ? '' : ' (not placed, see below)'}`));
+  }
+  if (failed.length) {
+    console.log(`\n${failed.length} row(s) could not be geocoded:`);
+    failed.forEach(f => console.log(`  ! ${f.row.Name} — "${f.address}" (${f.reason})`));
+    if (geocoder.offline) console.log(`Geocoded nothing: "${args.geocoder}" does not look addresses up. Rerun with --geocoder nominatim (or a geocoder module).`);
+  }
+
+  const { summary } = validateDataset(incoming);
+  console.log(`\nValidation: ${summary.error} error(s), ${summary.warning} warning(s) — run tools/validate-data.mjs on the output for details`);
+
+  if (args.dryRun) {
+    console.log('\nDry run: nothing written.');
+  } else {
+    await writeFile(args.out, JSON.stringify(incoming, null, 2) + '\n');
+    await saveCache(args.cache, cache);
+    console.log(`\nWrote ${path.relative(process.cwd(), args.out)}`);
+  }
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,91 @@
+/* geocoders.mjs — pluggable address -> coordinates lookups for the importer
+
+   A geocoder is any object { name, geocode(address) } where geocode resolves to
+   { lat, lon } or null when the address can't be found. Swap one in with
+   `--geocoder cache|nominatim|none|./path/to/module.mjs` (a module must
+   default-export a function (options) => geocoder).
+
+   withCache() wraps any geocoder with the JSON cache in tools/geocode-cache.json,
+   so repeat imports and tests never hit the network.
+*/
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+export function addressKey(address) {
+  return String(address || '').toLowerCase().replace(/[.,#]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Offline stub: never finds anything, so every new address is reported.
+// offline: true tells the importer to say that nothing was looked up.
+export function noneGeocoder() {
+  return { name: 'none', offline: true, geocode: async () => null };
+}
+
+// The default: answers come only from the cache file (withCache), nothing else is looked up
+export function cacheOnlyGeocoder() {
+  return { name: 'cache only', offline: true, geocode: async () => null };
+}
+
+// OpenStreetMap Nominatim (1 request / second per their usage policy)
+export function nominatimGeocoder({ email = '', userAgent = 'broome-services-map-importer' } = {}) {
+  let last = 0;
+  return {
+    name: 'nominatim',
+    async geocode(address) {
+      const wait = last + 1100 - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      last = Date.now();
+
+      const url = new URL('https://nominatim.openstreetmap.org/search');
+      url.searchParams.set('q', address);
+      url.searchParams.set('format', 'json');
+      url.searchParams.set('limit', '1');
+      url.searchParams.set('countrycodes', 'us');
+      if (email) url.searchParams.set('email', email);
+
+      const res = await fetch(url, { headers: { 'User-Agent': userAgent } });
+      if (!res.ok) throw new Error(`Nominatim HTTP ${res.status}`);
+      const [hit] = await res.json();
+      return hit ? { lat: Number(hit.lat), lon: Number(hit.lon) } : null;
+    },
+  };
+}
+
+export async function loadCache(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+export async function saveCache(file, cache) {
+  const sorted = Object.fromEntries(Object.entries(cache).sort(([a], [b]) => a.localeCompare(b)));
+  await writeFile(file, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+// Answers from the cache first; misses go to `inner` and successful answers are remembered
+export function withCache(inner, cache) {
+  return {
+    name: inner.name === 'cache only' ? inner.name : `cache+${inner.name}`,
+    offline: Boolean(inner.offline),
+    async geocode(address) {
+      const key = addressKey(address);
+      if (cache[key]) return cache[key];
+      const hit = await inner.geocode(address);
+      if (hit) cache[key] = { lat: hit.lat, lon: hit.lon };
+      return hit;
+    },
+  };
+}
+
+export async function createGeocoder(spec, options = {}) {
+  if (!spec || spec === 'cache') return cacheOnlyGeocoder();
+  if (spec === 'none') return noneGeocoder();
+  if (spec === 'nominatim') return nominatimGeocoder(options);
+  const mod = await import(pathToFileURL(path.resolve(spec)).href);
+  if (typeof mod.default !== 'function') throw new Error(`${spec} must default-export a geocoder factory`);
+  return mod.default(options);
+}
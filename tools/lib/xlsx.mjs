@@ -0,0 +1,114 @@
+/* xlsx.mjs — read the first worksheet of an .xlsx file into a table of strings
+   An .xlsx is a zip of XML parts; this reads just enough of the zip format
+   (central directory + stored/deflated entries) and of SpreadsheetML
+   (shared strings, inline strings, numbers, booleans) for volunteer spreadsheets.
+*/
+import { inflateRawSync } from 'node:zlib';
+
+// ---------------------------------------------------------------------------
+// Zip
+// ---------------------------------------------------------------------------
+
+function readZipEntries(buf) {
+  // End of central directory record: last 22+ bytes, signature 0x06054b50
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not an .xlsx file (no zip directory found)');
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let ptr = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(ptr) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buf.readUInt16LE(ptr + 10);
+    const compressedSize = buf.readUInt32LE(ptr + 20);
+    const nameLength = buf.readUInt16LE(ptr + 28);
+    const extraLength = buf.readUInt16LE(ptr + 30);
+    const commentLength = buf.readUInt16LE(ptr + 32);
+    const localOffset = buf.readUInt32LE(ptr + 42);
+    const name = buf.toString('utf8', ptr + 46, ptr + 46 + nameLength);
+    entries.set(name, { method, compressedSize, localOffset });
+    ptr += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return name => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const { method, compressedSize, localOffset } = entry;
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const data = buf.subarray(start, start + compressedSize);
+    if (method === 0) return data.toString('utf8');
+    if (method === 8) return inflateRawSync(data).toString('utf8');
+    throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SpreadsheetML
+// ---------------------------------------------------------------------------
+
+function decodeXML(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, '&');
+}
+
+// Concatenate every <t> run inside a fragment (rich text has several)
+function textRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXML(m[1])).join('');
+}
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+/g, '');
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function firstSheetPath(read) {
+  const workbook = read('xl/workbook.xml') || '';
+  const rels = read('xl/_rels/workbook.xml.rels') || '';
+  const sheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (sheet) {
+    const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(m => m[0])
+      .find(tag => tag.includes(`Id="${sheet[1]}"`));
+    const target = rel && rel.match(/Target="([^"]+)"/);
+    if (target) return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+export function parseXLSX(buf) {
+  const read = readZipEntries(buf);
+  const shared = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]));
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw new Error('Workbook has no worksheet');
+
+  const table = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    for (const c of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1], body = c[2] || '';
+      const ref = (attrs.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+      const v = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') value = shared[Number(v)] ?? '';
+      else if (type === 'inlineStr') value = textRuns(body);
+      else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+      else if (v !== undefined) value = decodeXML(v);
+
+      cells[ref ? columnIndex(ref) : cells.length] = value;
+    }
+    table.push(Array.from(cells, cell => cell ?? ''));
+  }
+  return table.filter(r => r.some(cell => String(cell).trim() !== ''));
+}
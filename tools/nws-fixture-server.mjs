@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/* nws-fixture-server.mjs — serve a canned api.weather.gov alerts response for local testing
+
+   Usage:
+     node tools/nws-fixture-server.mjs [--port 8787] [--file tools/fixtures/nws-alerts.json] [--empty]
+
+   Then open the map with ?nwsAlerts=http://localhost:8787/alerts/active
+   - Times in the fixture are shifted so its newest "sent" is now, so alerts never look expired
+   - --empty answers with no active alerts (the banner should stay hidden)
+   - Sends CORS headers, since the map is served from a different port
+*/
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TIME_KEYS = ['sent', 'effective', 'onset', 'expires', 'ends'];
+
+function parseArgs(argv) {
+  const args = { port: 8787, file: path.join(ROOT, 'tools/fixtures/nws-alerts.json'), empty: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = Number(argv[++i]);
+    else if (arg === '--file') args.file = path.resolve(argv[++i]);
+    else if (arg === '--empty') args.empty = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return args;
+}
+
+// Move every timestamp by the same amount so the newest "sent" lands on now
+function shiftTimes(collection, now = Date.now()) {
+  const sent = collection.features.map(f => Date.parse(f.properties.sent)).filter(Number.isFinite);
+  const offset = sent.length ? now - Math.max(...sent) : 0;
+  collection.features.forEach(f => {
+    TIME_KEYS.forEach(key => {
+      const t = Date.parse(f.properties[key]);
+      if (Number.isFinite(t)) f.properties[key] = new Date(t + offset).toISOString();
+    });
+  });
+  collection.updated = new Date(now).toISOString();
+  return collection;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const server = createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Accept');
+    if (req.method === 'OPTIONS') { res.writeHead(204).end(); return; }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname !== '/alerts/active') {
+      res.writeHead(404, { 'Content-Type': 'application/problem+json' }).end(JSON.stringify({ status: 404, title: 'Not Found' }));
+      return;
+    }
+
+    const body = args.empty
+      ? { type: 'FeatureCollection', features: [] }
+      : shiftTimes(JSON.parse(await readFile(args.file, 'utf8')));
+    console.log(`${req.method} ${req.url} -> ${body.features.length} alert(s)`);
+    res.writeHead(200, { 'Content-Type': 'application/geo+json', 'Cache-Control': 'no-store' }).end(JSON.stringify(body));
+  });
+
+  server.listen(args.port, () => {
+    console.log(`NWS alerts fixture on http://localhost:${args.port}/alerts/active`);
+    console.log(`Open the map with ?nwsAlerts=http://localhost:${args.port}/alerts/active`);
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
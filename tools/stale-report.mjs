@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/* stale-report.mjs — list locations that need a call: not verified lately or missing details
+
+   Usage:
+     node tools/stale-report.mjs [file] [--months N] [--csv out.csv] [--html out.html] [--no-incomplete]
+
+   - Reads assets/data.geocoded.json (or [file]) and uses lastVerified / source
+     (see assets/freshness.js); rows verified within --months (default 6) are left out
+     unless they are missing hours, contact details or coordinates
+   - Prints the list; --csv / --html also write it as a spreadsheet or a printable call sheet
+   - Set a row's lastVerified (YYYY-MM-DD) and source after confirming it, e.g. in the
+     map's edit mode or with tools/import-data.mjs
+*/
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { STALE_MONTHS, staleEntries, statusText, staleReportCSV, staleReportHTML } from '../assets/freshness.js';
+import { useStrings } from '../assets/i18n.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = { file: path.join(ROOT, 'assets/data.geocoded.json'), months: STALE_MONTHS, csv: '', html: '', incomplete: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--months') args.months = Number(argv[++i]);
+    else if (arg === '--csv') args.csv = path.resolve(argv[++i]);
+    else if (arg === '--html') args.html = path.resolve(argv[++i]);
+    else if (arg === '--no-incomplete') args.incomplete = false;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.file = path.resolve(arg);
+  }
+  if (!(args.months > 0)) throw new Error('--months must be a positive number');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node tools/stale-report.mjs [file] [--months N] [--csv out.csv] [--html out.html] [--no-incomplete]');
+    return 0;
+  }
+
+  // statuses and the call sheet come from the locale files; the report is in English
+  useStrings('en', JSON.parse(await readFile(path.join(ROOT, 'assets/locales/en.json'), 'utf8')));
+
+  const rows = JSON.parse(await readFile(args.file, 'utf8'));
+  if (!Array.isArray(rows)) throw new Error(`${args.file} must contain a JSON array of rows`);
+
+  const entries = staleEntries(rows, { months: args.months, includeIncomplete: args.incomplete });
+  entries.forEach(entry => {
+    const contact = [entry.row.Contact, entry.row.Phone, entry.row.Email].filter(Boolean).join(' · ') || 'no contact listed';
+    console.log(`${entry.row.Name} (${entry.row.Type}) — ${statusText(entry)}`);
+    console.log(`    ${contact}${entry.reasons.length ? `\n    follow up: ${entry.reasons.join('; ')}` : ''}`);
+  });
+  const never = entries.filter(e => e.freshness.state === 'unverified').length;
+  console.log(`\n${entries.length} of ${rows.length} location(s) to follow up (${never} never verified, stale after ${args.months} month(s))`);
+
+  if (args.csv) {
+    await writeFile(args.csv, staleReportCSV(entries));
+    console.log(`Wrote ${path.relative(process.cwd(), args.csv)}`);
+  }
+  if (args.html) {
+    await writeFile(args.html, staleReportHTML(entries, { months: args.months }));
+    console.log(`Wrote ${path.relative(process.cwd(), args.html)}`);
+  }
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/* validate-data.mjs — check (and optionally normalize) assets/data.geocoded.json
+
+   Usage:
+     node tools/validate-data.mjs [file] [--fix] [--out file] [--json] [--min error|warning|info]
+
+   - Prints every violation grouped by row, then a summary by code
+   - --fix   applies the safe normalizations from assets/validate.js and writes
+             the result to --out (default: <file> with ".normalized.json")
+   - --json  prints the report as JSON instead of text
+   - Exits 1 when errors remain, so it can gate a commit or CI step
+*/
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateDataset, normalizeDataset } from '../assets/validate.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2 };
+
+function parseArgs(argv) {
+  const args = { file: path.join(ROOT, 'assets/data.geocoded.json'), fix: false, out: '', json: false, min: 'info' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fix') args.fix = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--min') args.min = argv[++i];
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.file = path.resolve(arg);
+  }
+  if (!(args.min in SEVERITY_RANK)) throw new Error(`--min must be one of ${Object.keys(SEVERITY_RANK).join(', ')}`);
+  return args;
+}
+
+function printReport({ issues, summary }, min) {
+  const shown = issues.filter(i => SEVERITY_RANK[i.severity] >= SEVERITY_RANK[min]);
+  const byRow = new Map();
+  shown.forEach(issue => {
+    if (!byRow.has(issue.index)) byRow.set(issue.index, []);
+    byRow.get(issue.index).push(issue);
+  });
+
+  [...byRow.keys()].sort((a, b) => a - b).forEach(index => {
+    const list = byRow.get(index);
+    console.log(`\nRow ${index}: ${list[0].name}`);
+    list.forEach(i => console.log(`  ${i.severity.padEnd(7)} ${i.code.padEnd(20)} [${i.field}] ${i.message}`));
+  });
+
+  console.log('\nSummary');
+  Object.entries(summary.byCode)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([code, count]) => console.log(`  ${String(count).padStart(4)}  ${code}`));
+  console.log(`\n${summary.error} error(s), ${summary.warning} warning(s), ${summary.info} info`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node tools/validate-data.mjs [file] [--fix] [--out file] [--json] [--min error|warning|info]');
+    return 0;
+  }
+
+  let rows = JSON.parse(await readFile(args.file, 'utf8'));
+  if (!Array.isArray(rows)) throw new Error(`${args.file} must contain a JSON array of rows`);
+
+  let fixes = [];
+  if (args.fix) {
+    ({ rows, fixes } = normalizeDataset(rows));
+    const out = args.out ? path.resolve(args.out) : args.file.replace(/\.json$/, '.normalized.json');
+    await writeFile(out, JSON.stringify(rows, null, 2) + '\n');
+    if (!args.json) {
+      console.log(`Applied ${fixes.length} fix(es), wrote ${path.relative(process.cwd(), out)}`);
+      fixes.forEach(f => console.log(`  row ${f.index} [${f.field}] ${f.code}: ${JSON.stringify(f.from)} -> ${JSON.stringify(f.to)}`));
+    }
+  }
+
+  const report = validateDataset(rows);
+  if (args.json) {
+    console.log(JSON.stringify({ file: args.file, fixes, ...report }, null, 2));
+  } else {
+    printReport(report, args.min);
+  }
+  return report.summary.error ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});